@@ -1,6 +1,40 @@
 import aiService from "../services/aiService.js";
+import { submitTrainingJob } from "../services/trainingService.js";
+import { submitTuningJob, promoteTuningTrial as promoteTrial } from "../services/tuningService.js";
+import { submitCrossValidationJob } from "../services/crossValidationService.js";
+import { submitBatchInferenceJob, getBatchOutputPath } from "../services/batchInferenceService.js";
+import { buildExportBundle } from "../services/exportService.js";
+import { quantizeModel, describeQuantization, compareQuantizedAccuracy } from "../services/quantizationService.js";
+import { importUploadedModel } from "../services/modelImportService.js";
+import { evaluateModelPerformance } from "../services/evaluationService.js";
+import { explainPredictions, computePermutationImportance } from "../services/explanationService.js";
+import { compareModels } from "../services/comparisonService.js";
+import {
+  resolveModelVersion,
+  initializeVersionStage,
+  promoteModelVersion,
+  rollbackModelVersion,
+  describeModelVersions
+} from "../services/modelVersions.js";
+import { configureDeployment, getDeploymentReport, servePrediction, stopDeployment } from "../services/deploymentService.js";
+import { getDriftReport, updateDriftThresholds, recordPredictionInputs } from "../services/driftService.js";
+import {
+  getDatasetForUser,
+  getDatasetFilePath,
+  readDatasetRecords,
+  extractFeaturesAndLabels,
+  encodeLabels
+} from "../services/datasetService.js";
+import { ApiError } from "../utils/errors.js";
+import { validateCallbackSpecs } from "../services/trainingCallbacks.js";
+import { resolveOptimizerConfig } from "../services/optimizers.js";
+import { validateClassLabels, validateTaskSettings } from "../services/taskOutputs.js";
+import { inspectArchitecture } from "../services/architectureBuilder.js";
 import AIModel from "../models/aiModel.js";
+import Job from "../models/jobModel.js";
 import mongoose from "mongoose";
+import fs from "fs";
+import { basename } from "path";
 
 /**
  * Initialize and load the AI model
@@ -37,7 +71,7 @@ export const initializeModel = async (req, res) => {
     console.log("Model created in database:", aiModel._id);
     
     // Initialize in memory
-    const success = await aiService.loadModel();
+    const success = await aiService.loadModel(aiModel._id);
     if (success) {
       // Update model status
       aiModel.status = "initialized";
@@ -69,19 +103,103 @@ export const initializeModel = async (req, res) => {
 };
 
 /**
- * Train the AI model with provided data
+ * Build a training set from a stored dataset, encoding labels for the model's output
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} userId - ID of the user reading the dataset
+ * @param {Object} source - { datasetId, datasetVersion, featureColumns, labelColumn }
+ * @returns {Promise<Object>} { data: { trainData, labels }, datasetInfo }
+ */
+const buildDatasetTrainingSet = async (aiModel, userId, { datasetId, datasetVersion, featureColumns, labelColumn }) => {
+  const dataset = await getDatasetForUser(datasetId, userId);
+  const records = await readDatasetRecords(dataset, datasetVersion);
+  const extracted = extractFeaturesAndLabels(records, { featureColumns, labelColumn });
+  const { outputUnits } = await aiService.getOutputInfo(aiModel);
+  // Class names are encoded in the order of the model's label vocabulary when it has one
+  const categorical = extracted.labels.some(value => typeof value === "string" || typeof value === "boolean");
+  const vocabulary = categorical && Array.isArray(aiModel.classLabels) ? [...aiModel.classLabels] : null;
+  const encoded = encodeLabels(extracted.labels, outputUnits, vocabulary);
+
+  console.log(`Training set built from dataset ${dataset._id} (${records.length} rows)`);
+  return {
+    data: { trainData: extracted.features, labels: encoded.labels },
+    datasetInfo: {
+      datasetId: dataset._id,
+      datasetName: dataset.name,
+      datasetVersion: datasetVersion !== undefined && datasetVersion !== null ? Number(datasetVersion) : null,
+      fileName: basename(getDatasetFilePath(dataset, datasetVersion)),
+      featureColumns: extracted.featureColumns,
+      labelColumn: extracted.labelColumn,
+      labelEncoding: encoded.encoding,
+      recordCount: records.length
+    }
+  };
+};
+
+/**
+ * Build a labelled test set from a stored dataset, defaulting to the column
+ * mapping and classes the model was trained with
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} userId - ID of the user reading the dataset
+ * @param {Object} source - { datasetId, datasetVersion, featureColumns, labelColumn }
+ * @returns {Promise<Object>} { data, labels, source }
+ */
+const buildDatasetTestSet = async (aiModel, userId, { datasetId, datasetVersion, featureColumns, labelColumn }) => {
+  const trained = aiModel.trainingDataset || {};
+  const dataset = await getDatasetForUser(datasetId, userId);
+  const records = await readDatasetRecords(dataset, datasetVersion);
+  const extracted = extractFeaturesAndLabels(records, {
+    featureColumns: featureColumns || trained.featureColumns,
+    labelColumn: labelColumn || trained.labelColumn
+  });
+  const { outputUnits } = await aiService.getOutputInfo(aiModel);
+  // The label vocabulary fixes the class order of categorical labels
+  const categorical = extracted.labels.some(value => typeof value === "string" || typeof value === "boolean");
+  let knownClasses = trained.labelEncoding ? trained.labelEncoding.classes : null;
+  if (categorical && Array.isArray(aiModel.classLabels)) {
+    knownClasses = [...aiModel.classLabels];
+  }
+  
+  return {
+    data: extracted.features,
+    labels: encodeLabels(extracted.labels, outputUnits, knownClasses).labels,
+    source: {
+      type: "dataset",
+      datasetId: dataset._id,
+      datasetVersion: datasetVersion !== undefined && datasetVersion !== null ? Number(datasetVersion) : null,
+      featureColumns: extracted.featureColumns,
+      labelColumn: extracted.labelColumn
+    }
+  };
+};
+
+/**
+ * Queue a training job for the AI model with provided data
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const trainModel = async (req, res) => {
   console.log("Training AI model route accessed");
   try {
-    const { modelId, trainData, labels, epochs, batchSize } = req.body;
+    const {
+      modelId,
+      trainData,
+      labels,
+      epochs,
+      batchSize,
+      validationSplit,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      labelColumn
+    } = req.body;
     
     // Validate input data
-    if (!trainData || !labels) {
+    if (!datasetId && (!trainData || !labels)) {
       console.error("Missing training data or labels");
-      return res.status(400).json({ success: false, message: "Training data and labels are required" });
+      return res.status(400).json({ 
+        success: false, 
+        message: "Either training data and labels or a dataset ID is required" 
+      });
     }
     
     if (!modelId) {
@@ -96,36 +214,51 @@ export const trainModel = async (req, res) => {
       return res.status(404).json({ success: false, message: "Model not found" });
     }
     
-    // Save training data to model
-    await aiModel.addTrainingData(trainData, labels);
-    console.log("Training data saved to model:", aiModel._id);
+    let data;
+    let datasetInfo;
     
-    // Train the model
-    const result = await aiService.trainModel(trainData, labels, epochs, batchSize);
-    console.log("Model training completed");
+    if (datasetId) {
+      // Build the training set from the stored dataset
+      ({ data, datasetInfo } = await buildDatasetTrainingSet(aiModel, req.user._id, {
+        datasetId,
+        datasetVersion,
+        featureColumns,
+        labelColumn
+      }));
+    } else {
+      // Save training data to model
+      await aiModel.addTrainingData(trainData, labels);
+      console.log("Training data saved to model:", aiModel._id);
+      
+      data = { trainData, labels };
+    }
     
-    // Update model in database
-    aiModel.status = "trained";
-    aiModel.trainingHistory = {
-      lastTrained: new Date(),
-      epochs: result.epoch + 1,
-      loss: result.history.loss[result.epoch],
-      accuracy: result.history.acc[result.epoch]
-    };
-    await aiModel.save();
+    // Queue the training job
+    const job = await submitTrainingJob(
+      aiModel,
+      req.user._id,
+      data,
+      { epochs, batchSize, validationSplit, dataset: datasetInfo }
+    );
+    console.log("Training job queued:", job._id);
     
-    return res.status(200).json({ 
+    return res.status(202).json({ 
       success: true, 
-      message: "Model trained successfully", 
-      result: {
-        epochs: result.epoch + 1,
-        loss: result.history.loss[result.epoch],
-        accuracy: result.history.acc[result.epoch]
+      message: "Training job queued", 
+      job: {
+        id: job._id,
+        modelId: job.modelId,
+        status: job.status,
+        params: job.params,
+        createdAt: job.createdAt
       }
     });
   } catch (error) {
-    console.error("Error training AI model:", error);
-    return res.status(500).json({ success: false, message: "Error training AI model", error: error.message });
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error queuing training job:", error);
+    return res.status(500).json({ success: false, message: "Error queuing training job", error: error.message });
   }
 };
 
@@ -137,7 +270,7 @@ export const trainModel = async (req, res) => {
 export const predict = async (req, res) => {
   console.log("AI prediction route accessed");
   try {
-    const { modelId, inputData, userId } = req.body;
+    const { modelId, inputData, userId, topK, threshold, version: requestedVersion } = req.body;
     
     // Validate input data
     if (!inputData) {
@@ -157,27 +290,409 @@ export const predict = async (req, res) => {
       return res.status(404).json({ success: false, message: "Model not found" });
     }
     
-    // Make prediction
-    const predictions = await aiService.predict(inputData);
-    console.log("Prediction completed");
+    // Per-request overrides of the model's prediction settings
+    validateTaskSettings({ prediction: { topK, threshold } });
+    
+    // Make prediction with the version the model's deployment routes this request to
+    const { result: predictions, version } = await servePrediction(aiModel, inputData, { topK, threshold }, requestedVersion);
+    console.log("Prediction completed with version", version);
     
     // Save prediction to model
     const userIdObj = userId ? new mongoose.Types.ObjectId(userId) : undefined;
     const prediction = await aiModel.addPrediction(inputData, predictions, userIdObj);
     console.log("Prediction saved to model:", aiModel._id);
     
+    // Feed the rolling input window used for drift monitoring
+    recordPredictionInputs(aiModel, inputData).catch(error => {
+      console.error("Error recording prediction inputs for drift monitoring:", error);
+    });
+    
     return res.status(200).json({ 
       success: true, 
       message: "Prediction completed successfully", 
       predictions,
+      version,
       id: prediction._id
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Error making prediction:", error);
     return res.status(500).json({ success: false, message: "Error making prediction", error: error.message });
   }
 };
 
+/**
+ * Evaluate a model on test data or a stored dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const evaluateModel = async (req, res) => {
+  console.log("Evaluate model route accessed");
+  try {
+    const {
+      modelId,
+      testData,
+      testLabels,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      labelColumn,
+      threshold
+    } = req.body;
+    const userId = req.user._id;
+    
+    if (!modelId) {
+      console.error("Missing model ID");
+      return res.status(400).json({ success: false, message: "Model ID is required" });
+    }
+    
+    if (!datasetId && (!testData || !testLabels)) {
+      console.error("Missing test data");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Either test data and labels or a dataset ID is required" 
+      });
+    }
+    
+    // Check if model exists
+    const aiModel = await AIModel.findById(modelId);
+    if (!aiModel) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    // Check if user owns the model
+    if (aiModel.userId.toString() !== userId.toString()) {
+      console.error("User does not own model:", modelId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to evaluate this model" 
+      });
+    }
+    
+    // Collect the test set
+    let data = testData;
+    let labels = testLabels;
+    let source = { type: "request" };
+    
+    if (datasetId) {
+      ({ data, labels, source } = await buildDatasetTestSet(aiModel, userId, {
+        datasetId,
+        datasetVersion,
+        featureColumns,
+        labelColumn
+      }));
+    }
+    
+    const classNames = Array.isArray(aiModel.classLabels) ? [...aiModel.classLabels] : undefined;
+    const evaluation = await evaluateModelPerformance(aiModel, data, labels, { threshold, classNames });
+    console.log("Model evaluation completed:", aiModel._id);
+    
+    // Persist the evaluation as the model's performance record, keeping cross-validation results
+    const crossValidation = aiModel.performance ? aiModel.performance.crossValidation : undefined;
+    aiModel.performance = {
+      ...evaluation,
+      source,
+      evaluatedAt: new Date(),
+      ...(crossValidation ? { crossValidation } : {})
+    };
+    aiModel.markModified("performance");
+    await aiModel.save();
+    
+    return res.status(200).json({
+      success: true,
+      message: "Model evaluated successfully",
+      evaluation: aiModel.performance
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error evaluating model:", error);
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error evaluating model", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Explain predictions with gradient attributions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const explainPrediction = async (req, res) => {
+  console.log("Explain prediction route accessed");
+  try {
+    const { modelId, inputData, method, target, steps, baseline, featureNames } = req.body;
+    const userId = req.user._id;
+    
+    if (!modelId) {
+      console.error("Missing model ID");
+      return res.status(400).json({ success: false, message: "Model ID is required" });
+    }
+    
+    if (!inputData) {
+      console.error("Missing input data for explanation");
+      return res.status(400).json({ success: false, message: "Input data is required for explanation" });
+    }
+    
+    // Check if model exists
+    const aiModel = await AIModel.findById(modelId);
+    if (!aiModel) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    // Owners and users of public models can explain its predictions
+    if (aiModel.userId.toString() !== userId.toString() && !aiModel.isPublic) {
+      console.error("User does not have access to model:", modelId);
+      return res.status(403).json({ success: false, message: "You do not have permission to use this model" });
+    }
+    
+    const explanation = await explainPredictions(aiModel, inputData, {
+      method,
+      target,
+      steps,
+      baseline,
+      featureNames
+    });
+    console.log("Prediction explained:", aiModel._id);
+    
+    return res.status(200).json({
+      success: true,
+      message: "Prediction explained successfully",
+      explanation
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error explaining prediction:", error);
+    return res.status(500).json({ success: false, message: "Error explaining prediction", error: error.message });
+  }
+};
+
+/**
+ * Compute permutation feature importance on test data or a stored dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const computeFeatureImportance = async (req, res) => {
+  console.log("Feature importance route accessed");
+  try {
+    const {
+      modelId,
+      testData,
+      testLabels,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      labelColumn,
+      metric,
+      repeats,
+      maxSamples,
+      seed
+    } = req.body;
+    const userId = req.user._id;
+    
+    if (!modelId) {
+      console.error("Missing model ID");
+      return res.status(400).json({ success: false, message: "Model ID is required" });
+    }
+    
+    if (!datasetId && (!testData || !testLabels)) {
+      console.error("Missing test data");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Either test data and labels or a dataset ID is required" 
+      });
+    }
+    
+    // Check if model exists
+    const aiModel = await AIModel.findById(modelId);
+    if (!aiModel) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    // Check if user owns the model
+    if (aiModel.userId.toString() !== userId.toString()) {
+      console.error("User does not own model:", modelId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to explain this model" 
+      });
+    }
+    
+    // Collect the test set
+    let data = testData;
+    let labels = testLabels;
+    let source = { type: "request" };
+    let names = featureColumns;
+    
+    if (datasetId) {
+      ({ data, labels, source } = await buildDatasetTestSet(aiModel, userId, {
+        datasetId,
+        datasetVersion,
+        featureColumns,
+        labelColumn
+      }));
+      names = source.featureColumns;
+    }
+    
+    const importance = await computePermutationImportance(aiModel, data, labels, {
+      metric,
+      repeats,
+      maxSamples,
+      seed,
+      featureNames: names
+    });
+    
+    // Keep the latest importance with the model for reporting
+    aiModel.featureImportance = {
+      ...importance,
+      source,
+      computedAt: new Date()
+    };
+    aiModel.markModified("featureImportance");
+    await aiModel.save();
+    
+    return res.status(200).json({
+      success: true,
+      message: "Feature importance computed successfully",
+      featureImportance: aiModel.featureImportance
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error computing feature importance:", error);
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error computing feature importance", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Compare models or model versions on the same test data
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const compareModelVersions = async (req, res) => {
+  console.log("Compare models route accessed");
+  try {
+    const {
+      models,
+      testData,
+      testLabels,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      labelColumn,
+      threshold,
+      maxDisagreements,
+      regressionTolerance
+    } = req.body;
+    const userId = req.user._id;
+    
+    if (!Array.isArray(models) || models.length < 2) {
+      console.error("Missing models to compare");
+      return res.status(400).json({ success: false, message: "At least two models are required for a comparison" });
+    }
+    
+    if (!datasetId && (!testData || !testLabels)) {
+      console.error("Missing test data");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Either test data and labels or a dataset ID is required" 
+      });
+    }
+    
+    // Resolve every model (or version) once; owners and users of public models can compare them
+    const candidates = [];
+    for (const { modelId, version } of models) {
+      if (!modelId || !mongoose.Types.ObjectId.isValid(modelId)) {
+        return res.status(400).json({ success: false, message: "Each model needs a valid model ID" });
+      }
+      
+      const aiModel = await AIModel.findById(modelId);
+      if (!aiModel) {
+        console.error("Model not found:", modelId);
+        return res.status(404).json({ success: false, message: `Model ${modelId} not found` });
+      }
+      
+      if (aiModel.userId.toString() !== userId.toString() && !aiModel.isPublic) {
+        console.error("User does not have access to model:", modelId);
+        return res.status(403).json({ success: false, message: "You do not have permission to use this model" });
+      }
+      
+      const resolved = resolveModelVersion(aiModel, version);
+      const resolvedVersion = resolved === aiModel ? aiModel.currentVersion || 1 : resolved.version;
+      const key = `${aiModel._id}@v${resolvedVersion}`;
+      if (candidates.some(candidate => candidate.key === key)) {
+        return res.status(400).json({ success: false, message: `Model ${key} is listed more than once` });
+      }
+      candidates.push({ key, modelId: aiModel._id, name: aiModel.name, version: resolvedVersion, aiModel: resolved });
+    }
+    
+    // One test set for all models, mapped with the columns and classes of the first one
+    const baseline = candidates[0].aiModel;
+    let data = testData;
+    let labels = testLabels;
+    let source = { type: "request" };
+    
+    if (datasetId) {
+      ({ data, labels, source } = await buildDatasetTestSet(baseline, userId, {
+        datasetId,
+        datasetVersion,
+        featureColumns,
+        labelColumn
+      }));
+    }
+    
+    const classNames = Array.isArray(baseline.classLabels) ? [...baseline.classLabels] : undefined;
+    const comparison = await compareModels(candidates, data, labels, {
+      classNames,
+      threshold,
+      maxDisagreements,
+      regressionTolerance
+    });
+    console.log("Model comparison completed:", candidates.map(candidate => candidate.key).join(", "));
+    
+    return res.status(200).json({
+      success: true,
+      message: "Models compared successfully",
+      comparison: {
+        ...comparison,
+        models: comparison.models.map((entry, index) => ({
+          key: entry.key,
+          modelId: candidates[index].modelId,
+          name: candidates[index].name,
+          version: candidates[index].version,
+          metrics: entry.metrics
+        })),
+        source
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error comparing models:", error);
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error comparing models", 
+      error: error.message 
+    });
+  }
+};
+
 /**
  * Save the trained model
  * @param {Object} req - Express request object
@@ -186,7 +701,17 @@ export const predict = async (req, res) => {
 export const saveModel = async (req, res) => {
   console.log("Saving AI model route accessed");
   try {
-    const { modelId, savePath } = req.body;
+    const {
+      modelId,
+      savePath,
+      quantization,
+      testData,
+      testLabels,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      labelColumn
+    } = req.body;
     
     if (!modelId) {
       console.error("Missing model ID");
@@ -201,13 +726,44 @@ export const saveModel = async (req, res) => {
     }
     
     // Default path if not provided
-    const path = savePath || `file://./models/model_${modelId}`;
+    const path = aiService.resolveModelPath(savePath || `file://./models/model_${modelId}`);
+    
+    // Quantize the weights, and measure what it costs on a held-out set when one is given
+    let quantized = null;
+    let quantizationReport = null;
+    if (quantization) {
+      quantized = await quantizeModel(aiModel, quantization);
+      quantizationReport = describeQuantization(quantized);
+      
+      if (datasetId || (testData && testLabels)) {
+        let data = testData;
+        let labels = testLabels;
+        if (datasetId) {
+          ({ data, labels } = await buildDatasetTestSet(aiModel, req.user._id, {
+            datasetId,
+            datasetVersion,
+            featureColumns,
+            labelColumn
+          }));
+        }
+        const classNames = Array.isArray(aiModel.classLabels) ? [...aiModel.classLabels] : undefined;
+        quantizationReport.accuracy = await compareQuantizedAccuracy(aiModel, quantized.artifacts, data, labels, { classNames });
+      }
+    }
     
-    const success = await aiService.saveModel(path);
+    const success = await aiService.saveModel(
+      aiModel,
+      path,
+      quantizationReport ? { quantization: quantizationReport } : {},
+      quantized
+    );
     if (success) {
       // Update model in database with path
       aiModel.modelPath = path;
       aiModel.status = "saved";
+      aiModel.statusReason = null;
+      aiModel.quantization = quantizationReport;
+      aiModel.markModified("quantization");
       await aiModel.save();
       
       console.log("Model saved successfully");
@@ -215,80 +771,349 @@ export const saveModel = async (req, res) => {
         success: true, 
         message: "Model saved successfully", 
         path,
-        modelId 
+        modelId,
+        ...(quantizationReport ? { quantization: quantizationReport } : {})
       });
     } else {
       console.error("Failed to save model");
       return res.status(500).json({ success: false, message: "Failed to save model" });
     }
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Error saving model:", error);
     return res.status(500).json({ success: false, message: "Error saving model", error: error.message });
   }
 };
 
 /**
- * Get all models
+ * Register an externally trained tfjs model from uploaded files
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const getModels = async (req, res) => {
-  console.log("Get models route accessed");
+export const uploadModel = async (req, res) => {
+  console.log("Upload model route accessed");
   try {
-    const { userId } = req.query;
+    const { name, description, isPublic } = req.body;
     
-    let models;
-    if (userId) {
-      // Get models for specific user
-      models = await AIModel.find({ userId: new mongoose.Types.ObjectId(userId) })
-        .sort({ createdAt: -1 });
-      console.log(`Retrieved ${models.length} models for user ID:`, userId);
-    } else {
-      // Get all models
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = parseInt(req.query.offset) || 0;
-      
-      models = await AIModel.find()
-        .sort({ createdAt: -1 })
-        .skip(offset)
-        .limit(limit);
-      
-      console.log(`Retrieved ${models.length} models`);
-    }
+    const { aiModel, summary } = await importUploadedModel(req.user._id, req.files, {
+      name,
+      description,
+      isPublic: isPublic === true || isPublic === "true"
+    });
     
-    return res.status(200).json({
+    return res.status(201).json({
       success: true,
-      models
+      message: "Model uploaded successfully",
+      model: {
+        id: aiModel._id,
+        name: aiModel.name,
+        description: aiModel.description,
+        modelPath: aiModel.modelPath,
+        status: aiModel.status,
+        classLabels: aiModel.classLabels || null,
+        summary,
+        createdAt: aiModel.createdAt
+      }
     });
   } catch (error) {
-    console.error("Error getting models:", error);
-    return res.status(500).json({ 
-      success: false, 
-      message: "Error getting models", 
-      error: error.message 
-    });
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error uploading model:", error);
+    return res.status(500).json({ success: false, message: "Error uploading model", error: error.message });
+  } finally {
+    // The model files are copied into the models directory; the raw uploads are not kept
+    await Promise.all((req.files || []).map(file => fs.promises.rm(file.path, { force: true })));
   }
 };
 
 /**
- * Get model by ID with training data and predictions
+ * Download a zip bundle of a model for browser and edge apps
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const getModelDetails = async (req, res) => {
-  console.log("Get model details route accessed");
+export const exportModel = async (req, res) => {
+  console.log("Export model route accessed");
   try {
     const { modelId } = req.params;
+    const { format, includeOptimizer, quantization } = req.query;
+    const userId = req.user._id;
     
-    // Get model from database
-    const model = await AIModel.findById(modelId);
-    if (!model) {
-      console.error("Model not found:", modelId);
-      return res.status(404).json({ success: false, message: "Model not found" });
+    if (!mongoose.Types.ObjectId.isValid(modelId)) {
+      return res.status(400).json({ success: false, message: "Invalid model ID" });
     }
     
-    return res.status(200).json({
-      success: true,
+    // Check if model exists
+    const aiModel = await AIModel.findById(modelId);
+    if (!aiModel) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    // Check if user has access to the model
+    const hasAccess = 
+      aiModel.userId.toString() === userId.toString() || 
+      aiModel.isPublic;
+    
+    if (!hasAccess) {
+      console.error("User does not have access to model:", modelId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to export this model" 
+      });
+    }
+    
+    const bundle = await buildExportBundle(aiModel, {
+      format,
+      includeOptimizer: includeOptimizer === "true",
+      quantization
+    });
+    console.log("Model exported:", modelId);
+    
+    res.attachment(bundle.fileName);
+    res.type("application/zip");
+    return res.status(200).send(bundle.buffer);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error exporting model:", error);
+    return res.status(500).json({ success: false, message: "Error exporting model", error: error.message });
+  }
+};
+
+/**
+ * Find a model owned by the user, for routes that take the model ID from the path
+ * @param {string} modelId - ID of the model
+ * @param {Object} userId - ID of the user
+ * @returns {Promise<Object>} AIModel document
+ */
+const findOwnedModel = async (modelId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(modelId)) {
+    throw new ApiError(400, "Invalid model ID");
+  }
+  const aiModel = await AIModel.findById(modelId);
+  if (!aiModel) {
+    throw new ApiError(404, "Model not found");
+  }
+  if (aiModel.userId.toString() !== userId.toString()) {
+    throw new ApiError(403, "You do not have permission to access this model");
+  }
+  return aiModel;
+};
+
+/**
+ * Get the input drift report of a model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getModelDrift = async (req, res) => {
+  console.log("Get model drift route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const drift = await getDriftReport(aiModel._id, { refresh: req.query.refresh === "true" });
+    
+    return res.status(200).json({ success: true, drift });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error getting model drift:", error);
+    return res.status(500).json({ success: false, message: "Error getting model drift", error: error.message });
+  }
+};
+
+/**
+ * Run a drift check of a model now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const checkModelDrift = async (req, res) => {
+  console.log("Check model drift route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const drift = await getDriftReport(aiModel._id, { refresh: true });
+    console.log("Drift checked for model:", aiModel._id);
+    
+    return res.status(200).json({
+      success: true,
+      message: "Drift check completed",
+      drift
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error checking model drift:", error);
+    return res.status(500).json({ success: false, message: "Error checking model drift", error: error.message });
+  }
+};
+
+/**
+ * Update the thresholds that raise drift alerts for a model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateModelDriftThresholds = async (req, res) => {
+  console.log("Update drift thresholds route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const { psi, ksPValue } = req.body;
+    const thresholds = await updateDriftThresholds(aiModel._id, { psi, ksPValue });
+    console.log("Drift thresholds updated for model:", aiModel._id);
+    
+    return res.status(200).json({
+      success: true,
+      message: "Drift thresholds updated successfully",
+      thresholds
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error updating drift thresholds:", error);
+    return res.status(500).json({ success: false, message: "Error updating drift thresholds", error: error.message });
+  }
+};
+
+/**
+ * Get the canary or shadow deployment of a model with its comparative report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getModelDeployment = async (req, res) => {
+  console.log("Get model deployment route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const deployment = await getDeploymentReport(aiModel);
+    
+    return res.status(200).json({ success: true, deployment });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error getting model deployment:", error);
+    return res.status(500).json({ success: false, message: "Error getting model deployment", error: error.message });
+  }
+};
+
+/**
+ * Start or change the canary or shadow deployment of a model version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateModelDeployment = async (req, res) => {
+  console.log("Update model deployment route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const { mode, candidateVersion, trafficPercent } = req.body;
+    const deployment = await configureDeployment(aiModel, { mode, candidateVersion, trafficPercent });
+    console.log("Deployment updated for model:", aiModel._id);
+    
+    return res.status(200).json({
+      success: true,
+      message: "Deployment updated successfully",
+      deployment
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error updating model deployment:", error);
+    return res.status(500).json({ success: false, message: "Error updating model deployment", error: error.message });
+  }
+};
+
+/**
+ * Stop the deployment of a model and send all traffic to its current version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const stopModelDeployment = async (req, res) => {
+  console.log("Stop model deployment route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const report = await stopDeployment(aiModel);
+    console.log("Deployment stopped for model:", aiModel._id);
+    
+    return res.status(200).json({
+      success: true,
+      message: "Deployment stopped successfully",
+      report
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error stopping model deployment:", error);
+    return res.status(500).json({ success: false, message: "Error stopping model deployment", error: error.message });
+  }
+};
+
+/**
+ * Get all models
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getModels = async (req, res) => {
+  console.log("Get models route accessed");
+  try {
+    const { userId } = req.query;
+    
+    let models;
+    if (userId) {
+      // Get models for specific user
+      models = await AIModel.find({ userId: new mongoose.Types.ObjectId(userId) })
+        .sort({ createdAt: -1 });
+      console.log(`Retrieved ${models.length} models for user ID:`, userId);
+    } else {
+      // Get all models
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = parseInt(req.query.offset) || 0;
+      
+      models = await AIModel.find()
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit);
+      
+      console.log(`Retrieved ${models.length} models`);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      models
+    });
+  } catch (error) {
+    console.error("Error getting models:", error);
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error getting models", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Get model by ID with training data and predictions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getModelDetails = async (req, res) => {
+  console.log("Get model details route accessed");
+  try {
+    const { modelId } = req.params;
+    
+    // Get model from database
+    const model = await AIModel.findById(modelId);
+    if (!model) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    return res.status(200).json({
+      success: true,
       model
     });
   } catch (error) {
@@ -309,228 +1134,833 @@ export const getModelDetails = async (req, res) => {
 export const cloneModelForTransfer = async (req, res) => {
   console.log("Clone model for transfer learning route accessed");
   try {
-    const { modelId, name, description, freezeBaseLayers } = req.body;
+    const { modelId, name, description, freezeBaseLayers, cutLayer, outputLayers, fineTuning } = req.body;
+    const userId = req.user._id;
+    
+    // Validate input data
+    if (!modelId) {
+      console.error("Missing source model ID");
+      return res.status(400).json({ success: false, message: "Source model ID is required" });
+    }
+    
+    // Check if source model exists
+    const sourceModel = await AIModel.findById(modelId);
+    if (!sourceModel) {
+      console.error("Source model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Source model not found" });
+    }
+    
+    // Check if user has access to source model
+    const hasAccess = 
+      sourceModel.userId.toString() === userId.toString() || 
+      sourceModel.isPublic;
+    
+    if (!hasAccess) {
+      console.error("User does not have access to model:", modelId);
+      return res.status(403).json({ success: false, message: "You do not have permission to clone this model" });
+    }
+    
+    // Check the cut layer, new output layers and fine-tuning schedule against the base
+    const transferLearning = await aiService.planTransfer(sourceModel, {
+      cutLayer,
+      outputLayers,
+      fineTuning,
+      freezeBaseLayers: freezeBaseLayers !== false // Default to true
+    });
+    
+    // Clone model for transfer learning
+    const newModel = await sourceModel.clone(userId, {
+      name,
+      description,
+      freezeBaseLayers: transferLearning.freezeBaseLayers
+    });
+    
+    // The clone is built from the base weights on first use
+    newModel.transferLearning = transferLearning;
+    newModel.markModified("transferLearning");
+    await newModel.save();
+    
+    console.log("Model cloned successfully:", newModel._id);
+    return res.status(200).json({
+      success: true,
+      message: "Model cloned successfully for transfer learning",
+      model: {
+        id: newModel._id,
+        name: newModel.name,
+        description: newModel.description,
+        baseModel: newModel.baseModel,
+        transferLearning: newModel.transferLearning,
+        createdAt: newModel.createdAt
+      }
+    });
+  } catch (error) {
+    console.error("Error cloning model for transfer learning:", error);
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error cloning model for transfer learning", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Get public models for transfer learning
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPublicModels = async (req, res) => {
+  console.log("Get public models route accessed");
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    
+    // Build filters
+    const filters = {};
+    
+    if (req.query.modelType) {
+      filters.modelType = req.query.modelType;
+    }
+    
+    if (req.query.tag) {
+      filters.tags = req.query.tag;
+    }
+    
+    // Get public models
+    const models = await AIModel.findPublicModels(filters)
+      .skip(skip)
+      .limit(limit)
+      .sort({ updatedAt: -1 })
+      .select('name description modelType tags baseModel performance createdAt userId');
+    
+    const total = await AIModel.countDocuments({ isPublic: true, ...filters });
+    
+    return res.status(200).json({
+      success: true,
+      count: models.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      models
+    });
+  } catch (error) {
+    console.error("Error getting public models:", error);
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error getting public models", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Update model architecture
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateArchitecture = async (req, res) => {
+  console.log("Update model architecture route accessed");
+  try {
+    const { modelId, layers, inputShape, outputShape } = req.body;
+    const userId = req.user._id;
+    
+    // Validate input data
+    if (!modelId || !layers) {
+      console.error("Missing required data");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Model ID and layers are required" 
+      });
+    }
+    
+    // Check if model exists
+    const model = await AIModel.findById(modelId);
+    if (!model) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    // Check if user owns the model
+    if (model.userId.toString() !== userId.toString()) {
+      console.error("User does not own model:", modelId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to update this model" 
+      });
+    }
+    
+    // Refuse architectures whose layers do not compose
+    inspectArchitecture({ layers, inputShape, outputShape });
+
+    // Rebuild the in-memory model first, so a model in use or a failed build changes nothing
+    const rebuilt = await aiService.loadModel(model._id, null, {
+      architecture: { layers, inputShape, outputShape },
+      hyperparameters: model.hyperparameters
+    });
+    if (!rebuilt) {
+      console.error("Model could not be rebuilt with the new architecture:", modelId);
+      return res.status(500).json({
+        success: false,
+        message: "The model could not be built with the new architecture"
+      });
+    }
+
+    // Update architecture
+    await model.updateArchitecture(layers, inputShape, outputShape);
+    
+    console.log("Model architecture updated successfully");
+    return res.status(200).json({
+      success: true,
+      message: "Model architecture updated successfully",
+      model: {
+        id: model._id,
+        name: model.name,
+        architecture: model.architecture,
+        updatedAt: model.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error("Error updating model architecture:", error);
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error updating model architecture", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Dry-run an architecture: build it in a sandbox and report shapes and costs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const validateModelArchitecture = async (req, res) => {
+  console.log("Validate model architecture route accessed");
+  try {
+    const { layers, inputShape, outputShape } = req.body;
+
+    if (!layers) {
+      console.error("Missing required data");
+      return res.status(400).json({ success: false, message: "Layers are required" });
+    }
+
+    try {
+      const report = inspectArchitecture({ layers, inputShape, outputShape });
+
+      return res.status(200).json({
+        success: true,
+        valid: true,
+        ...report
+      });
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+
+      // An invalid architecture is a result of the dry run, not a failed request
+      return res.status(200).json({
+        success: true,
+        valid: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+  } catch (error) {
+    console.error("Error validating model architecture:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error validating model architecture",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update model hyperparameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateHyperparameters = async (req, res) => {
+  console.log("Update hyperparameters route accessed");
+  try {
+    const { modelId, hyperparameters } = req.body;
     const userId = req.user._id;
     
-    // Validate input data
-    if (!modelId) {
-      console.error("Missing source model ID");
-      return res.status(400).json({ success: false, message: "Source model ID is required" });
+    // Validate input data
+    if (!modelId || !hyperparameters) {
+      console.error("Missing required data");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Model ID and hyperparameters are required" 
+      });
+    }
+    
+    // Check if model exists
+    const model = await AIModel.findById(modelId);
+    if (!model) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    // Check if user owns the model
+    if (model.userId.toString() !== userId.toString()) {
+      console.error("User does not own model:", modelId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to update this model" 
+      });
+    }
+    
+    // Reject callback definitions that cannot be turned into tfjs callbacks
+    validateCallbackSpecs(hyperparameters.callbacks);
+
+    // Reject unknown task types and invalid prediction settings
+    validateTaskSettings(hyperparameters);
+
+    // Reject optimizer settings that cannot be turned into a tfjs optimizer
+    const current = model.hyperparameters || {};
+    const optimizer = resolveOptimizerConfig(
+      hyperparameters.optimizer !== undefined ? hyperparameters.optimizer : current.optimizer,
+      hyperparameters.learningRate !== undefined ? hyperparameters.learningRate : current.learningRate
+    );
+
+    // Refuse before saving anything while the loaded model is training or predicting
+    aiService.assertIdle(model._id);
+
+    // Update hyperparameters
+    await model.updateHyperparameters(hyperparameters);
+    
+    // Recompile the model if it is currently loaded
+    if (aiService.isLoaded(model._id)) {
+      await aiService.updateHyperparameters(model, hyperparameters);
+    }
+    
+    console.log("Model hyperparameters updated successfully");
+    return res.status(200).json({
+      success: true,
+      message: "Model hyperparameters updated successfully",
+      model: {
+        id: model._id,
+        name: model.name,
+        hyperparameters: model.hyperparameters,
+        optimizer,
+        updatedAt: model.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error("Error updating hyperparameters:", error);
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error updating hyperparameters", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Set or clear the class label vocabulary of a model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateClassLabels = async (req, res) => {
+  console.log("Update class labels route accessed");
+  try {
+    const { modelId, labels } = req.body;
+    const userId = req.user._id;
+    
+    // Validate input data
+    if (!modelId || labels === undefined) {
+      console.error("Missing required data");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Model ID and labels are required" 
+      });
+    }
+    
+    // Check if model exists
+    const model = await AIModel.findById(modelId);
+    if (!model) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+    
+    // Check if user owns the model
+    if (model.userId.toString() !== userId.toString()) {
+      console.error("User does not own model:", modelId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to update this model" 
+      });
+    }
+    
+    // A null vocabulary removes the class names
+    if (labels !== null) {
+      const { outputs } = await aiService.getOutputInfo(model);
+      validateClassLabels(labels, outputs);
+    }
+    
+    model.classLabels = labels;
+    model.markModified("classLabels");
+    await model.save();
+    
+    console.log("Model class labels updated successfully");
+    return res.status(200).json({
+      success: true,
+      message: labels === null ? "Model class labels removed" : "Model class labels updated successfully",
+      model: {
+        id: model._id,
+        name: model.name,
+        classLabels: model.classLabels,
+        updatedAt: model.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error updating class labels:", error);
+    return res.status(500).json({ 
+      success: false, 
+      message: "Error updating class labels", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * Queue a hyperparameter tuning job that trains one fresh model per trial
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const tuneHyperparameters = async (req, res) => {
+  console.log("Tune hyperparameters route accessed");
+  try {
+    const {
+      modelId,
+      searchSpace,
+      strategy,
+      maxTrials,
+      metric,
+      mode,
+      seed,
+      validationSplit,
+      trainData,
+      labels,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      labelColumn
+    } = req.body;
+    const userId = req.user._id;
+    
+    // Validate input data
+    if (!modelId || !searchSpace) {
+      console.error("Missing required data");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Model ID and search space are required" 
+      });
+    }
+    
+    if (!datasetId && (!trainData || !labels)) {
+      console.error("Missing training data or labels");
+      return res.status(400).json({ 
+        success: false, 
+        message: "Either training data and labels or a dataset ID is required" 
+      });
     }
     
-    // Check if source model exists
-    const sourceModel = await AIModel.findById(modelId);
-    if (!sourceModel) {
-      console.error("Source model not found:", modelId);
-      return res.status(404).json({ success: false, message: "Source model not found" });
+    // Check if model exists
+    const aiModel = await AIModel.findById(modelId);
+    if (!aiModel) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
     }
     
-    // Check if user has access to source model
-    const hasAccess = 
-      sourceModel.userId.toString() === userId.toString() || 
-      sourceModel.isPublic;
+    // Check if user owns the model
+    if (aiModel.userId.toString() !== userId.toString()) {
+      console.error("User does not own model:", modelId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to tune this model" 
+      });
+    }
     
-    if (!hasAccess) {
-      console.error("User does not have access to model:", modelId);
-      return res.status(403).json({ success: false, message: "You do not have permission to clone this model" });
+    let data = { trainData, labels };
+    let datasetInfo;
+    if (datasetId) {
+      ({ data, datasetInfo } = await buildDatasetTrainingSet(aiModel, userId, {
+        datasetId,
+        datasetVersion,
+        featureColumns,
+        labelColumn
+      }));
     }
     
-    // Clone model for transfer learning
-    const newModel = await sourceModel.clone(userId, {
-      name,
-      description,
-      freezeBaseLayers: freezeBaseLayers !== false // Default to true
+    // Queue the tuning job
+    const job = await submitTuningJob(aiModel, userId, data, {
+      searchSpace,
+      strategy,
+      maxTrials,
+      metric,
+      mode,
+      seed,
+      validationSplit,
+      dataset: datasetInfo
     });
+    console.log("Tuning job queued:", job._id);
     
-    console.log("Model cloned successfully:", newModel._id);
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
-      message: "Model cloned successfully for transfer learning",
-      model: {
-        id: newModel._id,
-        name: newModel.name,
-        description: newModel.description,
-        baseModel: newModel.baseModel,
-        createdAt: newModel.createdAt
+      message: "Tuning job queued",
+      job: {
+        id: job._id,
+        modelId: job.modelId,
+        status: job.status,
+        params: job.params,
+        createdAt: job.createdAt
       }
     });
   } catch (error) {
-    console.error("Error cloning model for transfer learning:", error);
-    return res.status(500).json({ 
-      success: false, 
-      message: "Error cloning model for transfer learning", 
-      error: error.message 
-    });
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error queuing tuning job:", error);
+    return res.status(500).json({ success: false, message: "Error queuing tuning job", error: error.message });
   }
 };
 
 /**
- * Get public models for transfer learning
+ * Copy the best (or a chosen) trial of a tuning job onto its model
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const getPublicModels = async (req, res) => {
-  console.log("Get public models route accessed");
+export const promoteTuningTrial = async (req, res) => {
+  console.log("Promote tuning trial route accessed");
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { jobId } = req.params;
+    const { trial } = req.body;
+    const userId = req.user._id;
     
-    // Build filters
-    const filters = {};
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, message: "Invalid job ID" });
+    }
     
-    if (req.query.modelType) {
-      filters.modelType = req.query.modelType;
+    const job = await Job.findById(jobId);
+    if (!job) {
+      console.error("Job not found:", jobId);
+      return res.status(404).json({ success: false, message: "Job not found" });
     }
     
-    if (req.query.tag) {
-      filters.tags = req.query.tag;
+    const aiModel = await AIModel.findById(job.modelId);
+    if (!aiModel) {
+      console.error("Model not found:", job.modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
     }
     
-    // Get public models
-    const models = await AIModel.findPublicModels(filters)
-      .skip(skip)
-      .limit(limit)
-      .sort({ updatedAt: -1 })
-      .select('name description modelType tags baseModel performance createdAt userId');
+    // Check if user owns the model
+    if (aiModel.userId.toString() !== userId.toString()) {
+      console.error("User does not own model:", aiModel._id);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to update this model" 
+      });
+    }
     
-    const total = await AIModel.countDocuments({ isPublic: true, ...filters });
+    const promoted = await promoteTrial(aiModel, job, trial);
     
+    console.log(`Tuning trial ${promoted.trial.number} promoted to model ${aiModel._id}`);
     return res.status(200).json({
       success: true,
-      count: models.length,
-      total,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      models
+      message: `Trial ${promoted.trial.number} promoted`,
+      model: {
+        id: aiModel._id,
+        name: aiModel.name,
+        hyperparameters: aiModel.hyperparameters,
+        architecture: aiModel.architecture,
+        tuning: aiModel.tuning
+      },
+      trial: promoted.trial,
+      architectureChanged: promoted.architectureChanged
     });
   } catch (error) {
-    console.error("Error getting public models:", error);
-    return res.status(500).json({ 
-      success: false, 
-      message: "Error getting public models", 
-      error: error.message 
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error promoting tuning trial:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error promoting tuning trial",
+      error: error.message
     });
   }
 };
 
 /**
- * Update model architecture
+ * Queue a k-fold cross-validation job that trains one fresh model per fold
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const updateArchitecture = async (req, res) => {
-  console.log("Update model architecture route accessed");
+export const crossValidateModel = async (req, res) => {
+  console.log("Cross-validate model route accessed");
   try {
-    const { modelId, layers, inputShape, outputShape } = req.body;
+    const {
+      modelId,
+      folds,
+      stratified,
+      shuffle,
+      seed,
+      epochs,
+      batchSize,
+      threshold,
+      trainData,
+      labels,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      labelColumn
+    } = req.body;
     const userId = req.user._id;
     
     // Validate input data
-    if (!modelId || !layers) {
-      console.error("Missing required data");
+    if (!modelId) {
+      console.error("Missing model ID");
+      return res.status(400).json({ success: false, message: "Model ID is required" });
+    }
+    
+    if (!datasetId && (!trainData || !labels)) {
+      console.error("Missing training data or labels");
       return res.status(400).json({ 
         success: false, 
-        message: "Model ID and layers are required" 
+        message: "Either training data and labels or a dataset ID is required" 
       });
     }
     
     // Check if model exists
-    const model = await AIModel.findById(modelId);
-    if (!model) {
+    const aiModel = await AIModel.findById(modelId);
+    if (!aiModel) {
       console.error("Model not found:", modelId);
       return res.status(404).json({ success: false, message: "Model not found" });
     }
     
     // Check if user owns the model
-    if (model.userId.toString() !== userId.toString()) {
+    if (aiModel.userId.toString() !== userId.toString()) {
       console.error("User does not own model:", modelId);
       return res.status(403).json({ 
         success: false, 
-        message: "You do not have permission to update this model" 
+        message: "You do not have permission to cross-validate this model" 
       });
     }
     
-    // Update architecture
-    await model.updateArchitecture(layers, inputShape, outputShape);
+    let data = { trainData, labels };
+    let datasetInfo;
+    if (datasetId) {
+      ({ data, datasetInfo } = await buildDatasetTrainingSet(aiModel, userId, {
+        datasetId,
+        datasetVersion,
+        featureColumns,
+        labelColumn
+      }));
+    }
     
-    console.log("Model architecture updated successfully");
-    return res.status(200).json({
+    // Queue the cross-validation job
+    const job = await submitCrossValidationJob(aiModel, userId, data, {
+      folds,
+      stratified,
+      shuffle,
+      seed,
+      epochs,
+      batchSize,
+      threshold,
+      dataset: datasetInfo
+    });
+    console.log("Cross-validation job queued:", job._id);
+    
+    return res.status(202).json({
       success: true,
-      message: "Model architecture updated successfully",
-      model: {
-        id: model._id,
-        name: model.name,
-        architecture: model.architecture,
-        updatedAt: model.updatedAt
+      message: "Cross-validation job queued",
+      job: {
+        id: job._id,
+        modelId: job.modelId,
+        status: job.status,
+        params: job.params,
+        createdAt: job.createdAt
       }
     });
   } catch (error) {
-    console.error("Error updating model architecture:", error);
-    return res.status(500).json({ 
-      success: false, 
-      message: "Error updating model architecture", 
-      error: error.message 
-    });
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error queuing cross-validation job:", error);
+    return res.status(500).json({ success: false, message: "Error queuing cross-validation job", error: error.message });
+  }
+};
+
+// Multipart form fields arrive as strings; numbers and JSON lists are decoded here
+const parseFormField = (value) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
   }
 };
 
 /**
- * Update model hyperparameters
+ * Queue a batch inference job over a stored dataset or an uploaded CSV/NDJSON file
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const updateHyperparameters = async (req, res) => {
-  console.log("Update hyperparameters route accessed");
+export const submitBatchPrediction = async (req, res) => {
+  console.log("Batch prediction route accessed");
+  let queued = false;
   try {
-    const { modelId, hyperparameters } = req.body;
+    const fields = req.file
+      ? Object.fromEntries(Object.entries(req.body).map(([name, value]) => [name, parseFormField(value)]))
+      : req.body;
+    const {
+      modelId,
+      datasetId,
+      datasetVersion,
+      featureColumns,
+      chunkSize,
+      format,
+      outputFormat,
+      topK,
+      threshold
+    } = fields;
     const userId = req.user._id;
     
     // Validate input data
-    if (!modelId || !hyperparameters) {
-      console.error("Missing required data");
+    if (!modelId) {
+      console.error("Missing model ID");
+      return res.status(400).json({ success: false, message: "Model ID is required" });
+    }
+    
+    if (!datasetId && !req.file) {
+      console.error("Missing batch input");
       return res.status(400).json({ 
         success: false, 
-        message: "Model ID and hyperparameters are required" 
+        message: "Either a dataset ID or an uploaded file is required" 
       });
     }
     
     // Check if model exists
-    const model = await AIModel.findById(modelId);
-    if (!model) {
+    const aiModel = await AIModel.findById(modelId);
+    if (!aiModel) {
       console.error("Model not found:", modelId);
       return res.status(404).json({ success: false, message: "Model not found" });
     }
     
-    // Check if user owns the model
-    if (model.userId.toString() !== userId.toString()) {
-      console.error("User does not own model:", modelId);
+    // Check if user has access to the model
+    const hasAccess = 
+      aiModel.userId.toString() === userId.toString() || 
+      aiModel.isPublic;
+    
+    if (!hasAccess) {
+      console.error("User does not have access to model:", modelId);
       return res.status(403).json({ 
         success: false, 
-        message: "You do not have permission to update this model" 
+        message: "You do not have permission to use this model" 
       });
     }
     
-    // Update hyperparameters
-    await model.updateHyperparameters(hyperparameters);
+    // Queue the batch inference job
+    const job = await submitBatchInferenceJob(
+      aiModel,
+      userId,
+      req.file ? { file: req.file } : { datasetId, datasetVersion },
+      { featureColumns, chunkSize, format, outputFormat, topK, threshold }
+    );
+    queued = true;
+    console.log("Batch inference job queued:", job._id);
     
-    console.log("Model hyperparameters updated successfully");
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
-      message: "Model hyperparameters updated successfully",
-      model: {
-        id: model._id,
-        name: model.name,
-        hyperparameters: model.hyperparameters,
-        updatedAt: model.updatedAt
+      message: "Batch inference job queued",
+      job: {
+        id: job._id,
+        modelId: job.modelId,
+        status: job.status,
+        params: job.params,
+        createdAt: job.createdAt
       }
     });
   } catch (error) {
-    console.error("Error updating hyperparameters:", error);
-    return res.status(500).json({ 
-      success: false, 
-      message: "Error updating hyperparameters", 
-      error: error.message 
-    });
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error queuing batch inference job:", error);
+    return res.status(500).json({ success: false, message: "Error queuing batch inference job", error: error.message });
+  } finally {
+    // Uploads are owned by the job once it is queued
+    if (req.file && !queued) {
+      await fs.promises.rm(req.file.path, { force: true });
+    }
+  }
+};
+
+/**
+ * Download the prediction file of a finished batch inference job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadBatchPredictions = async (req, res) => {
+  console.log("Download batch predictions route accessed");
+  try {
+    const { jobId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, message: "Invalid job ID" });
+    }
+    
+    const job = await Job.findById(jobId);
+    if (!job || job.type !== "batchInference") {
+      console.error("Batch inference job not found:", jobId);
+      return res.status(404).json({ success: false, message: "Batch inference job not found" });
+    }
+    
+    // Check if user owns the job
+    if (!job.userId || job.userId.toString() !== req.user._id.toString()) {
+      console.error("User does not own job:", jobId);
+      return res.status(403).json({ 
+        success: false, 
+        message: "You do not have permission to download these predictions" 
+      });
+    }
+    
+    if (job.status !== "succeeded") {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Predictions are not available for a ${job.status} job` 
+      });
+    }
+    
+    const outputPath = getBatchOutputPath(job);
+    if (!fs.existsSync(outputPath)) {
+      console.error("Prediction file missing for job:", jobId);
+      return res.status(404).json({ success: false, message: "Prediction file not found" });
+    }
+    
+    return res.download(outputPath, `predictions-${job._id}.${job.params.outputFormat}`);
+  } catch (error) {
+    console.error("Error downloading batch predictions:", error);
+    return res.status(500).json({ success: false, message: "Error downloading batch predictions", error: error.message });
   }
 };
 
@@ -625,8 +2055,18 @@ export const createModelVersion = async (req, res) => {
     // Default path if not provided
     const path = modelPath || `file://./models/model_${modelId}_v${model.currentVersion + 1}`;
     
-    // Create new version
+    // Without a path, the new version keeps the current weights in its own directory
+    if (!modelPath) {
+      const saved = await aiService.saveModel(model, path);
+      if (!saved) {
+        console.error("Failed to save the weights of the new version");
+        return res.status(500).json({ success: false, message: "Failed to save the weights of the new version" });
+      }
+    }
+    
+    // Create new version; new versions start as drafts
     await model.createVersion(path, description, performance);
+    await initializeVersionStage(model, model.currentVersion, { note: description, userId });
     
     console.log("Model version created successfully");
     return res.status(200).json({
@@ -641,6 +2081,9 @@ export const createModelVersion = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Error creating model version:", error);
     return res.status(500).json({ 
       success: false, 
@@ -650,6 +2093,96 @@ export const createModelVersion = async (req, res) => {
   }
 };
 
+/**
+ * Get the versions of a model with their stages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getModelVersions = async (req, res) => {
+  console.log("Get model versions route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    
+    return res.status(200).json({ success: true, ...describeModelVersions(aiModel) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error getting model versions:", error);
+    return res.status(500).json({ success: false, message: "Error getting model versions", error: error.message });
+  }
+};
+
+/**
+ * Move a model version to another lifecycle stage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const promoteVersion = async (req, res) => {
+  console.log("Promote model version route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const { stage = "production", note } = req.body;
+    const promotion = await promoteModelVersion(aiModel, req.params.version, stage, { note, userId: req.user._id });
+    
+    // A canary or shadow ends with the promotion; its report shows what was promoted on
+    let deploymentReport = null;
+    if (stage === "production" && aiModel.deployment && aiModel.deployment.mode) {
+      deploymentReport = await stopDeployment(aiModel);
+    }
+    console.log(`Version ${promotion.version} of model ${aiModel._id} promoted to ${stage}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Version ${promotion.version} moved to ${stage}`,
+      promotion,
+      deploymentReport,
+      ...describeModelVersions(aiModel)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error promoting model version:", error);
+    return res.status(500).json({ success: false, message: "Error promoting model version", error: error.message });
+  }
+};
+
+/**
+ * Put an earlier production version of a model back into production
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const rollbackVersion = async (req, res) => {
+  console.log("Rollback model version route accessed");
+  try {
+    const aiModel = await findOwnedModel(req.params.modelId, req.user._id);
+    const { version, note } = req.body;
+    const rollback = await rollbackModelVersion(aiModel, { version, note, userId: req.user._id });
+    
+    // The candidate of a running deployment was compared against the version just replaced
+    let deploymentReport = null;
+    if (aiModel.deployment && aiModel.deployment.mode) {
+      deploymentReport = await stopDeployment(aiModel);
+    }
+    console.log(`Model ${aiModel._id} rolled back to version ${rollback.version}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Rolled back to version ${rollback.version}`,
+      rollback,
+      deploymentReport,
+      ...describeModelVersions(aiModel)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("Error rolling back model version:", error);
+    return res.status(500).json({ success: false, message: "Error rolling back model version", error: error.message });
+  }
+};
+
 /**
  * Make model public or private
  * @param {Object} req - Express request object
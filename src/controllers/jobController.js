@@ -0,0 +1,360 @@
+import Job, { JOB_STATUSES, ACTIVE_JOB_STATUSES } from "../models/jobModel.js";
+import AIModel from "../models/aiModel.js";
+import jobService from "../services/jobService.js";
+import { openEventStream } from "../utils/sse.js";
+import mongoose from "mongoose";
+
+// Send the epochs a job has already completed to a new subscriber
+const replayEpochs = (stream, job) => {
+  job.epochs.forEach((entry) => {
+    stream.send("epoch", {
+      jobId: job._id,
+      modelId: job.modelId,
+      epoch: entry.epoch,
+      totalEpochs: job.progress.totalEpochs,
+      logs: entry.logs,
+      elapsedMs: entry.elapsedMs,
+      etaMs: entry.etaMs,
+      replay: true
+    });
+  });
+  return job.epochs.length ? job.epochs[job.epochs.length - 1].epoch : 0;
+};
+
+// Build the payload of a status event from a job document
+const jobStatus = (job) => ({
+  jobId: job._id,
+  modelId: job.modelId,
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  error: job.error
+});
+
+/**
+ * Get jobs submitted by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getJobs = async (req, res) => {
+  console.log("Get jobs route accessed");
+  try {
+    const { modelId, status, type } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const query = { userId: req.user._id };
+
+    if (modelId) {
+      if (!mongoose.Types.ObjectId.isValid(modelId)) {
+        return res.status(400).json({ success: false, message: "Invalid model ID" });
+      }
+      query.modelId = new mongoose.Types.ObjectId(modelId);
+    }
+
+    if (status) {
+      if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${JOB_STATUSES.join(", ")}`
+        });
+      }
+      query.status = status;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    const jobs = await Job.find(query)
+      .select("-epochs")
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit);
+
+    const total = await Job.countDocuments(query);
+
+    return res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      jobs
+    });
+  } catch (error) {
+    console.error("Error getting jobs:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error getting jobs",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a job with its per-epoch progress
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getJobById = async (req, res) => {
+  console.log("Get job route accessed");
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, message: "Invalid job ID" });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      console.error("Job not found:", jobId);
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    // Check if user owns the job
+    if (!job.userId || job.userId.toString() !== req.user._id.toString()) {
+      console.error("User does not own job:", jobId);
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to view this job"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error("Error getting job:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error getting job",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cancelJob = async (req, res) => {
+  console.log("Cancel job route accessed");
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, message: "Invalid job ID" });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      console.error("Job not found:", jobId);
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    // Check if user owns the job
+    if (!job.userId || job.userId.toString() !== req.user._id.toString()) {
+      console.error("User does not own job:", jobId);
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to cancel this job"
+      });
+    }
+
+    if (job.isFinished()) {
+      return res.status(409).json({
+        success: false,
+        message: `Job has already ${job.status === "cancelled" ? "been cancelled" : job.status}`
+      });
+    }
+
+    await jobService.cancel(job);
+
+    console.log("Job cancellation processed:", jobId);
+    return res.status(200).json({
+      success: true,
+      message: job.status === "cancelled" ? "Job cancelled" : "Job cancellation requested",
+      job: {
+        id: job._id,
+        status: job.status,
+        cancelRequested: job.cancelRequested
+      }
+    });
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error cancelling job",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stream live progress of a job over Server-Sent Events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const streamJob = async (req, res) => {
+  console.log("Stream job route accessed");
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, message: "Invalid job ID" });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      console.error("Job not found:", jobId);
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    // Check if user owns the job
+    if (!job.userId || job.userId.toString() !== req.user._id.toString()) {
+      console.error("User does not own job:", jobId);
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to view this job"
+      });
+    }
+
+    // Subscribe before replaying so no event falls between the two
+    const pending = [];
+    let lastEpoch = null;
+    let stream = null;
+
+    const handleEvent = (event) => {
+      if (event.event === "epoch") {
+        if (event.data.epoch <= lastEpoch) {
+          return;
+        }
+        lastEpoch = event.data.epoch;
+      }
+      stream.send(event.event, { jobId: event.jobId, modelId: event.modelId, ...event.data });
+      if (event.event === "status" && !ACTIVE_JOB_STATUSES.includes(event.data.status)) {
+        stream.close();
+      }
+    };
+
+    const unsubscribe = jobService.subscribe((event) => {
+      if (event.jobId !== jobId) {
+        return;
+      }
+      if (lastEpoch === null) {
+        pending.push(event);
+      } else {
+        handleEvent(event);
+      }
+    });
+
+    stream = openEventStream(req, res, unsubscribe);
+
+    // Reload the job so the replay includes every persisted epoch
+    const current = await Job.findById(jobId);
+    stream.send("status", jobStatus(current));
+    lastEpoch = replayEpochs(stream, current);
+
+    if (current.isFinished()) {
+      stream.close();
+      return;
+    }
+
+    pending.forEach(handleEvent);
+  } catch (error) {
+    console.error("Error streaming job:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: "Error streaming job",
+        error: error.message
+      });
+    }
+    res.end();
+  }
+};
+
+/**
+ * Stream live training progress of every job of a model over Server-Sent Events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const streamModelTraining = async (req, res) => {
+  console.log("Stream model training route accessed");
+  try {
+    const { modelId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(modelId)) {
+      return res.status(400).json({ success: false, message: "Invalid model ID" });
+    }
+
+    const model = await AIModel.findById(modelId);
+    if (!model) {
+      console.error("Model not found:", modelId);
+      return res.status(404).json({ success: false, message: "Model not found" });
+    }
+
+    // Check if user owns the model
+    if (model.userId.toString() !== req.user._id.toString()) {
+      console.error("User does not own model:", modelId);
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to view this model's training"
+      });
+    }
+
+    // Last epoch sent per job, used to skip epochs already replayed
+    const lastEpochs = new Map();
+    const pending = [];
+    let replayed = false;
+    let stream = null;
+
+    const handleEvent = (event) => {
+      if (event.event === "epoch") {
+        if (event.data.epoch <= (lastEpochs.get(event.jobId) || 0)) {
+          return;
+        }
+        lastEpochs.set(event.jobId, event.data.epoch);
+      }
+      stream.send(event.event, { jobId: event.jobId, modelId: event.modelId, ...event.data });
+    };
+
+    const unsubscribe = jobService.subscribe((event) => {
+      if (event.modelId !== modelId) {
+        return;
+      }
+      if (!replayed) {
+        pending.push(event);
+      } else {
+        handleEvent(event);
+      }
+    });
+
+    stream = openEventStream(req, res, unsubscribe);
+
+    // Replay jobs of this model that are still in progress
+    const activeJobs = await Job.find({
+      modelId: model._id,
+      status: { $in: ACTIVE_JOB_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    activeJobs.forEach((job) => {
+      stream.send("status", jobStatus(job));
+      lastEpochs.set(job._id.toString(), replayEpochs(stream, job));
+    });
+
+    replayed = true;
+    pending.forEach(handleEvent);
+  } catch (error) {
+    console.error("Error streaming model training:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: "Error streaming model training",
+        error: error.message
+      });
+    }
+    res.end();
+  }
+};
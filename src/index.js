@@ -15,11 +15,17 @@ import apiRoutes from "./routes/index.js";
 import authRoutes from "./routes/authRoutes.js";
 import { testConnection } from "./db/connection.js";
 import { initializeDatabase } from "./db/init.js";
+import jobService from "./services/jobService.js";
+import { rehydrateSavedModels } from "./services/modelRehydrationService.js";
+import { startDriftMonitoring } from "./services/driftService.js";
 
 // Load models to ensure they're registered with Mongoose
 import "./models/userModel.js";
 import "./models/aiModel.js";
 import "./models/datasetModel.js";
+import "./models/jobModel.js";
+import "./models/driftMonitorModel.js";
+import "./models/deploymentLogModel.js";
 
 // Load environment variables
 dotenv.config();
@@ -119,11 +125,22 @@ const startServer = async () => {
     const dbInitialized = await initializeDatabase();
     
     if (dbInitialized) {
+      // Jobs left running by a previous process can never finish
+      await jobService.recoverInterruptedJobs();
+      
       // Start the server
       app.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
         console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
       });
+      
+      // Load saved models in the background; the rest load on first use
+      rehydrateSavedModels().catch((error) => {
+        console.error("Error rehydrating saved models:", error);
+      });
+      
+      // Compare recent prediction inputs with training data on a schedule
+      startDriftMonitoring();
     } else {
       console.error("Could not initialize MongoDB database. Please check your configuration.");
       process.exit(1);
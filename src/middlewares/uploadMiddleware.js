@@ -0,0 +1,84 @@
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+// Get directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Uploaded files are kept per user until the job that reads them is done
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Largest accepted upload, in megabytes
+const MAX_UPLOAD_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 200;
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const userDir = path.join(UPLOADS_DIR, req.user._id.toString());
+    fs.mkdir(userDir, { recursive: true }, error => cb(error, userDir));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+// Build the multer options that keep only files with the given extensions
+const uploadOptions = (field, extensions) => ({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!extensions.includes(extension)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+    }
+    cb(null, true);
+  }
+});
+
+// Run a multer upload and answer upload errors with a JSON 400
+const handleUpload = (upload, field, extensions) => (req, res, next) => {
+  // JSON requests pass through untouched
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  upload(req, res, error => {
+    if (!error) {
+      return next();
+    }
+
+    let message = error.message;
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `File is larger than ${MAX_UPLOAD_SIZE_MB} MB`;
+    } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Expected "${field}" files with extension ${extensions.join(', ')}`;
+    }
+
+    console.error('Upload rejected:', message);
+    return res.status(error instanceof multer.MulterError ? 400 : 500).json({
+      success: false,
+      message
+    });
+  });
+};
+
+/**
+ * Accept a single uploaded file with one of the given extensions
+ * @param {string} field - Multipart field holding the file
+ * @param {Array<string>} extensions - Allowed extensions (e.g. ['.csv'])
+ * @returns {Function} Express middleware; the file is available as req.file
+ */
+export const uploadSingleFile = (field, extensions) =>
+  handleUpload(multer(uploadOptions(field, extensions)).single(field), field, extensions);
+
+/**
+ * Accept several uploaded files with one of the given extensions
+ * @param {string} field - Multipart field holding the files
+ * @param {Array<string>} extensions - Allowed extensions (e.g. ['.json', '.bin'])
+ * @param {number} maxCount - Largest number of files
+ * @returns {Function} Express middleware; the files are available as req.files
+ */
+export const uploadFiles = (field, extensions, maxCount) =>
+  handleUpload(multer(uploadOptions(field, extensions)).array(field, maxCount), field, extensions);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+export const DEPLOYMENT_MODES = ['canary', 'shadow'];
+
+// One prediction request served while a canary or shadow deployment was active
+const deploymentLogSchema = new mongoose.Schema({
+  modelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AIModel',
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: DEPLOYMENT_MODES,
+    required: true
+  },
+  primaryVersion: {
+    type: Number,
+    required: true
+  },
+  candidateVersion: {
+    type: Number,
+    required: true
+  },
+  // Version whose output was returned to the caller
+  servedVersion: {
+    type: Number,
+    required: true
+  },
+  samples: {
+    type: Number
+  },
+  primaryOutput: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  primaryLatencyMs: {
+    type: Number
+  },
+  candidateOutput: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  candidateLatencyMs: {
+    type: Number
+  },
+  candidateError: {
+    type: String
+  },
+  // Logs are kept for 30 days
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30
+  }
+});
+
+deploymentLogSchema.index({ modelId: 1, candidateVersion: 1, createdAt: -1 });
+
+const DeploymentLog = mongoose.model('DeploymentLog', deploymentLogSchema);
+
+export default DeploymentLog;
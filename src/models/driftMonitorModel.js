@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const featureDriftSchema = new mongoose.Schema({
+  feature: {
+    type: String,
+    required: true
+  },
+  psi: {
+    type: Number
+  },
+  ksStatistic: {
+    type: Number
+  },
+  ksPValue: {
+    type: Number
+  },
+  trainingMean: {
+    type: Number
+  },
+  currentMean: {
+    type: Number
+  },
+  trainingStd: {
+    type: Number
+  },
+  currentStd: {
+    type: Number
+  },
+  drifted: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const alertSchema = new mongoose.Schema({
+  feature: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    enum: ['psi', 'ks'],
+    required: true
+  },
+  value: {
+    type: Number
+  },
+  threshold: {
+    type: Number
+  }
+}, { _id: false });
+
+const driftReportSchema = new mongoose.Schema({
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  samples: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'drift', 'insufficientData'],
+    required: true
+  },
+  features: [featureDriftSchema],
+  alerts: [alertSchema]
+}, { _id: false });
+
+const driftMonitorSchema = new mongoose.Schema({
+  modelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AIModel',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Per-feature statistics of the data the model was last trained on
+  training: {
+    featureNames: [String],
+    features: [mongoose.Schema.Types.Mixed],
+    samples: Number,
+    jobId: mongoose.Schema.Types.ObjectId,
+    capturedAt: Date
+  },
+  thresholds: {
+    psi: { type: Number, default: 0.2 },
+    ksPValue: { type: Number, default: 0.05 }
+  },
+  // Most recent prediction inputs, oldest first
+  window: {
+    type: [[Number]],
+    default: []
+  },
+  observed: {
+    type: Number,
+    default: 0
+  },
+  latestReport: driftReportSchema,
+  reports: [driftReportSchema]
+}, { timestamps: true });
+
+const DriftMonitor = mongoose.model('DriftMonitor', driftMonitorSchema);
+
+export default DriftMonitor;
@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+
+export const JOB_TYPES = ['training', 'tuning', 'crossValidation', 'batchInference'];
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const epochSchema = new mongoose.Schema({
+  epoch: {
+    type: Number,
+    required: true
+  },
+  logs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  elapsedMs: {
+    type: Number
+  },
+  etaMs: {
+    type: Number
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const trialSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed', 'cancelled'],
+    required: true
+  },
+  score: {
+    type: Number
+  },
+  bestEpoch: {
+    type: Number
+  },
+  epochs: {
+    type: Number
+  },
+  metrics: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const foldSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'cancelled'],
+    required: true
+  },
+  trainSamples: {
+    type: Number
+  },
+  testSamples: {
+    type: Number
+  },
+  epochs: {
+    type: Number
+  },
+  metrics: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  durationMs: {
+    type: Number
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  modelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AIModel',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    epoch: { type: Number, default: 0 },
+    totalEpochs: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 },
+    trial: { type: Number, default: 0 },
+    totalTrials: { type: Number, default: 0 },
+    fold: { type: Number, default: 0 },
+    totalFolds: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 }
+  },
+  epochs: [epochSchema],
+  trials: [trialSchema],
+  folds: [foldSchema],
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+/**
+ * Check whether the job has reached a final state
+ * @returns {boolean} True if the job is no longer queued or running
+ */
+jobSchema.methods.isFinished = function() {
+  return !ACTIVE_JOB_STATUSES.includes(this.status);
+};
+
+/**
+ * Record the metrics of a completed epoch
+ * @param {number} epoch - Zero-based epoch index
+ * @param {Object} logs - Metrics reported by tfjs
+ * @param {Object} timing - Elapsed time and estimated time remaining in ms
+ */
+jobSchema.methods.recordEpoch = function(epoch, logs, { elapsedMs, etaMs } = {}) {
+  this.epochs.push({ epoch: epoch + 1, logs, elapsedMs, etaMs });
+  this.progress.epoch = epoch + 1;
+  if (this.progress.totalEpochs) {
+    this.progress.percent = Math.round(((epoch + 1) / this.progress.totalEpochs) * 100);
+  }
+  return this.save();
+};
+
+/**
+ * Record the outcome of a hyperparameter tuning trial
+ * @param {Object} trial - Trial number, parameters, status, score and metrics
+ */
+jobSchema.methods.recordTrial = function(trial) {
+  this.trials.push(trial);
+  this.progress.trial = trial.number;
+  if (this.progress.totalTrials) {
+    this.progress.percent = Math.round((trial.number / this.progress.totalTrials) * 100);
+  }
+  return this.save();
+};
+
+/**
+ * Record the held-out metrics of a cross-validation fold
+ * @param {Object} fold - Fold number, sample counts and metrics
+ */
+jobSchema.methods.recordFold = function(fold) {
+  this.folds.push(fold);
+  this.progress.fold = fold.number;
+  if (this.progress.totalFolds) {
+    this.progress.percent = Math.round((fold.number / this.progress.totalFolds) * 100);
+  }
+  return this.save();
+};
+
+/**
+ * Record how far a batch inference job has read through its input
+ * @param {number} processedRows - Rows scored so far
+ * @param {number} percent - Share of the input file read so far
+ */
+jobSchema.methods.recordBatchProgress = function(processedRows, percent) {
+  this.progress.processedRows = processedRows;
+  this.progress.percent = percent;
+  return this.save();
+};
+
+/**
+ * Move the job into a final state
+ * @param {string} status - succeeded, failed or cancelled
+ * @param {Object} details - Optional result or error message
+ */
+jobSchema.methods.finish = function(status, { result, error } = {}) {
+  this.status = status;
+  this.finishedAt = new Date();
+  if (result !== undefined) {
+    this.result = result;
+  }
+  if (error) {
+    this.error = error;
+  }
+  return this.save();
+};
+
+/**
+ * Mark jobs left queued or running by a previous process as failed
+ * @returns {Promise<number>} Number of jobs updated
+ */
+jobSchema.statics.failInterruptedJobs = async function() {
+  const result = await this.updateMany(
+    { status: { $in: ACTIVE_JOB_STATUSES } },
+    {
+      $set: {
+        status: 'failed',
+        error: 'Interrupted by server restart',
+        finishedAt: new Date()
+      }
+    }
+  );
+  return result.modifiedCount;
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -3,18 +3,50 @@ import {
   initializeModel,
   trainModel,
   predict,
+  evaluateModel,
+  explainPrediction,
+  computeFeatureImportance,
+  compareModelVersions,
   saveModel,
+  exportModel,
+  getModelDrift,
+  checkModelDrift,
+  updateModelDriftThresholds,
+  getModelDeployment,
+  updateModelDeployment,
+  stopModelDeployment,
+  uploadModel,
   getModels,
   getModelDetails,
   cloneModelForTransfer,
   getPublicModels,
   updateArchitecture,
+  validateModelArchitecture,
   updateHyperparameters,
+  updateClassLabels,
+  tuneHyperparameters,
+  promoteTuningTrial,
+  crossValidateModel,
+  submitBatchPrediction,
+  downloadBatchPredictions,
   addVisualization,
   createModelVersion,
+  getModelVersions,
+  promoteVersion,
+  rollbackVersion,
   toggleModelVisibility
 } from "../controllers/aiController.js";
+import {
+  getJobs,
+  getJobById,
+  cancelJob,
+  streamJob,
+  streamModelTraining
+} from "../controllers/jobController.js";
 import { authenticate } from "../middlewares/authMiddleware.js";
+import { uploadSingleFile, uploadFiles } from "../middlewares/uploadMiddleware.js";
+import { BATCH_INPUT_EXTENSIONS } from "../services/batchInferenceService.js";
+import { MODEL_UPLOAD_EXTENSIONS } from "../services/modelImportService.js";
 
 const router = express.Router();
 
@@ -145,7 +177,7 @@ router.post("/initialize", initializeModel);
  * @swagger
  * /api/ai/train:
  *   post:
- *     summary: Train the AI model
+ *     summary: Queue a training job for the AI model
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -157,33 +189,50 @@ router.post("/initialize", initializeModel);
  *             type: object
  *             required:
  *               - modelId
- *               - trainData
- *               - labels
  *             properties:
  *               modelId:
  *                 type: string
  *                 description: ID of the model to train
  *               trainData:
  *                 type: array
- *                 description: Training data
+ *                 description: Training data (required without datasetId)
  *               labels:
  *                 type: array
- *                 description: Training labels
+ *                 description: Training labels (required without datasetId)
+ *               datasetId:
+ *                 type: string
+ *                 description: Dataset to train on instead of trainData
+ *               datasetVersion:
+ *                 type: integer
+ *                 description: Dataset version to train on (defaults to the current file)
+ *               featureColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Feature columns (defaults to every column except the label)
+ *               labelColumn:
+ *                 type: string
+ *                 description: Label column (defaults to the last column); categorical labels are one-hot encoded
  *               epochs:
  *                 type: integer
  *                 description: Number of epochs
  *               batchSize:
  *                 type: integer
  *                 description: Batch size
+ *               validationSplit:
+ *                 type: number
+ *                 description: Fraction of the data held out for validation
  *     responses:
- *       200:
- *         description: Model trained successfully
+ *       202:
+ *         description: Training job queued
  *       400:
- *         description: Missing required parameters
+ *         description: Missing required parameters or invalid dataset columns
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: No access to the dataset
  *       404:
- *         description: Model not found
+ *         description: Model or dataset not found
  *       500:
  *         description: Server error
  */
@@ -213,11 +262,35 @@ router.post("/train", trainModel);
  *               inputData:
  *                 type: array
  *                 description: Input data for prediction
+ *               topK:
+ *                 type: integer
+ *                 description: Number of ranked classes returned per sample (multi-class models)
+ *               version:
+ *                 type: integer
+ *                 description: Version to predict with; defaults to the production version (or the current version when none was promoted), with canary and shadow deployments applied
+ *               threshold:
+ *                 description: Decision threshold, or one per label (binary and multi-label models)
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: array
+ *                     items:
+ *                       type: number
  *     responses:
  *       200:
- *         description: Prediction completed successfully
+ *         description: |
+ *           Prediction completed successfully. `taskType` is the model's declared (or inferred)
+ *           task, `predictions` the raw outputs and `results` one entry per sample:
+ *           - multiClass: class, label, probability and topK ranked classes
+ *           - binary: class, label, probability and positiveProbability
+ *           - multiLabel: labels (class, label, probability, predicted), the predicted classes
+ *             and predictedLabels
+ *           Class names (label) come from the model's label vocabulary (PUT /api/ai/labels).
+ *           - regression: value (or values), de-normalized with prediction.targetNormalization
+ *           `confidence` is only returned for binary and multi-class models. Multi-output models
+ *           return every field keyed by output name. `version` is the model version that answered,
+ *           which is the candidate for the share of traffic a canary deployment routes to it.
  *       400:
- *         description: Missing input data
+ *         description: Missing input data or invalid prediction settings
  *       401:
  *         description: Unauthorized
  *       404:
@@ -229,9 +302,10 @@ router.post("/predict", predict);
 
 /**
  * @swagger
- * /api/ai/save:
+ * /api/ai/evaluate:
  *   post:
- *     summary: Save the trained AI model
+ *     summary: Evaluate a model and store the results as its performance
+ *     description: Returns precision, recall, F1 (macro/micro/weighted/per-class), confusion matrix, ROC-AUC and PR curves for classifiers, and MAE/MSE/RMSE/R² for regressors.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -246,29 +320,57 @@ router.post("/predict", predict);
  *             properties:
  *               modelId:
  *                 type: string
- *                 description: ID of the model to save
- *               savePath:
+ *                 description: ID of the model to evaluate
+ *               testData:
+ *                 type: array
+ *                 description: Test inputs (required without datasetId)
+ *               testLabels:
+ *                 type: array
+ *                 description: Test labels shaped like the model output (required without datasetId)
+ *               datasetId:
  *                 type: string
- *                 description: Path to save the model
+ *                 description: Dataset to evaluate on instead of testData
+ *               datasetVersion:
+ *                 type: integer
+ *                 description: Dataset version to use
+ *               featureColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Feature columns (defaults to every column except the label)
+ *               labelColumn:
+ *                 type: string
+ *                 description: Label column (defaults to the last column)
+ *               threshold:
+ *                 type: number
+ *                 description: Decision threshold for binary and multi-label models (defaults to the model's configured threshold, else 0.5)
  *     responses:
  *       200:
- *         description: Model saved successfully
+ *         description: Evaluation results
  *       400:
- *         description: Model ID is required
+ *         description: Invalid or missing test data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  *       404:
- *         description: Model not found
+ *         description: Model or dataset not found
  *       500:
  *         description: Server error
  */
-router.post("/save", saveModel);
+router.post("/evaluate", evaluateModel);
 
 /**
  * @swagger
- * /api/ai/clone:
+ * /api/ai/explain/prediction:
  *   post:
- *     summary: Clone a model for transfer learning
+ *     summary: Explain predictions with gradient attributions
+ *     description: |
+ *       Attributes the output of each sample to its input values. `gradientInput` multiplies
+ *       input gradients by the input, `integratedGradients` averages gradients along the path
+ *       from a baseline (default: all zeros) and `saliency` returns absolute gradients, with one
+ *       value per pixel for image inputs. Tabular attributions are keyed by feature name when the
+ *       model was trained on dataset columns or featureNames are given.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -280,24 +382,40 @@ router.post("/save", saveModel);
  *             type: object
  *             required:
  *               - modelId
+ *               - inputData
  *             properties:
  *               modelId:
  *                 type: string
- *                 description: ID of the model to clone
- *               name:
- *                 type: string
- *                 description: Name of the new model
- *               description:
+ *                 description: ID of the model
+ *               inputData:
+ *                 type: array
+ *                 description: Samples to explain (at most 100)
+ *               method:
  *                 type: string
- *                 description: Description of the new model
- *               freezeBaseLayers:
- *                 type: boolean
- *                 description: Whether to freeze base model layers
+ *                 enum: [gradientInput, integratedGradients, saliency]
+ *                 default: gradientInput
+ *               target:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 description: Output unit or class label to explain (default: the predicted class)
+ *               steps:
+ *                 type: integer
+ *                 default: 50
+ *                 description: Integration steps for integratedGradients
+ *               baseline:
+ *                 type: array
+ *                 description: Baseline sample for integratedGradients
+ *               featureNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Names of the input features (defaults to the training feature columns)
  *     responses:
  *       200:
- *         description: Model cloned successfully
+ *         description: Attributions per sample
  *       400:
- *         description: Model ID is required
+ *         description: Invalid input, method or target
  *       401:
  *         description: Unauthorized
  *       403:
@@ -307,13 +425,16 @@ router.post("/save", saveModel);
  *       500:
  *         description: Server error
  */
-router.post("/clone", cloneModelForTransfer);
+router.post("/explain/prediction", explainPrediction);
 
 /**
  * @swagger
- * /api/ai/architecture:
- *   put:
- *     summary: Update model architecture
+ * /api/ai/explain/importance:
+ *   post:
+ *     summary: Compute permutation feature importance and store it with the model
+ *     description: |
+ *       Shuffles one feature column at a time and measures how much the chosen metric gets
+ *       worse, averaged over `repeats` shuffles. Features are ranked by importance.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -325,41 +446,71 @@ router.post("/clone", cloneModelForTransfer);
  *             type: object
  *             required:
  *               - modelId
- *               - layers
  *             properties:
  *               modelId:
  *                 type: string
  *                 description: ID of the model
- *               layers:
+ *               testData:
  *                 type: array
- *                 description: Model layers
- *               inputShape:
+ *                 description: Tabular inputs (required without datasetId)
+ *               testLabels:
  *                 type: array
- *                 description: Input shape
- *               outputShape:
+ *                 description: Labels shaped like the model output (required without datasetId)
+ *               datasetId:
+ *                 type: string
+ *                 description: Dataset to compute importance on instead of testData
+ *               datasetVersion:
+ *                 type: integer
+ *                 description: Dataset version to use
+ *               featureColumns:
  *                 type: array
- *                 description: Output shape
+ *                 items:
+ *                   type: string
+ *                 description: Feature columns (defaults to the training feature columns)
+ *               labelColumn:
+ *                 type: string
+ *                 description: Label column (defaults to the training label column)
+ *               metric:
+ *                 type: string
+ *                 default: loss
+ *                 description: Compiled metric to score with (e.g. loss, accuracy)
+ *               repeats:
+ *                 type: integer
+ *                 default: 5
+ *               maxSamples:
+ *                 type: integer
+ *                 default: 1000
+ *                 description: Rows sampled from larger datasets
+ *               seed:
+ *                 type: integer
+ *                 description: Seed for reproducible shuffles
  *     responses:
  *       200:
- *         description: Architecture updated successfully
+ *         description: Features ranked by importance
  *       400:
- *         description: Required fields missing
+ *         description: Invalid data or options
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Model not found
+ *         description: Model or dataset not found
  *       500:
  *         description: Server error
  */
-router.put("/architecture", updateArchitecture);
+router.post("/explain/importance", computeFeatureImportance);
 
 /**
  * @swagger
- * /api/ai/hyperparameters:
- *   put:
- *     summary: Update model hyperparameters
+ * /api/ai/compare:
+ *   post:
+ *     summary: Compare models or model versions on the same test data
+ *     description: |
+ *       Evaluates every model on the same samples with the same metric options and returns a
+ *       metric table (with the best model per metric and deltas from the first, baseline model),
+ *       per-class precision/recall/F1 deltas, examples the models disagree on and, for classifiers,
+ *       pairwise McNemar tests of whether their error rates differ. A dataset is mapped with the
+ *       feature columns and classes of the first model.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -370,36 +521,77 @@ router.put("/architecture", updateArchitecture);
  *           schema:
  *             type: object
  *             required:
- *               - modelId
- *               - hyperparameters
+ *               - models
  *             properties:
- *               modelId:
+ *               models:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 10
+ *                 description: Models to compare; the first one is the baseline
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - modelId
+ *                   properties:
+ *                     modelId:
+ *                       type: string
+ *                     version:
+ *                       type: integer
+ *                       description: Saved version to compare (defaults to the serving version)
+ *               testData:
+ *                 type: array
+ *                 description: Test inputs (required without datasetId)
+ *               testLabels:
+ *                 type: array
+ *                 description: Test labels shaped like the model output (required without datasetId)
+ *               datasetId:
  *                 type: string
- *                 description: ID of the model
- *               hyperparameters:
- *                 type: object
- *                 description: Hyperparameters to update
+ *                 description: Dataset to compare on instead of testData
+ *               datasetVersion:
+ *                 type: integer
+ *                 description: Dataset version to use
+ *               featureColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Feature columns (defaults to the training feature columns of the first model)
+ *               labelColumn:
+ *                 type: string
+ *                 description: Label column (defaults to the training label column of the first model)
+ *               threshold:
+ *                 type: number
+ *                 description: Decision threshold for binary and multi-label models (defaults to the model's configured threshold, else 0.5)
+ *               maxDisagreements:
+ *                 type: integer
+ *                 default: 20
+ *                 description: Most disagreement examples returned
+ *               regressionTolerance:
+ *                 type: number
+ *                 default: 0
+ *                 description: Largest difference between regression outputs that still counts as agreement
  *     responses:
  *       200:
- *         description: Hyperparameters updated successfully
+ *         description: Comparison report
  *       400:
- *         description: Required fields missing
+ *         description: Invalid test data or models with different outputs
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Model not found
+ *         description: Model, version or dataset not found
+ *       409:
+ *         description: A version has no saved artifacts
  *       500:
  *         description: Server error
  */
-router.put("/hyperparameters", updateHyperparameters);
+router.post("/compare", compareModelVersions);
 
 /**
  * @swagger
- * /api/ai/visualization:
+ * /api/ai/save:
  *   post:
- *     summary: Add visualization to a model
+ *     summary: Save the trained AI model
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -411,69 +603,152 @@ router.put("/hyperparameters", updateHyperparameters);
  *             type: object
  *             required:
  *               - modelId
- *               - type
- *               - data
  *             properties:
  *               modelId:
  *                 type: string
- *                 description: ID of the model
- *               type:
+ *                 description: ID of the model to save
+ *               savePath:
  *                 type: string
- *                 enum: [confusionMatrix, featureImportance, layerActivation, gradientMap, other]
- *                 description: Type of visualization
- *               data:
- *                 type: object
- *                 description: Visualization data
+ *                 description: Path to save the model
+ *               quantization:
+ *                 type: string
+ *                 enum: [float16, uint8]
+ *                 description: |
+ *                   Quantize the weights when saving: float16 halves them, uint8 stores each
+ *                   weight tensor with an affine scale and minimum. Quantized saves leave out
+ *                   the optimizer state. The scheme is recorded in the saved metadata and
+ *                   the model loads back as float32 without any extra step.
+ *               testData:
+ *                 type: array
+ *                 description: Held-out inputs used to report the accuracy change of quantization
+ *               testLabels:
+ *                 type: array
+ *                 description: Held-out labels shaped like the model output
+ *               datasetId:
+ *                 type: string
+ *                 description: Dataset to use as the held-out set instead of testData
+ *               datasetVersion:
+ *                 type: integer
+ *                 description: Dataset version to use
+ *               featureColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Feature columns (defaults to the training feature columns)
+ *               labelColumn:
+ *                 type: string
+ *                 description: Label column (defaults to the training label column)
  *     responses:
  *       200:
- *         description: Visualization added successfully
+ *         description: Model saved successfully, with the size reduction and accuracy change when quantized
  *       400:
- *         description: Required fields missing
+ *         description: Model ID is required, or invalid quantization scheme or held-out set
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Forbidden
  *       404:
  *         description: Model not found
  *       500:
  *         description: Server error
  */
-router.post("/visualization", addVisualization);
+router.post("/save", saveModel);
 
 /**
  * @swagger
- * /api/ai/version:
+ * /api/ai/models/upload:
  *   post:
- *     summary: Create a new model version
+ *     summary: Upload and register an externally trained tfjs layers model
+ *     description: |
+ *       Accepts model.json with its weight shards, or a single zip of them (such as an
+ *       export bundle; a labels.json in the zip becomes the label vocabulary). The
+ *       topology and weight sizes are checked and the model is loaded before it is stored
+ *       under the owner's models directory and registered with its architecture summary.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
  *             required:
- *               - modelId
+ *               - files
  *             properties:
- *               modelId:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: model.json and .bin weight files, or one .zip
+ *               name:
  *                 type: string
- *                 description: ID of the model
  *               description:
  *                 type: string
- *                 description: Version description
- *               modelPath:
- *                 type: string
- *                 description: Path to save the model version
- *               performance:
- *                 type: object
- *                 description: Performance metrics
+ *               isPublic:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Model registered
+ *       400:
+ *         description: Missing files, invalid topology or weights
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post("/models/upload", uploadFiles("files", MODEL_UPLOAD_EXTENSIONS, 100), uploadModel);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/export:
+ *   get:
+ *     summary: Download a model as a zip bundle
+ *     description: |
+ *       Returns a zip with model.json and its weight shards (loadable with
+ *       tf.loadLayersModel), labels.json with the class label vocabulary when the model
+ *       has one, preprocessing.json (input shapes, feature column order, label encoding
+ *       and prediction settings), metadata.json and a MODEL_CARD.md. For a graph model,
+ *       convert the bundle with tensorflowjs_converter --input_format=tfjs_layers_model
+ *       --output_format=tfjs_graph_model.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model (own or public)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [layers]
+ *           default: layers
+ *         description: tfjs model format of the bundle
+ *       - in: query
+ *         name: includeOptimizer
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include optimizer weights to resume training
+ *       - in: query
+ *         name: quantization
+ *         schema:
+ *           type: string
+ *           enum: [float16, uint8]
+ *         description: Quantize the model weights in the bundle (optimizer weights stay float32)
  *     responses:
  *       200:
- *         description: Version created successfully
+ *         description: Zip bundle
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       400:
- *         description: Model ID is required
+ *         description: Invalid model ID, format or quantization scheme
  *       401:
  *         description: Unauthorized
  *       403:
@@ -483,47 +758,1442 @@ router.post("/visualization", addVisualization);
  *       500:
  *         description: Server error
  */
-router.post("/version", createModelVersion);
+router.get("/models/:modelId/export", exportModel);
 
 /**
  * @swagger
- * /api/ai/visibility:
+ * /api/ai/models/{modelId}/drift:
+ *   get:
+ *     summary: Get the input drift report of a model
+ *     description: |
+ *       Per-feature statistics of the training data are captured when a model is trained on
+ *       tabular data. Recent prediction inputs (online and batch) are kept in a rolling window
+ *       and compared with them on a schedule: PSI over the training quantile bins and a
+ *       two-sample KS test per feature. Alerts list the features whose PSI reaches the psi
+ *       threshold or whose KS p-value falls below the ksPValue threshold.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Run a drift check before reporting
+ *     responses:
+ *       200:
+ *         description: Training statistics, rolling window, latest report with alerts and check history
+ *       400:
+ *         description: Invalid model ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found or no training statistics recorded
+ *       500:
+ *         description: Server error
+ */
+router.get("/models/:modelId/drift", getModelDrift);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/drift/check:
+ *   post:
+ *     summary: Run a drift check of a model now
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *     responses:
+ *       200:
+ *         description: Drift report including the new check
+ *       400:
+ *         description: Invalid model ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found or no training statistics recorded
+ *       500:
+ *         description: Server error
+ */
+router.post("/models/:modelId/drift/check", checkModelDrift);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/drift/thresholds:
  *   put:
- *     summary: Toggle model visibility (public/private)
+ *     summary: Update the thresholds that raise drift alerts
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - modelId
- *               - isPublic
  *             properties:
- *               modelId:
- *                 type: string
- *                 description: ID of the model
- *               isPublic:
- *                 type: boolean
- *                 description: Whether the model should be public
+ *               psi:
+ *                 type: number
+ *                 default: 0.2
+ *                 description: PSI at or above which a feature raises an alert
+ *               ksPValue:
+ *                 type: number
+ *                 default: 0.05
+ *                 description: KS p-value below which a feature raises an alert
  *     responses:
  *       200:
- *         description: Visibility updated successfully
+ *         description: Updated thresholds
  *       400:
- *         description: Required fields missing
+ *         description: Invalid model ID or thresholds
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Model not found
+ *         description: Model not found or no training statistics recorded
  *       500:
  *         description: Server error
  */
-router.put("/visibility", toggleModelVisibility);
+router.put("/models/:modelId/drift/thresholds", updateModelDriftThresholds);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/deployment:
+ *   get:
+ *     summary: Get the canary or shadow deployment of a model with a comparative report
+ *     description: |
+ *       Reports requests, samples, errors, mean and p95 latency and the predicted class
+ *       distribution (or mean output for regression) of the serving and candidate versions since
+ *       the deployment started. Shadow deployments also report how often the candidate agrees
+ *       with the serving version and how far their outputs differ.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *     responses:
+ *       200:
+ *         description: Deployment config and comparative report
+ *       400:
+ *         description: Invalid model ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found or no active deployment
+ *       500:
+ *         description: Server error
+ */
+router.get("/models/:modelId/deployment", getModelDeployment);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/deployment:
+ *   put:
+ *     summary: Start or change the canary or shadow deployment of a model version
+ *     description: |
+ *       In canary mode `trafficPercent` of /predict requests are answered by the candidate version;
+ *       if it fails, the serving (production) version answers instead. In shadow mode that share of
+ *       requests is mirrored to the candidate after the serving version has answered, and only the
+ *       serving version's output is returned. Outputs of both versions are logged for the report.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mode
+ *               - candidateVersion
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [canary, shadow]
+ *               candidateVersion:
+ *                 type: integer
+ *                 description: Saved version that receives the traffic
+ *               trafficPercent:
+ *                 type: number
+ *                 description: Share of requests routed or mirrored to the candidate (default 10 for canary, 100 for shadow)
+ *     responses:
+ *       200:
+ *         description: Deployment config
+ *       400:
+ *         description: Invalid config, or the candidate's outputs do not match the serving version
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model or version not found
+ *       409:
+ *         description: The version has no saved artifacts
+ *       500:
+ *         description: Server error
+ */
+router.put("/models/:modelId/deployment", updateModelDeployment);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/deployment:
+ *   delete:
+ *     summary: Stop the deployment of a model and return its final report
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *     responses:
+ *       200:
+ *         description: Final comparative report
+ *       400:
+ *         description: Invalid model ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found or no active deployment
+ *       500:
+ *         description: Server error
+ */
+router.delete("/models/:modelId/deployment", stopModelDeployment);
+
+/**
+ * @swagger
+ * /api/ai/clone:
+ *   post:
+ *     summary: Clone a model for transfer learning
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model to clone
+ *               name:
+ *                 type: string
+ *                 description: Name of the new model
+ *               description:
+ *                 type: string
+ *                 description: Description of the new model
+ *               freezeBaseLayers:
+ *                 type: boolean
+ *                 description: Whether to freeze base model layers
+ *               cutLayer:
+ *                 type: string
+ *                 description: |
+ *                   Name of the last base layer to keep (default: the layer before the
+ *                   output). The kept layers carry the trained weights of the base model.
+ *               outputLayers:
+ *                 type: array
+ *                 description: New layers stacked on the cut base, in the layer format of PUT /api/ai/architecture
+ *                 items:
+ *                   type: object
+ *               fineTuning:
+ *                 type: object
+ *                 description: |
+ *                   Fine-tuning schedule recorded on the clone and followed by its training
+ *                   jobs. Each phase trains for `epochs` with its own `learningRate` (default:
+ *                   the model learning rate). `unfreeze` sets how much of the base is trained:
+ *                   a number of layers counted back from the cut, the name of the lowest layer
+ *                   to train, or `all`. Later phases may only unfreeze more layers.
+ *                 properties:
+ *                   phases:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         epochs:
+ *                           type: integer
+ *                         learningRate:
+ *                           type: number
+ *                         unfreeze:
+ *                           oneOf:
+ *                             - type: integer
+ *                             - type: string
+ *                 example:
+ *                   phases:
+ *                     - epochs: 5
+ *                       learningRate: 0.001
+ *                       unfreeze: 0
+ *                     - epochs: 5
+ *                       learningRate: 0.0001
+ *                       unfreeze: 2
+ *     responses:
+ *       200:
+ *         description: Model cloned successfully
+ *       400:
+ *         description: Model ID is required, or unknown cut layer, output layer or fine-tuning phase
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       409:
+ *         description: The source model has no saved weights
+ *       500:
+ *         description: Server error
+ */
+router.post("/clone", cloneModelForTransfer);
+
+/**
+ * @swagger
+ * /api/ai/architecture:
+ *   put:
+ *     summary: Update model architecture
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - layers
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model
+ *               layers:
+ *                 type: array
+ *                 description: |
+ *                   Model layers. A plain list of layers is stacked in order. To describe a
+ *                   layer graph, give each layer a `name` and the names it reads from in
+ *                   `inputs`: `input` layers take `config.shape`, merge layers (`add`,
+ *                   `concatenate`, `multiply`) take two or more inputs, and layers with
+ *                   `output: true` become model outputs (default: the last layer). A layer
+ *                   without `inputs` reads from the layer before it. Multi-output models take
+ *                   `hyperparameters.lossFunction` as an object keyed by output name, and their
+ *                   training data and labels as objects keyed by input and output name.
+ *
+ *                   Supported layer types: dense, activation, dropout, flatten, reshape,
+ *                   repeatVector, embedding, conv1d, conv2d, conv2dTranspose, separableConv2d,
+ *                   depthwiseConv2d, maxPooling1d/2d, averagePooling1d/2d,
+ *                   globalMaxPooling1d/2d, globalAveragePooling1d/2d, upSampling2d, simpleRNN,
+ *                   lstm, gru, bidirectional and timeDistributed (wrapping `config.layer`),
+ *                   batchNormalization, layerNormalization, plus input, add, concatenate and
+ *                   multiply in graphs. `config` takes the tfjs options of the layer; unknown
+ *                   types, unknown options and invalid values are rejected.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     config:
+ *                       type: object
+ *                     inputs:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     output:
+ *                       type: boolean
+ *                 example:
+ *                   - { name: features, type: input, config: { shape: [16] } }
+ *                   - { name: hidden, type: dense, inputs: [features], config: { units: 16, activation: relu } }
+ *                   - { name: residual, type: add, inputs: [features, hidden] }
+ *                   - { name: output, type: dense, inputs: [residual], config: { units: 3, activation: softmax }, output: true }
+ *               inputShape:
+ *                 type: array
+ *                 description: Input shape (layer stacks only)
+ *               outputShape:
+ *                 type: array
+ *                 description: Output shape
+ *     responses:
+ *       200:
+ *         description: Architecture updated successfully
+ *       400:
+ *         description: Required fields missing or the layers do not compose (details names the first incompatible layer)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       500:
+ *         description: Server error
+ */
+router.put("/architecture", updateArchitecture);
+
+/**
+ * @swagger
+ * /api/ai/architecture/validate:
+ *   post:
+ *     summary: Dry-run a model architecture
+ *     description: |
+ *       Builds the architecture in a sandbox without storing or loading it. Returns the
+ *       output shape, parameter count, estimated weight memory (float32) and estimated
+ *       forward-pass FLOPs per sample of each layer, or the first layer that does not fit.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - layers
+ *             properties:
+ *               layers:
+ *                 type: array
+ *                 description: Model layers, in the format of PUT /api/ai/architecture
+ *               inputShape:
+ *                 type: array
+ *                 description: Input shape (layer stacks only)
+ *               outputShape:
+ *                 type: array
+ *                 description: Expected output shape without the batch dimension
+ *     responses:
+ *       200:
+ *         description: |
+ *           Dry-run result. `valid` is true with layers, totalParams, trainableParams,
+ *           weightBytes and flops, or false with a message and details
+ *           (layerIndex, layerName, layerType) of the first incompatible layer.
+ *       400:
+ *         description: Layers missing
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post("/architecture/validate", validateModelArchitecture);
+
+/**
+ * @swagger
+ * /api/ai/hyperparameters:
+ *   put:
+ *     summary: Update model hyperparameters
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - hyperparameters
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model
+ *               hyperparameters:
+ *                 type: object
+ *                 description: Hyperparameters to update
+ *                 properties:
+ *                   optimizer:
+ *                     description: |
+ *                       Optimizer name (sgd, momentum, adam, adamax, rmsprop, adagrad, adadelta) or a
+ *                       configuration with a type and its options:
+ *                       - sgd: momentum, nesterov
+ *                       - adam: beta1, beta2, epsilon
+ *                       - adamax: beta1, beta2, epsilon, decay
+ *                       - rmsprop: rho, momentum, epsilon, centered
+ *                       - adagrad: initialAccumulatorValue
+ *                       - adadelta: rho, epsilon
+ *                       Every type also takes learningRate, clipValue, clipNorm (per-gradient L2 norm)
+ *                       and weightDecay (decoupled, scaled by the learning rate).
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: object
+ *                     example:
+ *                       type: sgd
+ *                       learningRate: 0.05
+ *                       momentum: 0.9
+ *                       nesterov: true
+ *                       clipNorm: 1
+ *                   learningRate:
+ *                     type: number
+ *                     description: Learning rate, used when the optimizer configuration does not set one
+ *                   taskType:
+ *                     description: |
+ *                       Task the model solves (regression, binary, multiClass, multiLabel), or an object
+ *                       of task types keyed by output name. Inferred from the loss and output size when unset.
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: object
+ *                   prediction:
+ *                     type: object
+ *                     description: |
+ *                       How predictions are shaped (or an object of these keyed by output name):
+ *                       topK (ranked classes per sample), threshold (a number or one per label) and
+ *                       targetNormalization ({ mean, std } or { min, max }, a number or one per output
+ *                       value) to map regression outputs back to the original scale.
+ *                     example:
+ *                       topK: 3
+ *                       threshold: 0.4
+ *                   callbacks:
+ *                     type: array
+ *                     description: |
+ *                       Declarative training callbacks, applied on every training run.
+ *                       - earlyStopping: monitor, mode, patience, minDelta, restoreBestWeights
+ *                       - learningRateSchedule: schedule (step, exponential, cosine), initialLearningRate, factor, stepSize, decayRate, decayEpochs, minLearningRate, periodEpochs
+ *                       - reduceLROnPlateau: monitor, mode, factor, patience, minDelta, cooldown, minLearningRate
+ *                       - modelCheckpoint: monitor, mode, minDelta (saves the best weights under models/checkpoints)
+ *                       monitor defaults to val_loss; accuracy and val_accuracy are read from the acc / val_acc logs.
+ *                       Training fails when the monitored metric is not reported (e.g. val_* without validation data).
+ *                     items:
+ *                       type: object
+ *                       required:
+ *                         - type
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [earlyStopping, learningRateSchedule, reduceLROnPlateau, modelCheckpoint]
+ *                     example:
+ *                       - type: earlyStopping
+ *                         monitor: val_loss
+ *                         patience: 3
+ *                         restoreBestWeights: true
+ *                       - type: learningRateSchedule
+ *                         schedule: cosine
+ *     responses:
+ *       200:
+ *         description: Hyperparameters updated successfully
+ *       400:
+ *         description: Required fields missing or invalid optimizer, task, prediction or callback settings
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       409:
+ *         description: The model is being trained or used for predictions
+ *       500:
+ *         description: Server error
+ */
+router.put("/hyperparameters", updateHyperparameters);
+
+/**
+ * @swagger
+ * /api/ai/labels:
+ *   put:
+ *     summary: Set the class label vocabulary of a model
+ *     description: |
+ *       Names the classes behind each output index so predictions return labels next to
+ *       class indices. Training on a dataset with a categorical label column sets the
+ *       vocabulary automatically; an existing vocabulary fixes the class order used to
+ *       encode that column. The vocabulary is stored in saved model metadata.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - labels
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model
+ *               labels:
+ *                 description: |
+ *                   Class names by output index (two names, negative class first, for a single
+ *                   sigmoid output), lists keyed by output name for multi-output models, or
+ *                   null to remove the vocabulary
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: object
+ *                 example: [cat, dog, bird]
+ *     responses:
+ *       200:
+ *         description: Class labels updated
+ *       400:
+ *         description: Labels missing or not matching the model outputs
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       500:
+ *         description: Server error
+ */
+router.put("/labels", updateClassLabels);
+
+/**
+ * @swagger
+ * /api/ai/tune:
+ *   post:
+ *     summary: Queue a hyperparameter tuning job
+ *     description: |
+ *       Trains a fresh copy of the model's architecture for each trial, scores it on a
+ *       validation split and records every trial on the job (GET /api/ai/jobs/{jobId}).
+ *       Trial events are streamed on GET /api/ai/jobs/{jobId}/stream.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - searchSpace
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model (must have a stored architecture)
+ *               searchSpace:
+ *                 type: object
+ *                 description: |
+ *                   Hyperparameters to search: learningRate, batchSize, optimizer, epochs and
+ *                   layers.<index or name>.units / layers.<index or name>.rate. Each takes a
+ *                   list of values or a range { min, max, scale: linear|log, type: float|int,
+ *                   steps } (steps are required for ranges in a grid search).
+ *                 example:
+ *                   learningRate: { min: 0.0001, max: 0.1, scale: log }
+ *                   batchSize: [16, 32, 64]
+ *                   optimizer: [adam, rmsprop, { type: sgd, momentum: 0.9, nesterov: true }]
+ *                   layers.0.units: { min: 16, max: 128, type: int }
+ *                   layers.1.rate: { min: 0, max: 0.5 }
+ *               strategy:
+ *                 type: string
+ *                 enum: [grid, random, bayesian]
+ *                 default: random
+ *                 description: Search strategy (bayesian uses a Tree-structured Parzen Estimator)
+ *               maxTrials:
+ *                 type: integer
+ *                 default: 10
+ *               metric:
+ *                 type: string
+ *                 default: val_loss
+ *                 description: Metric to optimize, scored at its best epoch
+ *               mode:
+ *                 type: string
+ *                 enum: [auto, min, max]
+ *                 default: auto
+ *               seed:
+ *                 type: integer
+ *                 description: Seed for reproducible random and bayesian searches
+ *               validationSplit:
+ *                 type: number
+ *                 default: 0.2
+ *               trainData:
+ *                 type: array
+ *                 description: Training data (when no dataset is given)
+ *               labels:
+ *                 type: array
+ *                 description: Training labels (when no dataset is given)
+ *               datasetId:
+ *                 type: string
+ *               datasetVersion:
+ *                 type: integer
+ *               featureColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               labelColumn:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Tuning job queued
+ *       400:
+ *         description: Invalid search space or missing data
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model or dataset not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/tune", tuneHyperparameters);
+
+/**
+ * @swagger
+ * /api/ai/tune/{jobId}/promote:
+ *   post:
+ *     summary: Promote a tuning trial onto its model
+ *     description: |
+ *       Copies the hyperparameters and layer settings of the best trial (or the given
+ *       trial) onto the model. Changing layer settings rebuilds the model, so it needs
+ *       to be trained again.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the tuning job
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               trial:
+ *                 type: integer
+ *                 description: Trial number to promote (defaults to the best trial)
+ *     responses:
+ *       200:
+ *         description: Trial promoted
+ *       400:
+ *         description: Not a tuning job or the trial did not succeed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job, model or trial not found
+ *       409:
+ *         description: The tuning job is still running
+ *       500:
+ *         description: Server error
+ */
+router.post("/tune/:jobId/promote", promoteTuningTrial);
+
+/**
+ * @swagger
+ * /api/ai/cross-validate:
+ *   post:
+ *     summary: Queue a k-fold cross-validation job
+ *     description: |
+ *       Splits the data into k folds (optionally stratified by class), trains a fresh copy
+ *       of the model's architecture on every fold but one and scores it on the held-out
+ *       fold. Per-fold metrics are recorded on the job (GET /api/ai/jobs/{jobId}) and
+ *       streamed as fold events; when all folds finish, the per-fold results with their
+ *       mean and standard deviation are stored as performance.crossValidation on the model.
+ *       Training callbacks (early stopping, learning-rate schedules) monitor a 20% validation
+ *       split of the training folds, never the held-out fold. The model's own weights are not changed.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model (must have a stored architecture and a single output)
+ *               folds:
+ *                 type: integer
+ *                 default: 5
+ *                 description: Number of folds (k)
+ *               stratified:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Keep the class proportions of the data in every fold (classification only)
+ *               shuffle:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Shuffle samples before splitting; contiguous folds otherwise
+ *               seed:
+ *                 type: integer
+ *                 description: Seed for a reproducible shuffle
+ *               epochs:
+ *                 type: integer
+ *                 description: Epochs per fold (defaults to the model's hyperparameters)
+ *               batchSize:
+ *                 type: integer
+ *                 description: Batch size (defaults to the model's hyperparameters)
+ *               threshold:
+ *                 type: number
+ *                 description: Decision threshold for binary and multi-label metrics (defaults to the model's configured threshold, else 0.5)
+ *               trainData:
+ *                 type: array
+ *                 description: Samples (when no dataset is given)
+ *               labels:
+ *                 type: array
+ *                 description: Labels (when no dataset is given)
+ *               datasetId:
+ *                 type: string
+ *               datasetVersion:
+ *                 type: integer
+ *               featureColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               labelColumn:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Cross-validation job queued
+ *       400:
+ *         description: Invalid options or missing data
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model or dataset not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/cross-validate", crossValidateModel);
+
+/**
+ * @swagger
+ * /api/ai/batch-predict:
+ *   post:
+ *     summary: Queue a batch inference job over a dataset or an uploaded file
+ *     description: |
+ *       Streams the rows of a stored dataset or an uploaded CSV / NDJSON / JSON file
+ *       through the model in chunks and writes every row with its predictions appended
+ *       as columns (prediction, prediction_probability, one probability column per label
+ *       for multi-label outputs; multi-output models prefix the columns with the output
+ *       name). Progress (processed rows and percent of the file read) is recorded on the
+ *       job (GET /api/ai/jobs/{jobId}) and streamed as batch events; when the job
+ *       succeeds its result holds the download URL of the output file.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - datasetId
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model (own or public, with a single input)
+ *               datasetId:
+ *                 type: string
+ *                 description: Dataset to score (csv, tabular or json format)
+ *               datasetVersion:
+ *                 type: integer
+ *               featureColumns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Input columns in model order (defaults to the columns the model was trained on, then to every column)
+ *               chunkSize:
+ *                 type: integer
+ *                 description: Rows scored at once (defaults to BATCH_CHUNK_SIZE)
+ *               outputFormat:
+ *                 type: string
+ *                 enum: [csv, ndjson]
+ *                 description: Format of the output file (defaults to csv for CSV input, ndjson otherwise)
+ *               topK:
+ *                 type: integer
+ *                 description: Number of ranked classes written for multi-class outputs
+ *               threshold:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: array
+ *                     items:
+ *                       type: number
+ *                 description: Decision threshold for binary and multi-label outputs
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - file
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Input file (.csv, .ndjson, .jsonl or .json)
+ *               format:
+ *                 type: string
+ *                 enum: [csv, ndjson, json]
+ *                 description: Input format when the file extension does not tell
+ *               featureColumns:
+ *                 type: string
+ *                 description: JSON array of column names
+ *               chunkSize:
+ *                 type: integer
+ *               outputFormat:
+ *                 type: string
+ *                 enum: [csv, ndjson]
+ *               topK:
+ *                 type: integer
+ *               threshold:
+ *                 type: number
+ *     responses:
+ *       202:
+ *         description: Batch inference job queued
+ *       400:
+ *         description: Invalid options, file or missing input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model or dataset not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/batch-predict", uploadSingleFile("file", BATCH_INPUT_EXTENSIONS), submitBatchPrediction);
+
+/**
+ * @swagger
+ * /api/ai/batch-predict/{jobId}/download:
+ *   get:
+ *     summary: Download the predictions of a batch inference job
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the batch inference job
+ *     responses:
+ *       200:
+ *         description: Output file (CSV or NDJSON)
+ *       400:
+ *         description: Invalid job ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job or prediction file not found
+ *       409:
+ *         description: The job has not succeeded
+ *       500:
+ *         description: Server error
+ */
+router.get("/batch-predict/:jobId/download", downloadBatchPredictions);
+
+/**
+ * @swagger
+ * /api/ai/visualization:
+ *   post:
+ *     summary: Add visualization to a model
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - type
+ *               - data
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model
+ *               type:
+ *                 type: string
+ *                 enum: [confusionMatrix, featureImportance, layerActivation, gradientMap, other]
+ *                 description: Type of visualization
+ *               data:
+ *                 type: object
+ *                 description: Visualization data
+ *     responses:
+ *       200:
+ *         description: Visualization added successfully
+ *       400:
+ *         description: Required fields missing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/visualization", addVisualization);
+
+/**
+ * @swagger
+ * /api/ai/version:
+ *   post:
+ *     summary: Create a new model version
+ *     description: New versions start in the draft stage; promote them with POST /api/ai/models/{modelId}/versions/{version}/promote.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model
+ *               description:
+ *                 type: string
+ *                 description: Version description
+ *               modelPath:
+ *                 type: string
+ *                 description: Path of the saved version artifacts; when omitted, the current weights are saved to ./models/model_<modelId>_v<version>
+ *               performance:
+ *                 type: object
+ *                 description: Performance metrics
+ *     responses:
+ *       200:
+ *         description: Version created successfully
+ *       400:
+ *         description: Model ID is required
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/version", createModelVersion);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/versions:
+ *   get:
+ *     summary: List the versions of a model with their lifecycle stages
+ *     description: Returns every version with its stage (draft, staging, production or archived) and stage history, plus the production and serving versions.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *     responses:
+ *       200:
+ *         description: Versions with stages
+ *       400:
+ *         description: Invalid model ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/models/:modelId/versions", getModelVersions);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/versions/{version}/promote:
+ *   post:
+ *     summary: Move a model version to another lifecycle stage
+ *     description: |
+ *       Promoting a version to production archives the previous production version, so only one
+ *       version is in production at a time, and ends any canary or shadow deployment (its final
+ *       report is returned). The production version serves /predict and batch predictions by
+ *       default. It only leaves production when another version is promoted or on rollback.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version to move
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [draft, staging, production, archived]
+ *                 default: production
+ *               note:
+ *                 type: string
+ *                 description: Why the version is moved
+ *     responses:
+ *       200:
+ *         description: Version moved; returns the versions with their stages
+ *       400:
+ *         description: Invalid stage or missing note
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model or version not found
+ *       409:
+ *         description: The version is already in that stage, is in production, or has no saved artifacts
+ *       500:
+ *         description: Server error
+ */
+router.post("/models/:modelId/versions/:version/promote", promoteVersion);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/rollback:
+ *   post:
+ *     summary: Put an earlier production version back into production
+ *     description: |
+ *       Archives the production version and restores the given version, which must have been in
+ *       production before, or by default the version that most recently left production. Any
+ *       canary or shadow deployment ends and its final report is returned.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the model
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 description: Version to restore (defaults to the previous production version)
+ *               note:
+ *                 type: string
+ *                 description: Why the model is rolled back
+ *     responses:
+ *       200:
+ *         description: Rolled back; returns the versions with their stages
+ *       400:
+ *         description: Missing note
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model or version not found
+ *       409:
+ *         description: No production version, or no earlier production version to restore
+ *       500:
+ *         description: Server error
+ */
+router.post("/models/:modelId/rollback", rollbackVersion);
+
+/**
+ * @swagger
+ * /api/ai/visibility:
+ *   put:
+ *     summary: Toggle model visibility (public/private)
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelId
+ *               - isPublic
+ *             properties:
+ *               modelId:
+ *                 type: string
+ *                 description: ID of the model
+ *               isPublic:
+ *                 type: boolean
+ *                 description: Whether the model should be public
+ *     responses:
+ *       200:
+ *         description: Visibility updated successfully
+ *       400:
+ *         description: Required fields missing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       500:
+ *         description: Server error
+ */
+router.put("/visibility", toggleModelVisibility);
+
+/**
+ * @swagger
+ * /api/ai/jobs:
+ *   get:
+ *     summary: Get jobs submitted by the current user
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: modelId
+ *         schema:
+ *           type: string
+ *         description: Filter jobs by model ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed, cancelled]
+ *         description: Filter jobs by status
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter jobs by type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of jobs to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *         description: Number of jobs to skip
+ *     responses:
+ *       200:
+ *         description: List of jobs
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get("/jobs", getJobs);
+
+/**
+ * @swagger
+ * /api/ai/jobs/{jobId}:
+ *   get:
+ *     summary: Get job status and per-epoch progress
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job details
+ *       400:
+ *         description: Invalid job ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/jobs/:jobId", getJobById);
+
+/**
+ * @swagger
+ * /api/ai/jobs/{jobId}/cancel:
+ *   post:
+ *     summary: Cancel a queued or running job
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job cancelled or cancellation requested
+ *       400:
+ *         description: Invalid job ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ *       500:
+ *         description: Server error
+ */
+router.post("/jobs/:jobId/cancel", cancelJob);
+
+/**
+ * @swagger
+ * /api/ai/jobs/{jobId}/stream:
+ *   get:
+ *     summary: Stream live job progress as Server-Sent Events
+ *     description: Replays the epochs already completed, then sends status, epoch and batch events (loss, acc, val_loss, val_acc, elapsedMs, etaMs) until the job finishes.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid job ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/jobs/:jobId/stream", streamJob);
+
+/**
+ * @swagger
+ * /api/ai/models/{modelId}/training/stream:
+ *   get:
+ *     summary: Stream live training progress of a model as Server-Sent Events
+ *     description: Replays the epochs of jobs still in progress, then sends status, epoch and batch events for every job of the model.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Model ID
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid model ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Model not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/models/:modelId/training/stream", streamModelTraining);
 
 console.log("AI routes initialized");
 export default router;
@@ -2,68 +2,370 @@ import * as tf from "@tensorflow/tfjs";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
+import { loadLayersModel, modelArtifactsExist, toModelDir } from "../utils/modelIO.js";
+import { buildTrainingCallbacks } from "./trainingCallbacks.js";
+import { buildModelFromArchitecture } from "./architectureBuilder.js";
+import { createLayer, validateLayer } from "./layerCatalog.js";
+import { createOptimizer, describeOptimizer, disposeOptimizer } from "./optimizers.js";
+import { unfrozenLayerNames, validateFineTuningPhases } from "./transferLearning.js";
+import {
+  formatTaskOutputs,
+  outputClassLabels,
+  resolvePredictionSettings,
+  resolveTaskType,
+  resolveThreshold,
+} from "./taskOutputs.js";
+import { ApiError } from "../utils/errors.js";
 
 // Get directory name for models storage
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const MODELS_DIR = path.join(__dirname, "../../models");
 
+// Maximum number of models kept in memory at the same time
+const MAX_LOADED_MODELS = parseInt(process.env.MAX_LOADED_MODELS) || 5;
+
 // Ensure models directory exists
 if (!fs.existsSync(MODELS_DIR)) {
   fs.mkdirSync(MODELS_DIR, { recursive: true });
 }
 
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+// Convert samples into the tensor(s) a model expects for its named inputs or
+// outputs; models with several inputs/outputs take an object keyed by name
+export const toTensors = (data, names) => {
+  if (names.length === 1) {
+    return tf.tensor(Array.isArray(data) ? data : data[names[0]]);
+  }
+
+  if (Array.isArray(data)) {
+    throw new ApiError(400, `Expected an object with data for ${names.join(", ")}`);
+  }
+
+  // Free the tensors already created when a later input cannot be converted
+  const tensors = [];
+  try {
+    names.forEach((name) => {
+      if (!data || data[name] === undefined) {
+        throw new ApiError(400, `Missing data for "${name}"`);
+      }
+      tensors.push(tf.tensor(data[name]));
+    });
+  } catch (error) {
+    tf.dispose(tensors);
+    throw error;
+  }
+  return tensors;
+};
+
+// Loss of a model output, whether the model has one loss or one per output
+const outputLoss = (entry, name, index) => {
+  const loss = entry.model.loss || (entry.hyperparameters || {}).lossFunction;
+  if (Array.isArray(loss)) {
+    return loss[index];
+  }
+  return loss && typeof loss === "object" ? loss[name] : loss;
+};
+
+// Cut a base model after the named layer (by default the layer before its
+// output), keeping its layers and their weights
+const truncateBaseModel = (baseModel, cutLayer) => {
+  const layerNames = baseModel.layers
+    .filter((layer) => layer.getClassName() !== "InputLayer")
+    .map((layer) => layer.name);
+
+  let name = cutLayer;
+  if (!name) {
+    if (layerNames.length < 2) {
+      throw new ApiError(400, "The base model needs at least two layers to transfer");
+    }
+    name = layerNames[layerNames.length - 2];
+  } else if (!layerNames.includes(name)) {
+    throw new ApiError(400, `Unknown cutLayer "${name}". Layers of the base model: ${layerNames.join(", ")}`);
+  }
+
+  const layer = baseModel.getLayer(name);
+  if (layer.inboundNodes.length !== 1 || Array.isArray(layer.output)) {
+    throw new ApiError(400, `Layer "${name}" has more than one output and cannot be used as cutLayer`);
+  }
+  return tf.model({ inputs: baseModel.inputs, outputs: layer.output });
+};
+
+// Confidence of each prediction: the winning probability
+const confidenceScores = (rows) =>
+  rows.map((predArray) => {
+    // For binary classification
+    if (predArray.length === 1) {
+      const value = predArray[0];
+      return value > 0.5 ? value : 1 - value;
+    }
+    // For multi-class classification
+    else {
+      return Math.max(...predArray);
+    }
+  });
+
 class AIService {
-  constructor() {
-    this.model = null;
-    this.transferBaseModel = null;
-    this.modelArchitecture = null;
-    this.hyperparameters = null;
-    this.isTransferLearning = false;
-    this.frozenLayers = [];
+  constructor(maxLoadedModels = MAX_LOADED_MODELS) {
+    // Loaded models keyed by AIModel id, in least-recently-used order
+    this.registry = new Map();
+    // Pending loads, so concurrent requests share a single load
+    this.loading = new Map();
+    this.maxLoadedModels = maxLoadedModels;
     console.log("AI Service initialized");
   }
 
+  // Create an empty registry entry
+  createEntry() {
+    return {
+      model: null,
+      transferBaseModel: null,
+      modelArchitecture: null,
+      hyperparameters: null,
+      isTransferLearning: false,
+      frozenLayers: [],
+      busy: 0,
+    };
+  }
+
+  // Get a loaded model entry and mark it as most recently used
+  getEntry(modelId) {
+    const key = modelId.toString();
+    const entry = this.registry.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    this.registry.delete(key);
+    this.registry.set(key, entry);
+    return entry;
+  }
+
+  // Check whether a model is currently held in memory
+  isLoaded(modelId) {
+    return this.registry.has(modelId.toString());
+  }
+
+  // Refuse to replace or recompile a model while it is being trained or used
+  assertIdle(modelId) {
+    const entry = this.registry.get(modelId.toString());
+    if (entry && entry.busy > 0) {
+      throw new ApiError(409, `Model ${modelId} is in use; try again once its training or predictions finish`);
+    }
+  }
+
+  // Add an entry to the registry, replacing any previous one. A previous entry
+  // that is still in use is kept and the new one is dropped.
+  registerEntry(modelId, entry) {
+    const key = modelId.toString();
+    const previous = this.registry.get(key);
+    if (previous && previous !== entry) {
+      if (previous.busy > 0) {
+        this.disposeEntry(entry);
+        throw new ApiError(409, `Model ${key} is in use; try again once its training or predictions finish`);
+      }
+      this.disposeEntry(previous);
+    }
+
+    this.registry.delete(key);
+    this.registry.set(key, entry);
+    this.evictIdleModels();
+  }
+
+  // Evict least recently used models until the registry fits its bound
+  evictIdleModels() {
+    for (const [key, entry] of this.registry) {
+      if (this.registry.size <= this.maxLoadedModels) {
+        break;
+      }
+
+      // Never evict a model that is being trained or used
+      if (entry.busy > 0) {
+        continue;
+      }
+
+      console.log(`Evicting model ${key} from memory`);
+      this.registry.delete(key);
+      this.disposeEntry(entry);
+    }
+  }
+
+  // Release the tensors held by an entry
+  disposeEntry(entry) {
+    if (entry.model) {
+      // Optimizer instances passed to compile are not disposed with the model
+      disposeOptimizer(entry.model.optimizer);
+      entry.model.dispose();
+      entry.model = null;
+    }
+    if (entry.transferBaseModel) {
+      entry.transferBaseModel.dispose();
+      entry.transferBaseModel = null;
+    }
+  }
+
+  // Remove a model from memory
+  unloadModel(modelId) {
+    const key = modelId.toString();
+    const entry = this.registry.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.registry.delete(key);
+    this.disposeEntry(entry);
+    console.log(`Model ${key} unloaded`);
+    return true;
+  }
+
+  // Resolve the in-memory model for an AIModel document, loading it lazily
+  async getModel(aiModel) {
+    const modelId = aiModel._id.toString();
+
+    const loaded = this.getEntry(modelId);
+    if (loaded) {
+      return loaded;
+    }
+
+    if (!this.loading.has(modelId)) {
+      const architecture = toPlain(aiModel.architecture);
+      const hyperparameters = toPlain(aiModel.hyperparameters) || {};
+
+      let load;
+      const artifactPath = this.resolveArtifactPath(aiModel);
+      const transfer = toPlain(aiModel.transferLearning);
+      if (transfer && transfer.baseModelPath && (!artifactPath || artifactPath === transfer.baseModelPath)) {
+        // A transfer clone is built from its base until it has weights of its own
+        load = this.loadModel(modelId, null, {
+          ...transfer,
+          transferLearning: true,
+          hyperparameters,
+        });
+      } else if (artifactPath) {
+        load = this.rehydrateModel(aiModel, artifactPath);
+      } else if (architecture && architecture.layers && architecture.layers.length) {
+        load = this.loadModel(modelId, null, { architecture, hyperparameters });
+      } else {
+        load = this.loadModel(modelId);
+      }
+
+      this.loading.set(
+        modelId,
+        load.finally(() => this.loading.delete(modelId))
+      );
+    }
+
+    const success = await this.loading.get(modelId);
+    const entry = this.getEntry(modelId);
+    if (!success || !entry) {
+      throw new Error(`Model ${modelId} could not be loaded`);
+    }
+
+    return entry;
+  }
+
+  // Saved artifacts of a model: those of its current version when they exist,
+  // otherwise its model path (a version may record a path that was never written)
+  resolveArtifactPath(aiModel) {
+    const versions = toPlain(aiModel.versions) || [];
+    const current = versions.find((version) => version.version === aiModel.currentVersion);
+    const versionPath = current && current.modelPath;
+    if (versionPath && (/^https?:\/\//.test(versionPath) || modelArtifactsExist(versionPath))) {
+      return versionPath;
+    }
+    return aiModel.modelPath || versionPath || null;
+  }
+
+  // Record on the model document why its saved artifacts cannot be served
+  async markModelError(aiModel, reason) {
+    console.error(`Model ${aiModel._id} is unavailable: ${reason}`);
+    aiModel.status = "error";
+    aiModel.statusReason = reason;
+    if (typeof aiModel.save === "function") {
+      await aiModel.save().catch((error) => {
+        console.error(`Error marking model ${aiModel._id} as failed:`, error);
+      });
+    }
+  }
+
+  // Load a model from its saved artifacts, marking the document as failed when
+  // the files are missing or unreadable
+  async rehydrateModel(aiModel, modelPath) {
+    const modelId = aiModel._id.toString();
+    const isLocal = !/^https?:\/\//.test(modelPath);
+
+    if (isLocal && !modelArtifactsExist(modelPath)) {
+      const reason = `Saved model files not found at ${toModelDir(modelPath)}`;
+      await this.markModelError(aiModel, reason);
+      throw new ApiError(409, `Model ${modelId} is unavailable: ${reason}`);
+    }
+
+    const entry = this.createEntry();
+    entry.hyperparameters = toPlain(aiModel.hyperparameters) || {};
+    try {
+      entry.model = await loadLayersModel(modelPath);
+    } catch (error) {
+      const reason = `Saved model could not be loaded: ${error.message}`;
+      await this.markModelError(aiModel, reason);
+      throw new ApiError(409, `Model ${modelId} is unavailable: ${reason}`);
+    }
+
+    this.registerEntry(modelId, entry);
+    console.log(`Model ${modelId} rehydrated from ${modelPath}`);
+
+    // Files restored after an earlier failure make the model usable again
+    if (aiModel.status === "error" && aiModel.statusReason) {
+      aiModel.status = "saved";
+      aiModel.statusReason = null;
+      if (typeof aiModel.save === "function") {
+        await aiModel.save();
+      }
+    }
+    return true;
+  }
+
   // Load a pre-trained model or create a new one
-  async loadModel(modelPath = null, modelConfig = {}) {
+  async loadModel(modelId, modelPath = null, modelConfig = {}) {
+    this.assertIdle(modelId);
     try {
-      console.log("Loading AI model");
+      console.log(`Loading AI model ${modelId}`);
 
-      // Reset state
-      this.isTransferLearning = false;
-      this.frozenLayers = [];
+      const entry = this.createEntry();
+      entry.hyperparameters = modelConfig.hyperparameters || {};
 
       if (modelPath) {
         // Load pre-trained model
-        this.model = await tf.loadLayersModel(modelPath);
+        entry.model = await loadLayersModel(modelPath);
         console.log("Pre-trained model loaded successfully");
       } else if (modelConfig.architecture && modelConfig.architecture.layers) {
         // Create model from configuration
-        this.modelArchitecture = modelConfig.architecture;
-        this.hyperparameters = modelConfig.hyperparameters || {};
+        entry.modelArchitecture = modelConfig.architecture;
 
-        await this.createModelFromArchitecture();
+        await this.createModelFromArchitecture(entry);
         console.log("Model created from architecture successfully");
       } else if (modelConfig.baseModelPath && modelConfig.transferLearning) {
         // Load base model for transfer learning
-        await this.setupTransferLearning(
-          modelConfig.baseModelPath,
-          modelConfig.freezeBaseLayers,
-          modelConfig.outputLayers
-        );
+        await this.setupTransferLearning(entry, modelConfig.baseModelPath, {
+          freezeBaseLayers: modelConfig.freezeBaseLayers,
+          cutLayer: modelConfig.cutLayer,
+          outputLayers: modelConfig.outputLayers,
+        });
         console.log("Transfer learning model setup successfully");
       } else {
         // Create a simple sequential model as fallback
-        this.model = tf.sequential();
-        this.model.add(
+        entry.model = tf.sequential();
+        entry.model.add(
           tf.layers.dense({ units: 100, activation: "relu", inputShape: [10] })
         );
-        this.model.add(tf.layers.dense({ units: 50, activation: "relu" }));
-        this.model.add(tf.layers.dense({ units: 1, activation: "sigmoid" }));
+        entry.model.add(tf.layers.dense({ units: 50, activation: "relu" }));
+        entry.model.add(tf.layers.dense({ units: 1, activation: "sigmoid" }));
 
         // Compile the model
-        this.model.compile({
-          optimizer: "adam",
+        entry.model.compile({
+          optimizer: createOptimizer("adam"),
           loss: "binaryCrossentropy",
           metrics: ["accuracy"],
         });
@@ -71,69 +373,28 @@ class AIService {
         console.log("Default model created successfully");
       }
 
+      this.registerEntry(modelId, entry);
       return true;
     } catch (error) {
+      // A model in use cannot be replaced; callers report that as a conflict
+      if (error instanceof ApiError) {
+        throw error;
+      }
       console.error("Error loading AI model:", error);
       return false;
     }
   }
 
   // Create model from architecture description
-  async createModelFromArchitecture() {
+  async createModelFromArchitecture(entry) {
     try {
       console.log("Creating model from architecture");
 
-      const { layers, inputShape } = this.modelArchitecture;
-      const hp = this.hyperparameters || {};
-
-      this.model = tf.sequential();
-
-      // Add layers based on architecture
-      layers.forEach((layer, index) => {
-        const layerConfig = { ...layer.config };
-
-        // Add input shape for first layer
-        if (index === 0) {
-          layerConfig.inputShape = inputShape || layerConfig.inputShape;
-        }
-
-        // Create layer based on type
-        switch (layer.type) {
-          case "dense":
-            this.model.add(tf.layers.dense(layerConfig));
-            break;
-          case "conv2d":
-            this.model.add(tf.layers.conv2d(layerConfig));
-            break;
-          case "maxPooling2d":
-            this.model.add(tf.layers.maxPooling2d(layerConfig));
-            break;
-          case "flatten":
-            this.model.add(tf.layers.flatten(layerConfig));
-            break;
-          case "dropout":
-            this.model.add(tf.layers.dropout(layerConfig));
-            break;
-          case "lstm":
-            this.model.add(tf.layers.lstm(layerConfig));
-            break;
-          case "gru":
-            this.model.add(tf.layers.gru(layerConfig));
-            break;
-          case "batchNormalization":
-            this.model.add(tf.layers.batchNormalization(layerConfig));
-            break;
-          default:
-            console.warn(`Unsupported layer type: ${layer.type}`);
-        }
-      });
+      // Layer stacks become tf.sequential, layer graphs tf.model
+      entry.model = buildModelFromArchitecture(entry.modelArchitecture);
 
       // Compile the model
-      this.model.compile({
-        optimizer: hp.optimizer || "adam",
-        loss: hp.lossFunction || "categoricalCrossentropy",
-        metrics: hp.metrics || ["accuracy"],
-      });
+      this.compileModel(entry);
 
       console.log("Model created from architecture");
       return true;
@@ -143,95 +404,167 @@ class AIService {
     }
   }
 
-  // Set up transfer learning
+  // Set up transfer learning: the base is cut after cutLayer (by default the
+  // layer before its output), its layers keep their trained weights and the
+  // new output layers are stacked on top
   async setupTransferLearning(
+    entry,
     baseModelPath,
-    freezeBaseLayers = true,
-    outputLayers = []
+    { freezeBaseLayers = true, cutLayer = null, outputLayers = [] } = {}
   ) {
+    let baseModel = null;
     try {
       console.log("Setting up transfer learning");
 
       // Load the base model
-      this.transferBaseModel = await tf.loadLayersModel(baseModelPath);
+      baseModel = await loadLayersModel(baseModelPath);
       console.log("Base model loaded for transfer learning");
 
-      this.isTransferLearning = true;
-
-      // Create a new sequential model
-      this.model = tf.sequential();
-
-      // Add layers from base model to new model and optionally freeze them
-      const baseModelLayers = this.transferBaseModel.layers;
-
-      // If no output layers specified, use all layers except the last one
-      if (!outputLayers || outputLayers.length === 0) {
-        outputLayers = [baseModelLayers.length - 1];
-      }
-
-      baseModelLayers.forEach((layer, index) => {
-        // Skip output layers
-        if (outputLayers.includes(index)) {
-          return;
-        }
-
-        // Clone the layer configuration
-        const newLayer = layer.getConfig();
-
-        // Create a new layer with the same configuration
-        const tfLayer = tf.layers[layer.getClassName().toLowerCase()](newLayer);
-
-        // Add to the new model
-        this.model.add(tfLayer);
-
-        // Freeze the layer if needed
-        if (freezeBaseLayers) {
-          tfLayer.trainable = false;
-          this.frozenLayers.push(index);
+      // Rebuild the truncated base from its topology so the new model owns
+      // its variables, then copy the trained weights over
+      const truncated = truncateBaseModel(baseModel, cutLayer);
+      entry.model = await tf.models.modelFromJSON({ modelTopology: truncated.toJSON(null, false) });
+      entry.model.setWeights(truncated.getWeights());
+      entry.isTransferLearning = true;
+
+      // Freeze the transferred layers if needed
+      entry.frozenLayers = [];
+      entry.model.layers.forEach((layer, index) => {
+        if (freezeBaseLayers && layer.getClassName() !== "InputLayer") {
+          layer.trainable = false;
+          entry.frozenLayers.push(index);
         }
       });
 
+      this.appendLayers(entry, outputLayers || []);
+      this.compileModel(entry);
+
       console.log(
-        `Base model added with ${this.frozenLayers.length} frozen layers`
+        `Base model cut at ${truncated.outputLayers[0].name} with ${entry.frozenLayers.length} frozen layers`
       );
 
       return true;
     } catch (error) {
       console.error("Error setting up transfer learning:", error);
       throw error;
+    } finally {
+      // The weights were copied, so the base is no longer needed
+      if (baseModel) {
+        baseModel.dispose();
+      }
     }
   }
 
+  /**
+   * Describe how a model is cloned for transfer learning: where its weights
+   * come from, where the base is cut, the new output layers and the
+   * fine-tuning schedule. The result is recorded on the clone and used to
+   * build it on first use
+   * @param {Object} sourceModel - AIModel document of the base model
+   * @param {Object} options - { cutLayer, freezeBaseLayers, outputLayers, fineTuning }
+   * @returns {Promise<Object>} Transfer learning settings
+   * @throws {ApiError} 400 for unknown layers or invalid phases, 409 if the base has no saved weights
+   */
+  async planTransfer(sourceModel, { cutLayer, freezeBaseLayers = true, outputLayers = [], fineTuning } = {}) {
+    const baseModelPath = this.resolveArtifactPath(sourceModel);
+    if (!baseModelPath) {
+      throw new ApiError(409, "The source model has no saved weights to transfer; save it first");
+    }
+    if (!Array.isArray(outputLayers)) {
+      throw new ApiError(400, "outputLayers must be an array");
+    }
+    outputLayers.forEach((layer, index) => {
+      validateLayer(layer, `outputLayers[${index}]`);
+    });
+
+    const entry = await this.getModel(sourceModel);
+    const truncated = truncateBaseModel(entry.model, cutLayer);
+    const transferredLayers = truncated.layers
+      .filter((layer) => layer.getClassName() !== "InputLayer")
+      .map((layer) => layer.name);
+
+    const phases =
+      fineTuning && fineTuning.phases !== undefined
+        ? validateFineTuningPhases(fineTuning.phases, transferredLayers)
+        : [];
+
+    return {
+      baseModelId: sourceModel._id,
+      baseVersion: sourceModel.currentVersion || 1,
+      baseModelPath,
+      cutLayer: truncated.outputLayers[0].name,
+      freezeBaseLayers,
+      transferredLayers,
+      outputLayers,
+      fineTuning: { phases },
+    };
+  }
+
+  /**
+   * Prepare a transfer model for one fine-tuning phase: the layers the phase
+   * unfreezes become trainable, the rest of the base stays frozen, and the
+   * model is recompiled with the phase learning rate
+   * @param {Object} aiModel - AIModel document of the transfer clone
+   * @param {Object} phase - Phase ({ learningRate, unfreeze })
+   * @returns {Promise<Object>} { unfrozenLayers, learningRate }
+   */
+  async applyFineTuningPhase(aiModel, phase) {
+    const transfer = toPlain(aiModel.transferLearning) || {};
+    const layerNames = transfer.transferredLayers || [];
+    const entry = await this.getModel(aiModel);
+
+    const unfrozen = unfrozenLayerNames(phase.unfreeze, layerNames);
+    layerNames.forEach((name) => {
+      entry.model.getLayer(name).trainable = !transfer.freezeBaseLayers || unfrozen.includes(name);
+    });
+    entry.frozenLayers = entry.model.layers
+      .map((layer, index) => (layerNames.includes(layer.name) && !layer.trainable ? index : null))
+      .filter((index) => index !== null);
+
+    // Trainable weights are collected when compiling, so recompile after every change
+    const hp = entry.hyperparameters || {};
+    const learningRate = phase.learningRate || hp.learningRate;
+    this.compileModel(entry, { learningRate });
+
+    console.log(
+      `Fine-tuning phase for model ${aiModel._id}: ${unfrozen.length} of ${layerNames.length} base layers unfrozen`
+    );
+    return { unfrozenLayers: unfrozen, learningRate: learningRate || null };
+  }
+
+  // Stack layers built from specs on top of the model output
+  appendLayers(entry, layers) {
+    // Check every layer before changing the model
+    layers.forEach((layer, index) => {
+      validateLayer(layer, `outputLayers[${index}]`);
+    });
+
+    if (typeof entry.model.add === "function") {
+      layers.forEach((layer) => {
+        entry.model.add(createLayer(layer));
+      });
+      return;
+    }
+
+    // Graph models are rebuilt around the new output; existing layers keep their weights
+    if (layers.length === 0) {
+      return;
+    }
+    if (entry.model.outputs.length !== 1) {
+      throw new ApiError(400, "Output layers can only be added to a model with a single output");
+    }
+    const output = layers.reduce((tensor, layer) => createLayer(layer).apply(tensor), entry.model.outputs[0]);
+    disposeOptimizer(entry.model.optimizer);
+    entry.model = tf.model({ inputs: entry.model.inputs, outputs: output });
+  }
+
   // Add custom output layers for transfer learning
-  addOutputLayers(outputLayers = []) {
+  async addOutputLayers(aiModel, outputLayers = []) {
     try {
       console.log("Adding output layers for transfer learning");
 
-      if (!this.model) {
-        throw new Error("No model available. Create or load a model first.");
-      }
-
-      // Add new output layers
-      outputLayers.forEach((layer) => {
-        const layerConfig = { ...layer.config };
-
-        switch (layer.type) {
-          case "dense":
-            this.model.add(tf.layers.dense(layerConfig));
-            break;
-          case "conv2d":
-            this.model.add(tf.layers.conv2d(layerConfig));
-            break;
-          case "flatten":
-            this.model.add(tf.layers.flatten(layerConfig));
-            break;
-          case "dropout":
-            this.model.add(tf.layers.dropout(layerConfig));
-            break;
-          default:
-            console.warn(`Unsupported layer type for output: ${layer.type}`);
-        }
-      });
+      const entry = await this.getModel(aiModel);
+      this.appendLayers(entry, outputLayers);
 
       console.log(`Added ${outputLayers.length} custom output layers`);
       return true;
@@ -241,188 +574,429 @@ class AIService {
     }
   }
 
+  // Compile the model with an optimizer built from its hyperparameters
+  // (overrides replace single hyperparameters, e.g. a phase learning rate)
+  compileModel(entry, overrides = {}) {
+    const hp = { ...(entry.hyperparameters || {}), ...overrides };
+    const optimizer = createOptimizer(hp.optimizer || "adam", hp.learningRate);
+
+    disposeOptimizer(entry.model.optimizer);
+    entry.model.compile({
+      optimizer,
+      loss: hp.lossFunction || "categoricalCrossentropy",
+      metrics: hp.metrics || ["accuracy"],
+    });
+  }
+
+  // Compile the model with its hyperparameters if it has not been compiled
+  ensureCompiled(entry) {
+    if (entry.model.optimizer) {
+      return;
+    }
+
+    this.compileModel(entry);
+  }
+
   // Train the model
-  async trainModel(
-    trainData,
-    labels,
-    epochs = 10,
-    batchSize = 32,
-    validationSplit = 0.2
-  ) {
+  async trainModel(aiModel, trainData, labels, options = {}) {
+    const {
+      epochs = 10,
+      batchSize = 32,
+      validationSplit = 0.2,
+      initialEpoch = 0,
+      callbacks: extraCallbacks = [],
+    } = options;
+
+    const entry = await this.getModel(aiModel);
+    entry.busy++;
+    let trainTensors;
+    let labelTensors;
+
     try {
-      console.log("Training AI model");
+      console.log(`Training AI model ${aiModel._id}`);
 
       // Get hyperparameters
-      const hp = this.hyperparameters || {};
+      const hp = entry.hyperparameters || {};
 
       // Compile the model with current hyperparameters if not done already
-      if (!this.model.optimizer) {
-        this.model.compile({
-          optimizer: hp.optimizer || "adam",
-          loss: hp.lossFunction || "categoricalCrossentropy",
-          metrics: hp.metrics || ["accuracy"],
-          learningRate: hp.learningRate || 0.001,
-        });
-      }
+      this.ensureCompiled(entry);
 
       // Convert data to tensors
-      const trainTensors = tf.tensor2d(trainData);
-      const labelTensors = tf.tensor2d(labels);
+      trainTensors = toTensors(trainData, entry.model.inputNames);
+      labelTensors = toTensors(labels, entry.model.outputNames);
 
       // Prepare callbacks
       const callbacks = [
         {
           onEpochEnd: (epoch, logs) => {
+            const accuracy = logs.acc !== undefined ? logs.acc : logs.accuracy;
             console.log(
               `Epoch ${
                 epoch + 1
-              } of ${epochs} completed, loss: ${logs.loss.toFixed(
-                4
-              )}, accuracy: ${logs.acc.toFixed(4)}`
+              } of ${epochs} completed, loss: ${logs.loss.toFixed(4)}${
+                accuracy !== undefined ? `, accuracy: ${accuracy.toFixed(4)}` : ""
+              }`
             );
           },
         },
       ];
 
-      // Add custom callbacks from hyperparameters
-      if (hp.callbacks) {
-        callbacks.push(...hp.callbacks);
-      }
+      // Add declarative callbacks from hyperparameters
+      const declaredCallbacks = buildTrainingCallbacks(hp.callbacks, {
+        epochs,
+        checkpointPath: this.resolveModelPath(`checkpoints/model_${aiModel._id}`),
+      });
+      callbacks.push(...declaredCallbacks);
+
+      // Add callbacks supplied by the caller (e.g. job progress tracking)
+      callbacks.push(...extraCallbacks);
 
       // Train the model
-      const result = await this.model.fit(trainTensors, labelTensors, {
+      const result = await entry.model.fit(trainTensors, labelTensors, {
         epochs: epochs,
         batchSize: batchSize,
         validationSplit: validationSplit,
-        callbacks: callbacks,
+        initialEpoch,
+        // fit only accepts plain callback objects if no callback instance is mixed in
+        callbacks: callbacks.map((callback) =>
+          callback instanceof tf.Callback ? callback : new tf.CustomCallback(callback)
+        ),
       });
 
-      console.log("Model training completed");
-
-      // Clean up tensors
-      trainTensors.dispose();
-      labelTensors.dispose();
+      // Report what the declarative callbacks did (early stop, best checkpoint, ...)
+      result.callbacks = declaredCallbacks.map((callback) => callback.summary());
+      result.optimizer = describeOptimizer(entry.model.optimizer);
 
+      console.log("Model training completed");
       return result;
     } catch (error) {
       console.error("Error training AI model:", error);
       throw error;
+    } finally {
+      // Clean up tensors, also when fit fails or is stopped
+      tf.dispose([trainTensors, labelTensors]);
+      entry.busy--;
     }
   }
 
-  // Make predictions
-  async predict(inputData) {
-    try {
-      console.log("Making AI prediction");
+  // Ask an in-progress fit to stop after the current batch
+  stopTraining(modelId) {
+    const entry = this.registry.get(modelId.toString());
+    if (!entry || !entry.model) {
+      return false;
+    }
 
-      if (!this.model) {
-        throw new Error("No model available. Create or load a model first.");
-      }
+    entry.model.stopTraining = true;
+    console.log(`Stop requested for training of model ${modelId}`);
+    return true;
+  }
+
+  // Make predictions, shaped for the task of each output (options: topK, threshold)
+  async predict(aiModel, inputData, options = {}) {
+    const entry = await this.getModel(aiModel);
+    entry.busy++;
+    let inputTensor;
+    let outputs;
+
+    try {
+      console.log(`Making AI prediction with model ${aiModel._id}`);
 
       // Convert input to tensor
-      const inputTensor = tf.tensor2d(inputData);
+      inputTensor = toTensors(inputData, entry.model.inputNames);
 
       // Make prediction
-      const predictions = await this.model.predict(inputTensor);
-      const results = await predictions.array();
-
-      // Calculate confidence scores
-      const confidences = results.map((predArray) => {
-        // For binary classification
-        if (predArray.length === 1) {
-          const value = predArray[0];
-          return value > 0.5 ? value : 1 - value;
+      const output = entry.model.predict(inputTensor);
+      outputs = Array.isArray(output) ? output : [output];
+      const results = await Promise.all(outputs.map((tensor) => tensor.array()));
+
+      console.log("Prediction completed successfully");
+
+      const hp = entry.hyperparameters || {};
+      const classLabels = toPlain(aiModel.classLabels);
+      const shaped = entry.model.outputNames.map((name, index) => {
+        const rows = results[index];
+        const outputShape = entry.model.outputs[index].shape;
+        const taskType = resolveTaskType(hp, {
+          name,
+          loss: outputLoss(entry, name, index),
+          units: outputShape[outputShape.length - 1],
+        });
+
+        const described = { taskType, predictions: rows };
+        // Only flat (samples x values) outputs can be read as classes, labels or values
+        if (outputShape.length === 2) {
+          described.results = formatTaskOutputs(taskType, rows, {
+            ...resolvePredictionSettings(hp, name, options),
+            labels: outputClassLabels(classLabels, name),
+          });
         }
-        // For multi-class classification
-        else {
-          return Math.max(...predArray);
+        // Confidence is only meaningful for single-label classifiers
+        if (taskType === "binary" || taskType === "multiClass") {
+          described.confidence = confidenceScores(rows);
         }
+        return described;
       });
 
-      // Clean up tensors
-      inputTensor.dispose();
-      predictions.dispose();
+      if (shaped.length === 1) {
+        return shaped[0];
+      }
+
+      // Multi-output models: every field keyed by output name
+      const keyed = {};
+      entry.model.outputNames.forEach((name, index) => {
+        Object.entries(shaped[index]).forEach(([field, value]) => {
+          keyed[field] = keyed[field] || {};
+          keyed[field][name] = value;
+        });
+      });
+      return keyed;
+    } catch (error) {
+      console.error("Error making prediction with AI model:", error);
+      throw error;
+    } finally {
+      // Clean up tensors, also when the input does not fit the model
+      tf.dispose([inputTensor, outputs]);
+      entry.busy--;
+    }
+  }
+
+  /**
+   * Attribute the model output for each sample to its input values with input
+   * gradients. Methods: "gradientInput" (gradient × input), "integratedGradients"
+   * (path-averaged gradients from a baseline, times input - baseline) and
+   * "saliency" (absolute gradients, the largest over channels for images)
+   * @param {Object} aiModel - AIModel document
+   * @param {Array} samples - Input samples
+   * @param {Object} options - { method, target, steps, baseline }
+   * @returns {Promise<Object>} { attributions, targets, scores, outputs }
+   */
+  async computeAttributions(aiModel, samples, { method = "gradientInput", target = null, steps = 50, baseline = null } = {}) {
+    const entry = await this.getModel(aiModel);
+    entry.busy++;
+
+    const tensors = [];
+    try {
+      if (entry.model.inputs.length !== 1 || entry.model.outputs.length !== 1) {
+        throw new ApiError(400, "Explanations support models with a single input and output");
+      }
+      console.log(`Computing ${method} attributions with model ${aiModel._id}`);
+
+      const input = tf.tensor(samples);
+      tensors.push(input);
+      const outputs = tf.tidy(() => entry.model.apply(input, { training: false }).reshape([samples.length, -1]));
+      tensors.push(outputs);
+      const units = outputs.shape[1];
+      if (target !== null && (target < 0 || target >= units)) {
+        throw new ApiError(400, `target must be between 0 and ${units - 1}`);
+      }
+
+      // Explain the requested unit, otherwise the winning class (or the only unit)
+      const rows = await outputs.array();
+      const targets = rows.map((row) => (target !== null ? target : units > 1 ? row.indexOf(Math.max(...row)) : 0));
+      const mask = tf.tidy(() => tf.oneHot(tf.tensor1d(targets, "int32"), units).toFloat());
+      tensors.push(mask);
+
+      // Samples are independent, so the gradient of the summed target scores
+      // holds the gradient of every sample's own score
+      const gradient = tf.grad((x) =>
+        entry.model.apply(x, { training: false }).reshape([samples.length, -1]).mul(mask).sum()
+      );
+
+      let attributions;
+      if (method === "integratedGradients") {
+        const start = tf.tidy(() =>
+          baseline !== null ? tf.tensor(baseline).broadcastTo(input.shape) : tf.zerosLike(input)
+        );
+        tensors.push(start);
+        const delta = input.sub(start);
+        tensors.push(delta);
+
+        // Riemann sum of the gradients along the straight path from the baseline
+        let total = tf.zerosLike(input);
+        for (let step = 1; step <= steps; step++) {
+          const next = tf.tidy(() => total.add(gradient(start.add(delta.mul(step / steps)))));
+          total.dispose();
+          total = next;
+        }
+        attributions = tf.tidy(() => total.div(steps).mul(delta));
+        total.dispose();
+      } else {
+        attributions = tf.tidy(() => {
+          const grads = gradient(input);
+          if (method === "saliency") {
+            // Image inputs get one value per pixel: the strongest channel
+            return input.rank === 4 ? grads.abs().max(-1) : grads.abs();
+          }
+          return grads.mul(input);
+        });
+      }
+      tensors.push(attributions);
 
-      console.log("Prediction completed successfully");
       return {
-        predictions: results,
-        confidence: confidences,
+        attributions: await attributions.array(),
+        targets,
+        scores: rows.map((row, index) => row[targets[index]]),
+        outputs: rows,
       };
     } catch (error) {
-      console.error("Error making prediction with AI model:", error);
+      console.error("Error computing attributions:", error);
       throw error;
+    } finally {
+      tf.dispose(tensors);
+      entry.busy--;
     }
   }
 
   // Evaluate model on test data
-  async evaluateModel(testData, testLabels) {
+  async evaluateModel(aiModel, testData, testLabels) {
+    const entry = await this.getModel(aiModel);
+    entry.busy++;
+    let testTensors;
+    let labelTensors;
+    let evaluation;
+
     try {
-      console.log("Evaluating model performance");
+      console.log(`Evaluating performance of model ${aiModel._id}`);
 
-      if (!this.model) {
-        throw new Error("No model available. Create or load a model first.");
-      }
+      this.ensureCompiled(entry);
 
       // Convert test data to tensors
-      const testTensors = tf.tensor2d(testData);
-      const labelTensors = tf.tensor2d(testLabels);
+      testTensors = toTensors(testData, entry.model.inputNames);
+      labelTensors = toTensors(testLabels, entry.model.outputNames);
 
-      // Evaluate the model
-      const evaluation = await this.model.evaluate(testTensors, labelTensors);
+      // Evaluate the model (a single scalar when only the loss is tracked)
+      const output = entry.model.evaluate(testTensors, labelTensors);
+      evaluation = Array.isArray(output) ? output : [output];
 
-      // Extract metrics
-      const loss = await evaluation[0].dataSync();
-      const accuracy = await evaluation[1].dataSync();
-
-      // Clean up tensors
-      testTensors.dispose();
-      labelTensors.dispose();
-      evaluation.forEach((tensor) => tensor.dispose());
+      // Extract metrics by name (loss first, then compiled metrics)
+      const metrics = {};
+      entry.model.metricsNames.forEach((name, index) => {
+        metrics[name === "acc" ? "accuracy" : name] = evaluation[index].dataSync()[0];
+      });
 
-      console.log(`Evaluation - Loss: ${loss[0]}, Accuracy: ${accuracy[0]}`);
+      console.log("Evaluation -", metrics);
 
-      return {
-        loss: loss[0],
-        accuracy: accuracy[0],
-      };
+      return metrics;
     } catch (error) {
       console.error("Error evaluating model:", error);
       throw error;
+    } finally {
+      // Clean up tensors, also when the test set does not fit the model
+      tf.dispose([testTensors, labelTensors, evaluation]);
+      entry.busy--;
     }
   }
 
-  // Save the model
-  async saveModel(path, metadata = {}) {
-    try {
-      console.log(`Saving AI model to path: ${path}`);
+  // Describe the loss, output shape and decision threshold of a model
+  // (options.threshold overrides the configured threshold, as in predict)
+  async getOutputInfo(aiModel, options = {}) {
+    const entry = await this.getModel(aiModel);
+    const hp = entry.hyperparameters || {};
+    const outputShape = entry.model.outputs[0].shape;
+    const name = entry.model.outputNames[0];
+    const loss = outputLoss(entry, name, 0);
+    const outputUnits = outputShape[outputShape.length - 1];
+
+    return {
+      loss,
+      outputCount: entry.model.outputs.length,
+      outputShape,
+      outputUnits,
+      taskType: resolveTaskType(hp, { name, loss, units: outputUnits }),
+      threshold: resolveThreshold(hp, name, options.threshold),
+      outputs: entry.model.outputNames.map((outputName, index) => {
+        const shape = entry.model.outputs[index].shape;
+        const units = shape[shape.length - 1];
+        return {
+          name: outputName,
+          units,
+          taskType: resolveTaskType(hp, { name: outputName, loss: outputLoss(entry, outputName, index), units }),
+        };
+      }),
+    };
+  }
 
-      if (!this.model) {
-        throw new Error("No model available. Create or load a model first.");
-      }
+  // Describe the named inputs of a model and their shapes
+  async getInputInfo(aiModel) {
+    const entry = await this.getModel(aiModel);
+
+    return {
+      inputs: entry.model.inputNames.map((name, index) => ({
+        name,
+        shape: entry.model.inputs[index].shape,
+      })),
+    };
+  }
+
+  // Capture the tfjs artifacts of a model in memory (topology, weight specs and weight data)
+  async getModelArtifacts(aiModel, { includeOptimizer = false } = {}) {
+    const entry = await this.getModel(aiModel);
+    entry.busy++;
 
-      // If path is relative, make it absolute with models directory
-      if (
-        !path.startsWith("file://") &&
-        !path.startsWith("http://") &&
-        !path.startsWith("https://")
-      ) {
-        // Remove file:// prefix if present
-        const cleanPath = path.replace(/^file:\/\//, "");
-        path = `file://${path.join(MODELS_DIR, cleanPath)}`;
+    try {
+      // Optimizer weights only exist once the model is compiled
+      if (includeOptimizer) {
+        this.ensureCompiled(entry);
       }
 
-      // Save the model with metadata
-      await this.model.save(path, {
-        includeOptimizer: true,
-        metadata: {
-          ...metadata,
-          isTransferLearning: this.isTransferLearning,
-          frozenLayers: this.frozenLayers,
-          modelArchitecture: this.modelArchitecture,
-          hyperparameters: this.hyperparameters,
-          date: new Date().toISOString(),
-        },
-      });
+      let artifacts;
+      await entry.model.save(
+        tf.io.withSaveHandler(async (captured) => {
+          artifacts = captured;
+          return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(captured) };
+        }),
+        { includeOptimizer }
+      );
+      return artifacts;
+    } finally {
+      entry.busy--;
+    }
+  }
+
+  // Turn a relative save path into a file:// URL inside the models directory
+  resolveModelPath(modelPath) {
+    if (
+      modelPath.startsWith("file://") ||
+      modelPath.startsWith("http://") ||
+      modelPath.startsWith("https://")
+    ) {
+      return modelPath;
+    }
+
+    return `file://${path.join(MODELS_DIR, modelPath)}`;
+  }
+
+  // Save the model; quantized artifacts (from the quantization service) are
+  // written in place of the float32 weights
+  async saveModel(aiModel, savePath, metadata = {}, quantized = null) {
+    try {
+      console.log(`Saving AI model ${aiModel._id} to path: ${savePath}`);
+
+      const entry = await this.getModel(aiModel);
+      const modelMetadata = {
+        ...metadata,
+        modelId: aiModel._id.toString(),
+        isTransferLearning: entry.isTransferLearning,
+        frozenLayers: entry.frozenLayers,
+        modelArchitecture: entry.modelArchitecture,
+        hyperparameters: entry.hyperparameters,
+        classLabels: toPlain(aiModel.classLabels) || null,
+        date: new Date().toISOString(),
+      };
+
+      if (quantized) {
+        const [handler] = tf.io.getSaveHandlers(this.resolveModelPath(savePath));
+        if (!handler) {
+          throw new Error(`No save handler for ${savePath}`);
+        }
+        await handler.save({ ...quantized.artifacts, userDefinedMetadata: modelMetadata });
+      } else {
+        // Save the model with metadata
+        await entry.model.save(this.resolveModelPath(savePath), {
+          includeOptimizer: true,
+          metadata: modelMetadata,
+        });
+      }
 
       console.log("Model saved successfully");
       return true;
@@ -433,13 +1007,11 @@ class AIService {
   }
 
   // Get model summary as an object
-  getModelSummary() {
+  async getModelSummary(aiModel) {
     try {
-      if (!this.model) {
-        throw new Error("No model available. Create or load a model first.");
-      }
+      const entry = await this.getModel(aiModel);
 
-      const layers = this.model.layers.map((layer) => ({
+      const layers = entry.model.layers.map((layer) => ({
         name: layer.name,
         type: layer.getClassName(),
         trainable: layer.trainable,
@@ -449,7 +1021,7 @@ class AIService {
         params: layer.countParams(),
       }));
 
-      const totalParams = this.model.countParams();
+      const totalParams = entry.model.countParams();
       const trainableParams = layers.reduce(
         (sum, layer) => (layer.trainable ? sum + layer.params : sum),
         0
@@ -457,11 +1029,14 @@ class AIService {
 
       return {
         layers,
+        inputs: entry.model.inputNames,
+        outputs: entry.model.outputNames,
         totalParams,
         trainableParams,
         nonTrainableParams: totalParams - trainableParams,
-        isTransferLearning: this.isTransferLearning,
-        frozenLayers: this.frozenLayers,
+        optimizer: describeOptimizer(entry.model.optimizer),
+        isTransferLearning: entry.isTransferLearning,
+        frozenLayers: entry.frozenLayers,
       };
     } catch (error) {
       console.error("Error getting model summary:", error);
@@ -470,29 +1045,22 @@ class AIService {
   }
 
   // Change hyperparameters of the model
-  updateHyperparameters(hyperparameters = {}) {
+  async updateHyperparameters(aiModel, hyperparameters = {}) {
     try {
-      console.log("Updating model hyperparameters");
+      console.log(`Updating hyperparameters of model ${aiModel._id}`);
 
-      if (!this.model) {
-        throw new Error("No model available. Create or load a model first.");
-      }
+      // Recompiling replaces the optimizer that a running fit still uses
+      this.assertIdle(aiModel._id);
+      const entry = await this.getModel(aiModel);
 
       // Store the new hyperparameters
-      this.hyperparameters = {
-        ...(this.hyperparameters || {}),
+      entry.hyperparameters = {
+        ...(entry.hyperparameters || {}),
         ...hyperparameters,
       };
 
       // Recompile model with new hyperparameters
-      const hp = this.hyperparameters;
-
-      this.model.compile({
-        optimizer: hp.optimizer || "adam",
-        loss: hp.lossFunction || "categoricalCrossentropy",
-        metrics: hp.metrics || ["accuracy"],
-        learningRate: hp.learningRate || 0.001,
-      });
+      this.compileModel(entry);
 
       console.log("Model hyperparameters updated");
       return true;
@@ -0,0 +1,342 @@
+import * as tf from "@tensorflow/tfjs";
+import { ApiError } from "../utils/errors.js";
+import { LAYER_CATALOG, createLayer, validateLayer } from "./layerCatalog.js";
+
+/**
+ * Check whether an architecture describes a layer graph rather than a layer stack
+ * @param {Object} architecture - Model architecture ({ layers, inputShape })
+ * @returns {boolean} True if any layer is an input node or names its inputs
+ */
+export const isGraphArchitecture = (architecture) =>
+  Array.isArray(architecture.layers) &&
+  architecture.layers.some(
+    (layer) => layer && (layer.type === "input" || Array.isArray(layer.inputs))
+  );
+
+// Point a tfjs build error at the layer that caused it
+const layerError = (error, layer, index) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  const label = layer.name ? `${layer.type} "${layer.name}"` : layer.type;
+  return new ApiError(400, `layers[${index}] (${label}): ${error.message}`, {
+    layerIndex: index,
+    layerName: layer.name,
+    layerType: layer.type,
+  });
+};
+
+// Reject a layer whose output has an empty dimension, e.g. a kernel larger than its input
+const checkOutputShape = (shape) => {
+  const shapes = Array.isArray(shape[0]) ? shape : [shape];
+  shapes.forEach((dims) => {
+    if (dims.some((dim) => dim !== null && dim <= 0)) {
+      throw new Error(`output shape [${dims.map(String).join(", ")}] has a dimension below 1`);
+    }
+  });
+};
+
+// Release the weights of layers created before a build failed
+const disposeLayers = (layers) => {
+  layers.forEach((layer) => layer.weights.forEach((weight) => weight.dispose()));
+};
+
+// Build a tf.sequential model from an ordered list of layers
+const buildSequentialModel = ({ layers, inputShape }) => {
+  const model = tf.sequential();
+  const created = [];
+
+  layers.forEach((layer, index) => {
+    // Add input shape for first layer
+    const overrides = {};
+    if (index === 0 && inputShape) {
+      overrides.inputShape = inputShape;
+    }
+
+    try {
+      const tfLayer = createLayer(layer, overrides);
+      created.push(tfLayer);
+      model.add(tfLayer);
+      checkOutputShape(tfLayer.outputShape);
+    } catch (error) {
+      disposeLayers(created);
+      throw layerError(error, layer, index);
+    }
+  });
+
+  return model;
+};
+
+// Build a tf.model from named nodes that reference their inputs by name
+const buildGraphModel = ({ layers }) => {
+  const nodes = new Map();
+
+  layers.forEach((layer, index) => {
+    if (!layer.name) {
+      throw new ApiError(400, `Layer ${index} (${layer.type}) needs a name in a graph architecture`);
+    }
+    if (nodes.has(layer.name)) {
+      throw new ApiError(400, `Duplicate layer name "${layer.name}"`);
+    }
+    // Layers without explicit inputs continue from the previous layer
+    const inputs = Array.isArray(layer.inputs)
+      ? layer.inputs
+      : layer.type === "input" || index === 0
+        ? []
+        : [layers[index - 1].name];
+    nodes.set(layer.name, { layer, index, inputs });
+  });
+
+  const tensors = new Map();
+  const resolving = new Set();
+  const created = [];
+
+  // Resolve a node after its inputs, detecting cycles along the way
+  const resolve = (name, from) => {
+    if (tensors.has(name)) {
+      return tensors.get(name);
+    }
+
+    const node = nodes.get(name);
+    if (!node) {
+      throw new ApiError(400, `Layer "${from}" references unknown input "${name}"`);
+    }
+    if (resolving.has(name)) {
+      throw new ApiError(400, `Layer "${name}" is part of a cycle`);
+    }
+    resolving.add(name);
+
+    const { layer, index, inputs } = node;
+    let output;
+
+    if (layer.type === "input") {
+      output = tf.input({ shape: layer.config.shape, name, dtype: layer.config.dtype });
+    } else {
+      const merge = LAYER_CATALOG[layer.type].merge;
+      if (merge && inputs.length < 2) {
+        throw layerError(new Error("a merge layer needs at least two inputs"), layer, index);
+      }
+      if (!merge && inputs.length !== 1) {
+        throw layerError(new Error("this layer takes exactly one input"), layer, index);
+      }
+
+      const inputTensors = inputs.map((input) => resolve(input, name));
+      try {
+        const tfLayer = createLayer(layer, { name });
+        created.push(tfLayer);
+        output = tfLayer.apply(merge ? inputTensors : inputTensors[0]);
+        checkOutputShape(tfLayer.outputShape);
+      } catch (error) {
+        throw layerError(error, layer, index);
+      }
+    }
+
+    resolving.delete(name);
+    tensors.set(name, output);
+    return output;
+  };
+
+  try {
+    // Outputs are the layers flagged as output, or the last layer
+    const outputNames = layers.filter((layer) => layer.output).map((layer) => layer.name);
+    if (outputNames.length === 0) {
+      outputNames.push(layers[layers.length - 1].name);
+    }
+    const outputs = outputNames.map((name) => resolve(name, "outputs"));
+
+    // Resolve every node so unreachable layers are still checked
+    layers.forEach((layer) => resolve(layer.name, layer.name));
+
+    const inputs = layers
+      .filter((layer) => layer.type === "input")
+      .map((layer) => tensors.get(layer.name));
+    if (inputs.length === 0) {
+      throw new ApiError(400, "A graph architecture needs at least one input layer");
+    }
+
+    try {
+      return tf.model({ inputs, outputs });
+    } catch (error) {
+      throw new ApiError(400, `Invalid layer graph: ${error.message}`);
+    }
+  } catch (error) {
+    disposeLayers(created);
+    throw error;
+  }
+};
+
+/**
+ * Check every layer of an architecture against the layer catalog
+ * @param {Object} architecture - Model architecture ({ layers, inputShape })
+ * @throws {ApiError} 400 with the position of the first invalid layer
+ */
+export const validateArchitecture = (architecture) => {
+  if (!architecture || !Array.isArray(architecture.layers) || architecture.layers.length === 0) {
+    throw new ApiError(400, "Architecture needs at least one layer");
+  }
+  if (architecture.inputShape !== undefined && architecture.inputShape !== null &&
+    (!Array.isArray(architecture.inputShape) || !architecture.inputShape.every((dim) => dim === null || (Number.isInteger(dim) && dim > 0)))) {
+    throw new ApiError(400, "inputShape must be an array of positive integers");
+  }
+
+  const graph = isGraphArchitecture(architecture);
+  architecture.layers.forEach((layer, index) => {
+    try {
+      validateLayer(layer, `layers[${index}]`, { graph });
+    } catch (error) {
+      error.details = { layerIndex: index, layerName: layer && layer.name, layerType: layer && layer.type };
+      throw error;
+    }
+  });
+};
+
+/**
+ * Build an uncompiled tfjs model from an architecture description.
+ *
+ * A plain list of layers is stacked with tf.sequential. A graph is described
+ * by giving each layer a name and listing the names it takes as `inputs`:
+ * `input` layers declare a `shape`, merge layers (`add`, `concatenate`,
+ * `multiply`) take two or more inputs, and layers flagged `output: true`
+ * become model outputs. Every layer is checked against the layer catalog,
+ * and a layer whose output would have an empty dimension is rejected.
+ *
+ * @param {Object} architecture - Model architecture ({ layers, inputShape })
+ * @returns {tf.LayersModel} The model
+ */
+export const buildModelFromArchitecture = (architecture) => {
+  validateArchitecture(architecture);
+
+  return isGraphArchitecture(architecture)
+    ? buildGraphModel(architecture)
+    : buildSequentialModel(architecture);
+};
+
+// Layers whose kernels are applied once per timestep
+const RECURRENT_CLASSES = ["LSTM", "GRU", "SimpleRNN", "Bidirectional"];
+
+// Layers that cost a few operations per output element
+const ELEMENTWISE_CLASSES = ["Activation", "BatchNormalization", "LayerNormalization", "Add", "Multiply"];
+
+// Product of the dimensions of a shape, or null if one of them is unknown
+const countElements = (shape) =>
+  shape.reduce((total, dim) => (total === null || dim === null ? null : total * dim), 1);
+
+// Shapes as a list, whether a layer has one input/output or several
+const toShapeList = (shape) => (Array.isArray(shape[0]) ? shape : [shape]);
+
+// tfjs layers only expose their output shape; the input shape is on the inbound node
+const getInputShape = (layer) =>
+  layer.inboundNodes.length ? layer.inboundNodes[0].inputShapes : layer.batchInputShape;
+
+/**
+ * Estimate the floating point operations of one forward pass of a layer for a
+ * single sample: two per multiply-add of a kernel, one per element otherwise
+ * @param {tf.layers.Layer} layer - Built layer
+ * @returns {number|null} Estimated FLOPs, or null if a dimension is unknown
+ */
+const estimateFlops = (layer) => {
+  const className = layer.getClassName();
+  const inputShapes = toShapeList(getInputShape(layer));
+  const inputShape = inputShapes[0];
+  const outputShape = toShapeList(layer.outputShape)[0];
+  const kernelWeights = layer.weights
+    .filter((weight) => weight.name.includes("kernel"))
+    .reduce((sum, weight) => sum + countElements(weight.shape), 0);
+
+  if (RECURRENT_CLASSES.includes(className)) {
+    // Input and recurrent kernels run once per timestep
+    return countElements([inputShape[1]]) === null ? null : 2 * kernelWeights * inputShape[1];
+  }
+  if (kernelWeights > 0) {
+    // Kernels slide over every spatial position (transposed convolutions over the input)
+    const positions = className === "Conv2DTranspose"
+      ? countElements(inputShape.slice(1, -1))
+      : countElements(outputShape.slice(1, -1));
+    return positions === null ? null : 2 * kernelWeights * positions;
+  }
+
+  const outputElements = countElements(outputShape.slice(1));
+  if (outputElements === null) {
+    return null;
+  }
+  if (ELEMENTWISE_CLASSES.includes(className)) {
+    return outputElements * Math.max(1, inputShapes.length - 1);
+  }
+  if (/^(Max|Average)Pooling/.test(className)) {
+    const poolSize = [].concat(layer.poolSize || 1);
+    return outputElements * poolSize.reduce((total, dim) => total * dim, 1);
+  }
+  if (/^Global/.test(className)) {
+    return countElements(inputShape.slice(1));
+  }
+  return 0;
+};
+
+/**
+ * Build an architecture in a sandbox and describe what it produces. The model
+ * is disposed afterwards, so nothing is registered or kept in memory.
+ * @param {Object} architecture - Model architecture ({ layers, inputShape, outputShape })
+ * @returns {Object} Per-layer shapes, parameter counts, weight memory and FLOPs with totals
+ * @throws {ApiError} 400 naming the first layer that does not fit
+ */
+export const inspectArchitecture = (architecture) => {
+  const model = buildModelFromArchitecture(architecture);
+
+  try {
+    const graph = isGraphArchitecture(architecture);
+    const { outputShape } = architecture;
+
+    // The declared output shape excludes the batch dimension
+    if (Array.isArray(outputShape) && outputShape.length) {
+      const actual = model.outputs[0].shape.slice(1);
+      if (actual.length !== outputShape.length || actual.some((dim, i) => dim !== outputShape[i])) {
+        throw new ApiError(
+          400,
+          `Model output shape [${actual.join(", ")}] does not match outputShape [${outputShape.join(", ")}]`
+        );
+      }
+    }
+
+    const layers = model.layers.map((layer, index) => {
+      const spec = graph
+        ? architecture.layers.find((entry) => entry.name === layer.name)
+        : architecture.layers[index];
+      const params = layer.countParams();
+      const trainableParams = layer.trainable
+        ? layer.trainableWeights.reduce((sum, weight) => sum + countElements(weight.shape), 0)
+        : 0;
+
+      return {
+        index,
+        name: layer.name,
+        type: spec ? spec.type : undefined,
+        className: layer.getClassName(),
+        inputShape: getInputShape(layer),
+        outputShape: layer.outputShape,
+        params,
+        trainableParams,
+        weightBytes: params * 4,
+        flops: estimateFlops(layer),
+      };
+    });
+
+    const flops = layers.some((layer) => layer.flops === null)
+      ? null
+      : layers.reduce((sum, layer) => sum + layer.flops, 0);
+    const totalParams = model.countParams();
+
+    return {
+      modelType: graph ? "graph" : "sequential",
+      inputs: model.inputs.map((input, i) => ({ name: model.inputNames[i], shape: input.shape })),
+      outputs: model.outputs.map((output, i) => ({ name: model.outputNames[i], shape: output.shape })),
+      layers,
+      totalParams,
+      trainableParams: layers.reduce((sum, layer) => sum + layer.trainableParams, 0),
+      // float32 weights
+      weightBytes: totalParams * 4,
+      flops,
+    };
+  } finally {
+    model.dispose();
+  }
+};
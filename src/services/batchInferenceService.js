@@ -0,0 +1,442 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import Papa from "papaparse";
+import aiService from "./aiService.js";
+import jobService from "./jobService.js";
+import AIModel from "../models/aiModel.js";
+import { getDatasetForUser, getDatasetFilePath } from "./datasetService.js";
+import { recordPredictionInputs } from "./driftService.js";
+import { getServingVersion, resolveModelVersion } from "./modelVersions.js";
+import { validateTaskSettings } from "./taskOutputs.js";
+import { ApiError } from "../utils/errors.js";
+
+// Get directory name for prediction outputs
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PREDICTIONS_DIR = path.join(__dirname, "../../uploads/predictions");
+
+// Rows sent through the model at once
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.BATCH_CHUNK_SIZE) || 500;
+const MAX_CHUNK_SIZE = 10000;
+
+// Input formats by file extension; .json files hold an array or newline-delimited JSON
+const FORMATS_BY_EXTENSION = {
+  ".csv": "csv",
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+  ".json": "json",
+};
+
+export const BATCH_INPUT_EXTENSIONS = Object.keys(FORMATS_BY_EXTENSION);
+export const BATCH_OUTPUT_FORMATS = ["csv", "ndjson"];
+
+// Input formats of the dataset formats that can be scored
+const DATASET_FORMATS = { csv: "csv", tabular: "csv", json: "json" };
+
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+/**
+ * Path of the prediction file written by a batch inference job
+ * @param {Object} job - Job document
+ * @returns {string} Absolute file path
+ */
+export const getBatchOutputPath = (job) =>
+  path.join(PREDICTIONS_DIR, job.userId.toString(), `${job._id}.${job.params.outputFormat}`);
+
+// Check whether a JSON file holds an array rather than one record per line
+const isJsonArrayFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+    return buffer.toString("utf8", 0, bytesRead).trimStart().startsWith("[");
+  } finally {
+    await handle.close();
+  }
+};
+
+// Rows of a CSV file, parsed as the file is read
+async function* csvRows(stream) {
+  const parser = Papa.parse(Papa.NODE_STREAM_INPUT, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+  });
+  stream.on("error", (error) => parser.destroy(error));
+  yield* stream.pipe(parser);
+}
+
+// Rows of a newline-delimited JSON file, parsed line by line
+async function* ndjsonRows(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new ApiError(400, `Line ${lineNumber} is not valid JSON: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Open an input file as a stream of rows. Progress is the share of the file
+ * read so far; JSON arrays are parsed whole and report the share of rows.
+ * @param {string} filePath - Input file
+ * @param {string} format - csv, ndjson or json
+ * @returns {Promise<Object>} { rows, progress, close }
+ */
+const openRowReader = async (filePath, format) => {
+  if (format === "json" && (await isJsonArrayFile(filePath))) {
+    let records;
+    try {
+      records = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    } catch (error) {
+      throw new ApiError(400, `Input file is not valid JSON: ${error.message}`);
+    }
+    let read = 0;
+    return {
+      rows: (function* () {
+        for (const record of records) {
+          read++;
+          yield record;
+        }
+      })(),
+      progress: () => (records.length ? read / records.length : 1),
+      close: () => {},
+    };
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  const stream = fs.createReadStream(filePath);
+  return {
+    rows: format === "csv" ? csvRows(stream) : ndjsonRows(stream),
+    progress: () => (size ? Math.min(1, stream.bytesRead / size) : 1),
+    close: () => stream.destroy(),
+  };
+};
+
+/**
+ * Write scored rows to a CSV or NDJSON file. CSV columns are fixed by the
+ * first chunk so every row lines up with the header.
+ * @param {string} outputPath - Output file
+ * @param {string} format - csv or ndjson
+ * @returns {Promise<Object>} { write, columns, close }
+ */
+const createRowWriter = async (outputPath, format) => {
+  const handle = await fs.promises.open(outputPath, "w");
+  let columns = null;
+
+  return {
+    write: async (rows) => {
+      const header = !columns;
+      columns = columns || [...new Set(rows.flatMap((row) => Object.keys(row)))];
+      const text = format === "csv"
+        ? Papa.unparse(rows, { columns, header, newline: "\n" })
+        : rows.map((row) => JSON.stringify(row)).join("\n");
+      await handle.write(`${text}\n`);
+    },
+    columns: () => columns || [],
+    close: () => handle.close(),
+  };
+};
+
+// Numeric feature vector of one input row
+const featureRow = (row, columns, rowNumber) => {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    throw new ApiError(400, `Row ${rowNumber} is not a record of named columns`);
+  }
+  return columns.map((column) => {
+    const value = row[column];
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      throw new ApiError(400, `Feature column "${column}" has a non-numeric value in row ${rowNumber}`);
+    }
+    return value;
+  });
+};
+
+// Class name of a prediction, falling back to its index
+const className = (entry) => (entry.label !== undefined ? entry.label : entry.class);
+
+/**
+ * Flatten the prediction of one sample into output columns named after a prefix:
+ * - binary / multiClass: predicted class and its probability (plus the runner-up
+ *   classes as <prefix>_2, <prefix>_2_probability... when topK > 1)
+ * - multiLabel: predicted classes joined by "|" and one probability column per class
+ * - regression: the value, or <prefix>_0, <prefix>_1... for several values
+ * Outputs that are not samples x values are written as JSON.
+ * @param {string} taskType - Task type of the output
+ * @param {Object} result - Shaped prediction (see formatTaskOutputs)
+ * @param {Array} raw - Raw model output of the sample
+ * @param {string} prefix - Column name prefix
+ * @returns {Object} Columns to append to the row
+ */
+const predictionColumns = (taskType, result, raw, prefix) => {
+  if (!result) {
+    return { [prefix]: JSON.stringify(raw) };
+  }
+
+  if (taskType === "regression") {
+    return result.values
+      ? Object.fromEntries(result.values.map((value, index) => [`${prefix}_${index}`, value]))
+      : { [prefix]: result.value };
+  }
+
+  if (taskType === "multiLabel") {
+    const columns = {
+      [prefix]: (result.predictedLabels || result.predicted).join("|"),
+    };
+    result.labels.forEach((entry) => {
+      columns[`${prefix}_${className(entry)}`] = entry.probability;
+    });
+    return columns;
+  }
+
+  const columns = {
+    [prefix]: className(result),
+    [`${prefix}_probability`]: result.probability,
+  };
+  (result.topK || []).slice(1).forEach((entry, index) => {
+    columns[`${prefix}_${index + 2}`] = className(entry);
+    columns[`${prefix}_${index + 2}_probability`] = entry.probability;
+  });
+  return columns;
+};
+
+// Append the prediction columns of every output to the input rows
+const appendPredictions = (rows, output, outputNames) => {
+  const outputs = outputNames.length === 1
+    ? [{ prefix: "prediction", taskType: output.taskType, results: output.results, raw: output.predictions }]
+    : outputNames.map((name) => ({
+      prefix: `${name}_prediction`,
+      taskType: output.taskType[name],
+      results: output.results && output.results[name],
+      raw: output.predictions[name],
+    }));
+
+  return rows.map((row, index) =>
+    Object.assign(
+      { ...row },
+      ...outputs.map(({ prefix, taskType, results, raw }) =>
+        predictionColumns(taskType, results && results[index], raw[index], prefix)
+      )
+    )
+  );
+};
+
+/**
+ * Run a queued batch inference job: stream the input file through the model in
+ * chunks and write each row with its predictions appended as columns
+ * @param {Object} job - Job document
+ * @param {Object} payload - { inputPath, cleanup } (cleanup removes an uploaded input)
+ * @param {Object} context - Cancellation state and event publisher
+ * @returns {Promise<Object>} Output file summary
+ */
+const runBatchInferenceJob = async (job, payload, context) => {
+  const aiModel = await AIModel.findById(job.modelId);
+  if (!aiModel) {
+    throw new Error("Model not found");
+  }
+
+  const { format, outputFormat, chunkSize, topK, threshold } = job.params;
+  // Jobs score with the version that was serving when they were submitted
+  const model = resolveModelVersion(aiModel, job.params.version);
+  const { outputs } = await aiService.getOutputInfo(model);
+  const outputNames = outputs.map((output) => output.name);
+  const outputPath = getBatchOutputPath(job);
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+  let featureColumns = job.params.featureColumns;
+  let processedRows = 0;
+  let chunk = [];
+  let completed = false;
+  let reader;
+  let writer;
+
+  const scoreChunk = async () => {
+    const features = chunk.map((row, index) => featureRow(row, featureColumns, processedRows + index + 1));
+    const output = await aiService.predict(model, features, { topK, threshold });
+    await writer.write(appendPredictions(chunk, output, outputNames));
+    // Batch inputs are prediction traffic too, so they feed drift monitoring
+    await recordPredictionInputs(aiModel, features).catch((error) => {
+      console.error(`Error recording batch inputs of model ${aiModel._id} for drift monitoring:`, error);
+    });
+
+    processedRows += chunk.length;
+    chunk = [];
+    const percent = Math.floor(reader.progress() * 100);
+    await job.recordBatchProgress(processedRows, percent);
+    context.publish("batch", { processedRows, percent });
+  };
+
+  try {
+    reader = await openRowReader(payload.inputPath, format);
+    writer = await createRowWriter(outputPath, outputFormat);
+
+    for await (const row of reader.rows) {
+      if (context.cancelled) {
+        break;
+      }
+
+      // Without a column mapping every column of the input is a feature
+      if (!featureColumns && row && typeof row === "object" && !Array.isArray(row)) {
+        featureColumns = Object.keys(row);
+      }
+
+      chunk.push(row);
+      if (chunk.length >= chunkSize) {
+        await scoreChunk();
+      }
+    }
+
+    if (!context.cancelled) {
+      if (chunk.length > 0) {
+        await scoreChunk();
+      }
+      if (processedRows === 0) {
+        throw new ApiError(400, "The input file has no rows");
+      }
+      completed = true;
+    }
+  } finally {
+    if (reader) {
+      reader.close();
+    }
+    if (writer) {
+      await writer.close();
+    }
+    // Only complete outputs are kept
+    if (!completed) {
+      await fs.promises.rm(outputPath, { force: true });
+    }
+    if (payload.cleanup) {
+      await fs.promises.rm(payload.inputPath, { force: true });
+    }
+  }
+
+  if (context.cancelled) {
+    return { processedRows };
+  }
+
+  await job.recordBatchProgress(processedRows, 100);
+  const { size } = await fs.promises.stat(outputPath);
+  console.log(`Batch inference job ${job._id} scored ${processedRows} rows with model ${aiModel._id}`);
+
+  return {
+    rows: processedRows,
+    format: outputFormat,
+    columns: writer.columns(),
+    featureColumns,
+    outputFile: path.basename(outputPath),
+    size,
+    downloadUrl: `/api/ai/batch-predict/${job._id}/download`,
+  };
+};
+
+jobService.registerHandler("batchInference", runBatchInferenceJob);
+
+/**
+ * Validate batch inference options against the model
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} options - { featureColumns, chunkSize, outputFormat, topK, threshold }
+ * @param {string} inputFormat - Format of the input file
+ * @returns {Promise<Object>} Normalized job parameters, including the serving version
+ */
+const validateBatchRequest = async (aiModel, options, inputFormat) => {
+  const {
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    outputFormat = inputFormat === "csv" ? "csv" : "ndjson",
+    topK,
+    threshold,
+  } = options;
+
+  const version = getServingVersion(aiModel);
+  const { inputs } = await aiService.getInputInfo(resolveModelVersion(aiModel, version));
+  if (inputs.length !== 1) {
+    throw new ApiError(400, "Batch inference supports models with a single input");
+  }
+
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    throw new ApiError(400, `chunkSize must be an integer from 1 to ${MAX_CHUNK_SIZE}`);
+  }
+  if (!BATCH_OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new ApiError(400, `outputFormat must be one of ${BATCH_OUTPUT_FORMATS.join(", ")}`);
+  }
+  validateTaskSettings({ prediction: { topK, threshold } });
+
+  // Columns the model was trained on are reused when none are given
+  const trained = toPlain(aiModel.trainingDataset) || {};
+  const featureColumns = options.featureColumns || trained.featureColumns || null;
+  if (featureColumns !== null) {
+    if (!Array.isArray(featureColumns) || featureColumns.length === 0 ||
+      !featureColumns.every((column) => typeof column === "string" && column.length > 0)) {
+      throw new ApiError(400, "featureColumns must be a non-empty list of column names");
+    }
+    const shape = inputs[0].shape;
+    const width = shape[shape.length - 1];
+    if (shape.length === 2 && width !== null && featureColumns.length !== width) {
+      throw new ApiError(400, `The model expects ${width} features but ${featureColumns.length} feature columns were given`);
+    }
+  }
+
+  return { featureColumns, chunkSize, outputFormat, topK, threshold, version };
+};
+
+/**
+ * Queue a batch inference job over a stored dataset or an uploaded file
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} userId - ID of the user submitting the job
+ * @param {Object} source - { datasetId, datasetVersion } or { file } (a multer upload)
+ * @param {Object} options - { featureColumns, chunkSize, outputFormat, format, topK, threshold }
+ * @returns {Promise<Object>} Created job document
+ */
+export const submitBatchInferenceJob = async (aiModel, userId, source, options = {}) => {
+  const { file, datasetId, datasetVersion } = source;
+
+  let inputPath;
+  let inputFormat;
+  let sourceInfo;
+
+  if (file) {
+    inputPath = file.path;
+    inputFormat = options.format || FORMATS_BY_EXTENSION[path.extname(file.originalname).toLowerCase()];
+    if (!Object.values(FORMATS_BY_EXTENSION).includes(inputFormat)) {
+      throw new ApiError(400, "format must be csv, ndjson or json");
+    }
+    sourceInfo = { type: "upload", fileName: file.originalname, size: file.size };
+  } else {
+    const dataset = await getDatasetForUser(datasetId, userId);
+    inputFormat = DATASET_FORMATS[dataset.format];
+    if (!inputFormat) {
+      throw new ApiError(400, `Datasets in ${dataset.format} format cannot be scored`);
+    }
+    inputPath = getDatasetFilePath(dataset, datasetVersion);
+    sourceInfo = {
+      type: "dataset",
+      datasetId: dataset._id,
+      datasetName: dataset.name,
+      datasetVersion: datasetVersion !== undefined && datasetVersion !== null ? Number(datasetVersion) : null,
+      fileName: path.basename(inputPath),
+    };
+  }
+
+  const params = await validateBatchRequest(aiModel, options, inputFormat);
+
+  // Uploaded inputs are removed once the job is done with them
+  return jobService.submit(
+    {
+      type: "batchInference",
+      modelId: aiModel._id,
+      userId,
+      params: { source: sourceInfo, format: inputFormat, ...params },
+    },
+    { inputPath, cleanup: Boolean(file) }
+  );
+};
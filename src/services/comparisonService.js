@@ -0,0 +1,243 @@
+import aiService from "./aiService.js";
+import { computeTaskMetrics } from "./evaluationService.js";
+import { argMax, binaryClass, mcNemarTest, thresholdAt } from "../utils/metrics.js";
+import { ApiError } from "../utils/errors.js";
+
+// Largest number of models compared in one request
+export const MAX_COMPARED_MODELS = 10;
+
+// Per-class scores compared across models
+const CLASS_METRICS = ["precision", "recall", "f1"];
+
+// Metrics where a lower value is better; all others are higher-is-better
+const LOWER_IS_BETTER = ["mae", "mse", "rmse"];
+
+// Top-level numeric metrics, with averaged scores flattened as "macro.f1" etc.
+const flattenMetrics = (metrics) => {
+  const flat = {};
+  Object.entries(metrics).forEach(([name, value]) => {
+    if (typeof value === "number") {
+      flat[name] = value;
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, nested]) => {
+        if (typeof nested === "number") {
+          flat[`${name}.${key}`] = nested;
+        }
+      });
+    }
+  });
+  return flat;
+};
+
+// What a model predicted for one sample, in the form compared across models;
+// the same rule as its predictions and classification metrics
+const predictedValue = (taskType, row, threshold) => {
+  if (taskType === "regression") {
+    return row;
+  }
+  if (taskType === "multiLabel") {
+    return row.map((score, j) => binaryClass(score, thresholdAt(threshold, j)));
+  }
+  return row.length === 1 ? binaryClass(row[0], thresholdAt(threshold, 0)) : argMax(row);
+};
+
+// Whether a predicted value matches the label (classification tasks only)
+const isCorrect = (taskType, predicted, label) => {
+  if (taskType === "multiLabel") {
+    return predicted.every((value, j) => value === binaryClass(label[j]));
+  }
+  const actual = label.length === 1 ? binaryClass(label[0]) : argMax(label);
+  return predicted === actual;
+};
+
+// Metric table: one row per metric with every model's value and the best model
+const buildMetricTable = (candidates, results) => {
+  const flat = results.map((result) => flattenMetrics(result.metrics));
+  const names = Object.keys(flat[0]).filter((name) => flat.every((metrics) => typeof metrics[name] === "number"));
+
+  return names.map((metric) => {
+    const lowerIsBetter = LOWER_IS_BETTER.includes(metric);
+    const values = {};
+    let best = null;
+    flat.forEach((metrics, index) => {
+      const value = metrics[metric];
+      values[candidates[index].key] = value;
+      if (best === null || (lowerIsBetter ? value < flat[best][metric] : value > flat[best][metric])) {
+        best = index;
+      }
+    });
+    return {
+      metric,
+      lowerIsBetter,
+      values,
+      best: candidates[best].key,
+      deltas: Object.fromEntries(
+        candidates.slice(1).map((candidate, index) => [candidate.key, flat[index + 1][metric] - flat[0][metric]])
+      ),
+    };
+  });
+};
+
+// Per-class scores of every model with their change from the baseline
+const buildClassDeltas = (candidates, results) => {
+  const baseline = results[0].metrics.perClass;
+  if (!Array.isArray(baseline)) {
+    return [];
+  }
+
+  return baseline.map((baseClass, classIndex) => {
+    const row = { class: baseClass.class, label: baseClass.label, support: baseClass.support, models: {} };
+    results.forEach((result, index) => {
+      const scores = result.metrics.perClass[classIndex];
+      const entry = {};
+      CLASS_METRICS.forEach((name) => {
+        entry[name] = scores[name];
+        if (index > 0) {
+          entry[`${name}Delta`] = scores[name] - baseClass[name];
+        }
+      });
+      row.models[candidates[index].key] = entry;
+    });
+    return row;
+  });
+};
+
+/**
+ * Evaluate several models (or versions of a model) on the same labelled
+ * samples and compare them: a metric table, per-class deltas against the
+ * first (baseline) model, samples the models disagree on and pairwise
+ * McNemar tests of their error rates.
+ * @param {Array<Object>} candidates - [{ key, aiModel }] where aiModel is a document or version view
+ * @param {Array<Array<number>>} testData - Test inputs
+ * @param {Array<Array<number>>} testLabels - Test labels shaped like the model outputs
+ * @param {Object} options - { classNames, threshold, maxDisagreements, regressionTolerance };
+ *   without a threshold each model uses its configured one
+ * @returns {Promise<Object>} Comparison report
+ * @throws {ApiError} 400 when the models cannot be compared on the data
+ */
+export const compareModels = async (candidates, testData, testLabels, options = {}) => {
+  const { classNames, threshold, maxDisagreements = 20, regressionTolerance = 0 } = options;
+
+  if (!Array.isArray(candidates) || candidates.length < 2) {
+    throw new ApiError(400, "At least two models are required for a comparison");
+  }
+  if (candidates.length > MAX_COMPARED_MODELS) {
+    throw new ApiError(400, `At most ${MAX_COMPARED_MODELS} models can be compared at once`);
+  }
+  if (!Array.isArray(testData) || testData.length === 0) {
+    throw new ApiError(400, "Test data must be a non-empty array");
+  }
+  if (!Array.isArray(testLabels) || testLabels.length !== testData.length) {
+    throw new ApiError(400, "Test labels must have one entry per test sample");
+  }
+  if (!Number.isInteger(maxDisagreements) || maxDisagreements < 0) {
+    throw new ApiError(400, "maxDisagreements must be a non-negative integer");
+  }
+
+  // Every model has to produce the same kind of output for the metrics to be comparable
+  const outputs = [];
+  for (const candidate of candidates) {
+    const info = await aiService.getOutputInfo(candidate.aiModel, { threshold });
+    if (info.outputCount > 1) {
+      throw new ApiError(400, `Model ${candidate.key} has several outputs; comparison supports single-output models`);
+    }
+    outputs.push(info);
+  }
+  const { taskType, outputUnits } = outputs[0];
+  const mismatch = outputs.findIndex((info) => info.taskType !== taskType || info.outputUnits !== outputUnits);
+  if (mismatch !== -1) {
+    throw new ApiError(
+      400,
+      `Model ${candidates[mismatch].key} (${outputs[mismatch].taskType}, ${outputs[mismatch].outputUnits} outputs) ` +
+        `cannot be compared with ${candidates[0].key} (${taskType}, ${outputUnits} outputs)`
+    );
+  }
+
+  // Same samples, same order, same metric options for every model
+  const results = [];
+  for (const [index, candidate] of candidates.entries()) {
+    const { predictions } = await aiService.predict(candidate.aiModel, testData);
+    results.push({
+      predictions,
+      metrics: computeTaskMetrics(taskType, testLabels, predictions, { classNames, threshold: outputs[index].threshold }),
+    });
+  }
+
+  const predicted = results.map((result, index) =>
+    result.predictions.map((row) => predictedValue(taskType, row, outputs[index].threshold))
+  );
+
+  // Samples the models disagree on; regression outputs disagree when they are
+  // further apart than the tolerance, and the widest spreads are listed first
+  const spreads = [];
+  const disagreementIndices = [];
+  testData.forEach((_, i) => {
+    const values = predicted.map((modelPredictions) => modelPredictions[i]);
+    if (taskType === "regression") {
+      spreads[i] = Math.max(
+        ...values[0].map((_, unit) => {
+          const column = values.map((row) => row[unit]);
+          return Math.max(...column) - Math.min(...column);
+        })
+      );
+      if (spreads[i] > regressionTolerance) {
+        disagreementIndices.push(i);
+      }
+    } else if (values.some((value) => JSON.stringify(value) !== JSON.stringify(values[0]))) {
+      disagreementIndices.push(i);
+    }
+  });
+  if (taskType === "regression") {
+    disagreementIndices.sort((a, b) => spreads[b] - spreads[a]);
+  }
+
+  const disagreements = {
+    count: disagreementIndices.length,
+    rate: disagreementIndices.length / testData.length,
+    examples: disagreementIndices.slice(0, maxDisagreements).map((i) => ({
+      index: i,
+      input: testData[i],
+      label: testLabels[i],
+      spread: taskType === "regression" ? spreads[i] : undefined,
+      predictions: Object.fromEntries(
+        candidates.map((candidate, index) => [
+          candidate.key,
+          { predicted: predicted[index][i], output: results[index].predictions[i] },
+        ])
+      ),
+    })),
+  };
+
+  // Error rates are only defined for classification
+  let significance = null;
+  if (taskType !== "regression") {
+    const correct = predicted.map((modelPredictions) =>
+      modelPredictions.map((value, i) => isCorrect(taskType, value, testLabels[i]))
+    );
+    significance = [];
+    for (let a = 0; a < candidates.length; a++) {
+      for (let b = a + 1; b < candidates.length; b++) {
+        significance.push({
+          modelA: candidates[a].key,
+          modelB: candidates[b].key,
+          ...mcNemarTest(correct[a], correct[b]),
+        });
+      }
+    }
+  }
+
+  console.log(`Compared ${candidates.length} models on ${testData.length} samples`);
+  return {
+    taskType,
+    samples: testData.length,
+    baseline: candidates[0].key,
+    models: candidates.map((candidate, index) => ({
+      key: candidate.key,
+      metrics: results[index].metrics,
+    })),
+    metricTable: buildMetricTable(candidates, results),
+    classDeltas: buildClassDeltas(candidates, results),
+    disagreements,
+    significance,
+  };
+};
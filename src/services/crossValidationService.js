@@ -0,0 +1,373 @@
+import * as tf from "@tensorflow/tfjs";
+import { toTensors } from "./aiService.js";
+import jobService from "./jobService.js";
+import AIModel from "../models/aiModel.js";
+import { buildModelFromArchitecture, validateArchitecture } from "./architectureBuilder.js";
+import { buildTrainingCallbacks } from "./trainingCallbacks.js";
+import { computeTaskMetrics } from "./evaluationService.js";
+import { resolveTaskType, resolveThreshold } from "./taskOutputs.js";
+import { createOptimizer, disposeOptimizer } from "./optimizers.js";
+import { argMax } from "../utils/metrics.js";
+import { ApiError } from "../utils/errors.js";
+import { createRandom, shuffle as shuffleValues } from "../utils/random.js";
+import { kFoldIndices, stratifiedKFoldIndices, selectRows } from "../utils/folds.js";
+
+// Upper bound on the number of folds of a single cross-validation job
+const MAX_FOLDS = parseInt(process.env.MAX_CV_FOLDS) || 20;
+
+// Share of the training folds held out as validation data for callbacks
+const INNER_VALIDATION_SPLIT = 0.2;
+
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+// Class of a label row used to stratify folds: the 0/1 value, the one-hot index or the label set
+const stratumOf = (row) => {
+  if (row.length === 1) {
+    return row[0] >= 0.5 ? 1 : 0;
+  }
+  return row.filter((value) => value >= 0.5).length === 1 ? argMax(row) : row.join(",");
+};
+
+// Where the cross-validated samples came from, as recorded on the performance record
+const datasetSource = (dataset) =>
+  dataset
+    ? {
+      type: "dataset",
+      datasetId: dataset.datasetId,
+      datasetVersion: dataset.datasetVersion,
+      featureColumns: dataset.featureColumns,
+      labelColumn: dataset.labelColumn,
+    }
+    : { type: "request" };
+
+/**
+ * Validate a cross-validation request against the model and its data
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} data - Training data ({ trainData, labels })
+ * @param {Object} options - { folds, stratified, shuffle, seed, epochs, batchSize, threshold }
+ * @returns {Object} Normalized job parameters
+ */
+export const validateCrossValidationRequest = (aiModel, data, options = {}) => {
+  const hp = toPlain(aiModel.hyperparameters) || {};
+  const {
+    folds = 5,
+    stratified = false,
+    shuffle = true,
+    seed,
+    epochs = hp.epochs || 10,
+    batchSize = hp.batchSize || 32,
+    threshold,
+  } = options;
+
+  const architecture = aiModel.architecture && aiModel.architecture.layers && aiModel.architecture.layers.length
+    ? aiModel.architecture
+    : null;
+  if (!architecture) {
+    throw new ApiError(400, "Cross-validation needs a model with a stored architecture");
+  }
+
+  if (!Array.isArray(data.labels)) {
+    throw new ApiError(400, "Cross-validation supports models with a single output");
+  }
+  const sampleCount = data.labels.length;
+
+  if (!Number.isInteger(folds) || folds < 2 || folds > MAX_FOLDS) {
+    throw new ApiError(400, `folds must be an integer from 2 to ${MAX_FOLDS}`);
+  }
+  if (folds > sampleCount) {
+    throw new ApiError(400, `Cannot split ${sampleCount} samples into ${folds} folds`);
+  }
+  if (typeof stratified !== "boolean" || typeof shuffle !== "boolean") {
+    throw new ApiError(400, "stratified and shuffle must be booleans");
+  }
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    throw new ApiError(400, "seed must be an integer");
+  }
+  if (!Number.isInteger(epochs) || epochs < 1) {
+    throw new ApiError(400, "epochs must be a positive integer");
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new ApiError(400, "batchSize must be a positive integer");
+  }
+  if (threshold !== undefined && (typeof threshold !== "number" || threshold <= 0 || threshold >= 1)) {
+    throw new ApiError(400, "threshold must be between 0 and 1");
+  }
+
+  if (stratified) {
+    const outputUnits = Array.isArray(data.labels[0]) ? data.labels[0].length : 1;
+    if (resolveTaskType(hp, { loss: hp.lossFunction, units: outputUnits }) === "regression") {
+      throw new ApiError(400, "Stratified folds need class labels; use plain k-fold for regression models");
+    }
+  }
+
+  return { folds, stratified, shuffle, seed, epochs, batchSize, threshold };
+};
+
+// Keep the numbers of a metric record (and of nested averages), dropping curves and matrices
+const scalarMetrics = (metrics) =>
+  Object.fromEntries(
+    Object.entries(metrics)
+      .map(([name, value]) => {
+        if (typeof value === "number") {
+          return Number.isFinite(value) ? [name, value] : null;
+        }
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+          const nested = scalarMetrics(value);
+          return Object.keys(nested).length && Object.values(nested).every((v) => typeof v === "number")
+            ? [name, nested]
+            : null;
+        }
+        return null;
+      })
+      .filter(Boolean)
+  );
+
+/**
+ * Mean and standard deviation of every metric reported by all folds
+ * @param {Array<Object>} foldMetrics - Scalar metrics of each fold
+ * @returns {Object} { mean, std } with the same shape as a fold's metrics
+ */
+export const summarizeFolds = (foldMetrics) => {
+  const mean = {};
+  const std = {};
+
+  Object.keys(foldMetrics[0] || {}).forEach((name) => {
+    const values = foldMetrics.map((metrics) => metrics[name]);
+    if (values.every((value) => typeof value === "number")) {
+      const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+      mean[name] = average;
+      std[name] = Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+    } else if (values.every((value) => value && typeof value === "object")) {
+      const nested = summarizeFolds(values);
+      if (Object.keys(nested.mean).length) {
+        mean[name] = nested.mean;
+        std[name] = nested.std;
+      }
+    }
+  });
+
+  return { mean, std };
+};
+
+// Declared callbacks used by the folds; checkpoints would overwrite the model's own
+const foldCallbackSpecs = (hp) =>
+  (hp.callbacks || []).filter((callback) => callback.type !== "modelCheckpoint");
+
+// Train a fresh copy of the architecture on every fold but one and score it on
+// the held-out fold. Callbacks monitor a validation split of the training folds
+// only, so the held-out fold never decides when training stops or which weights are kept.
+const runFold = async (architecture, hp, data, { trainIndices, validationIndices, testIndices }, job, context) => {
+  const { epochs, batchSize, threshold } = job.params;
+  const model = buildModelFromArchitecture(architecture);
+  const tensors = [];
+
+  try {
+    const loss = hp.lossFunction || "categoricalCrossentropy";
+    model.compile({
+      optimizer: createOptimizer(hp.optimizer || "adam", hp.learningRate),
+      loss,
+      metrics: hp.metrics || ["accuracy"],
+    });
+
+    const testLabels = selectRows(data.labels, testIndices);
+    const xTrain = toTensors(selectRows(data.trainData, trainIndices), model.inputNames);
+    const yTrain = toTensors(selectRows(data.labels, trainIndices), model.outputNames);
+    const xTest = toTensors(selectRows(data.trainData, testIndices), model.inputNames);
+    const yTest = toTensors(testLabels, model.outputNames);
+    tensors.push(xTrain, yTrain, xTest, yTest);
+
+    let validationData;
+    if (validationIndices.length > 0) {
+      validationData = [
+        toTensors(selectRows(data.trainData, validationIndices), model.inputNames),
+        toTensors(selectRows(data.labels, validationIndices), model.outputNames),
+      ];
+      tensors.push(...validationData);
+    }
+
+    const callbacks = buildTrainingCallbacks(foldCallbackSpecs(hp), { epochs });
+    callbacks.push(new tf.CustomCallback({
+      onBatchEnd: async () => {
+        if (context.cancelled) {
+          model.stopTraining = true;
+        }
+      },
+    }));
+
+    const result = await model.fit(xTrain, yTrain, {
+      epochs,
+      batchSize,
+      validationData,
+      callbacks,
+    });
+
+    // Loss and compiled metrics on the held-out fold
+    const output = model.evaluate(xTest, yTest, { batchSize });
+    const evaluation = Array.isArray(output) ? output : [output];
+    tensors.push(evaluation);
+    const compiledMetrics = {};
+    model.metricsNames.forEach((name, index) => {
+      compiledMetrics[name === "acc" ? "accuracy" : name] = evaluation[index].dataSync()[0];
+    });
+
+    const predictionTensor = model.predict(xTest, { batchSize });
+    tensors.push(predictionTensor);
+    const predictions = await predictionTensor.array();
+
+    const outputShape = model.outputs[0].shape;
+    const taskType = resolveTaskType(hp, {
+      name: model.outputNames[0],
+      loss,
+      units: outputShape[outputShape.length - 1],
+    });
+
+    return {
+      taskType,
+      epochs: result.epoch.length,
+      metrics: scalarMetrics({
+        ...compiledMetrics,
+        ...computeTaskMetrics(taskType, testLabels, predictions, {
+          threshold: resolveThreshold(hp, model.outputNames[0], threshold),
+        }),
+      }),
+    };
+  } finally {
+    tf.dispose(tensors);
+    disposeOptimizer(model.optimizer);
+    model.dispose();
+  }
+};
+
+/**
+ * Run a queued cross-validation job: train one fresh model per fold, then store
+ * per-fold and mean/std metrics on the model's performance record
+ * @param {Object} job - Job document
+ * @param {Object} payload - In-memory training data ({ trainData, labels })
+ * @param {Object} context - Cancellation state and event publisher
+ * @returns {Promise<Object>} Cross-validation summary
+ */
+const runCrossValidationJob = async (job, payload, context) => {
+  const aiModel = await AIModel.findById(job.modelId);
+  if (!aiModel) {
+    throw new Error("Model not found");
+  }
+
+  const { folds: k, stratified, shuffle, seed } = job.params;
+  const architecture = toPlain(aiModel.architecture);
+  const hyperparameters = toPlain(aiModel.hyperparameters) || {};
+  validateArchitecture(architecture);
+
+  const random = createRandom(seed);
+  const testFolds = stratified
+    ? stratifiedKFoldIndices(payload.labels.map(stratumOf), k, { shuffle, random })
+    : kFoldIndices(payload.labels.length, k, { shuffle, random });
+
+  job.progress.totalFolds = k;
+  await job.save();
+
+  let taskType;
+  for (let number = 1; number <= k && !context.cancelled; number++) {
+    const testIndices = testFolds[number - 1];
+    const held = new Set(testIndices);
+    const foldIndices = payload.labels.map((_, index) => index).filter((index) => !held.has(index));
+
+    // Validation data for callbacks comes out of the training folds
+    const validationIndices = foldCallbackSpecs(hyperparameters).length > 0
+      ? shuffleValues([...foldIndices], random).slice(0, Math.round(foldIndices.length * INNER_VALIDATION_SPLIT))
+      : [];
+    const validating = new Set(validationIndices);
+    const trainIndices = foldIndices.filter((index) => !validating.has(index));
+
+    context.publish("fold", { fold: number, totalFolds: k, status: "running" });
+    const startedAt = Date.now();
+
+    // A failing fold fails the run: the mean over the remaining folds would be biased
+    const outcome = await runFold(
+      architecture,
+      hyperparameters,
+      payload,
+      { trainIndices, validationIndices, testIndices },
+      job,
+      context
+    );
+    taskType = outcome.taskType;
+
+    const fold = {
+      number,
+      status: context.cancelled ? "cancelled" : "succeeded",
+      trainSamples: trainIndices.length,
+      testSamples: testIndices.length,
+      epochs: outcome.epochs,
+      metrics: outcome.metrics,
+      durationMs: Date.now() - startedAt,
+    };
+    await job.recordFold(fold);
+    context.publish("fold", { fold: number, totalFolds: k, ...fold });
+  }
+
+  if (context.cancelled) {
+    return { completedFolds: job.folds.filter((fold) => fold.status === "succeeded").length };
+  }
+
+  const { mean, std } = summarizeFolds(job.folds.map((fold) => fold.metrics));
+  const crossValidation = {
+    jobId: job._id,
+    taskType,
+    folds: k,
+    stratified,
+    shuffle,
+    seed: seed !== undefined ? seed : null,
+    epochs: job.params.epochs,
+    samples: payload.labels.length,
+    perFold: job.folds.map(({ number, trainSamples, testSamples, epochs, metrics }) => ({
+      fold: number,
+      trainSamples,
+      testSamples,
+      epochs,
+      metrics,
+    })),
+    mean,
+    std,
+    source: datasetSource(job.params.dataset),
+    completedAt: new Date(),
+  };
+
+  // Keep the last evaluation next to the cross-validation results
+  aiModel.performance = { ...(toPlain(aiModel.performance) || {}), crossValidation };
+  aiModel.markModified("performance");
+  await aiModel.save();
+  console.log(`Cross-validation of model ${aiModel._id} completed over ${k} folds`);
+
+  return { folds: k, stratified, mean, std };
+};
+
+jobService.registerHandler("crossValidation", runCrossValidationJob);
+
+/**
+ * Queue a cross-validation job for a model
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} userId - ID of the user submitting the job
+ * @param {Object} data - Training data ({ trainData, labels })
+ * @param {Object} options - Cross-validation options (see validateCrossValidationRequest) and dataset
+ * @returns {Promise<Object>} Created job document
+ */
+export const submitCrossValidationJob = (aiModel, userId, data, options = {}) => {
+  const params = validateCrossValidationRequest(aiModel, data, options);
+
+  // Dataset source and column mapping, when cross-validating on a stored dataset
+  if (options.dataset) {
+    params.dataset = options.dataset;
+  }
+
+  return jobService.submit(
+    {
+      type: "crossValidation",
+      modelId: aiModel._id,
+      userId,
+      params,
+    },
+    data
+  );
+};
@@ -0,0 +1,238 @@
+import Dataset from '../models/datasetModel.js';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import Papa from 'papaparse';
+import { ApiError } from '../utils/errors.js';
+
+// Dataset formats that can be read as rows of named columns
+const TABULAR_FORMATS = ['csv', 'tabular', 'json'];
+
+/**
+ * Check if a user can read a dataset
+ * @param {Object} dataset - Dataset document
+ * @param {Object} userId - User ID
+ * @returns {boolean} True if the user created, was shared, or the dataset is public
+ */
+export const hasDatasetAccess = (dataset, userId) => {
+  const id = userId.toString();
+  const creatorId = dataset.creator._id ? dataset.creator._id : dataset.creator;
+
+  return creatorId.toString() === id ||
+    dataset.visibility === 'public' ||
+    dataset.sharedWith.some(share => {
+      const shareUser = share.user._id ? share.user._id : share.user;
+      return shareUser.toString() === id;
+    });
+};
+
+/**
+ * Load an active dataset the user has access to
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} userId - User ID
+ * @returns {Promise<Object>} Dataset document
+ */
+export const getDatasetForUser = async (datasetId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(datasetId)) {
+    throw new ApiError(400, 'Invalid dataset ID');
+  }
+
+  const dataset = await Dataset.findById(datasetId);
+  if (!dataset || !dataset.isActive) {
+    throw new ApiError(404, 'Dataset not found');
+  }
+
+  if (!hasDatasetAccess(dataset, userId)) {
+    throw new ApiError(403, 'You do not have permission to access this dataset');
+  }
+
+  return dataset;
+};
+
+/**
+ * Resolve the file backing a dataset or one of its versions
+ * @param {Object} dataset - Dataset document
+ * @param {number} versionNumber - Optional version number
+ * @returns {string} Absolute file path
+ */
+export const getDatasetFilePath = (dataset, versionNumber) => {
+  let storageInfo = dataset.storageInfo;
+
+  if (versionNumber !== undefined && versionNumber !== null) {
+    const version = dataset.versions.find(v => v.versionNumber === Number(versionNumber));
+    if (!version) {
+      throw new ApiError(404, `Dataset version ${versionNumber} not found`);
+    }
+    storageInfo = version.storageInfo;
+  }
+
+  if (!storageInfo || !storageInfo.location || !storageInfo.fileName) {
+    throw new ApiError(400, 'Dataset has no stored file');
+  }
+
+  const filePath = path.join(storageInfo.location, storageInfo.fileName);
+  if (!fs.existsSync(filePath)) {
+    throw new ApiError(404, `Dataset file not found: ${storageInfo.fileName}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Read the rows of a tabular dataset
+ * @param {Object} dataset - Dataset document
+ * @param {number} versionNumber - Optional version number
+ * @returns {Promise<Array<Object>>} Rows keyed by column name
+ */
+export const readDatasetRecords = async (dataset, versionNumber) => {
+  if (!TABULAR_FORMATS.includes(dataset.format)) {
+    throw new ApiError(400, `Datasets in ${dataset.format} format cannot be read as rows`);
+  }
+
+  const filePath = getDatasetFilePath(dataset, versionNumber);
+  const content = await fs.promises.readFile(filePath, 'utf8');
+
+  if (dataset.format === 'json') {
+    const trimmed = content.trim();
+    try {
+      // Accept a JSON array or newline-delimited JSON
+      return trimmed.startsWith('[')
+        ? JSON.parse(trimmed)
+        : trimmed.split(/\r?\n/).filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      throw new ApiError(400, `Dataset file is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const parsed = Papa.parse(content, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true
+  });
+
+  if (parsed.errors.length > 0) {
+    const first = parsed.errors[0];
+    throw new ApiError(400, `Error parsing dataset row ${first.row}: ${first.message}`);
+  }
+
+  return parsed.data;
+};
+
+/**
+ * Split dataset rows into a numeric feature matrix and raw label values
+ * @param {Array<Object>} records - Dataset rows
+ * @param {Object} options - { featureColumns, labelColumn }
+ * @returns {Object} { features, labels, featureColumns, labelColumn }
+ */
+export const extractFeaturesAndLabels = (records, { featureColumns, labelColumn } = {}) => {
+  if (!records.length) {
+    throw new ApiError(400, 'Dataset has no rows');
+  }
+
+  const columns = Object.keys(records[0]);
+  const label = labelColumn || columns[columns.length - 1];
+  const features = featureColumns && featureColumns.length
+    ? featureColumns
+    : columns.filter(column => column !== label);
+
+  const missing = [...features, label].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new ApiError(400, `Unknown dataset columns: ${missing.join(', ')}`);
+  }
+
+  const matrix = records.map((record, rowIndex) =>
+    features.map(column => {
+      const value = record[column];
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        throw new ApiError(400, `Feature column "${column}" has a non-numeric value in row ${rowIndex + 1}`);
+      }
+      return value;
+    })
+  );
+
+  return {
+    features: matrix,
+    labels: records.map(record => record[label]),
+    featureColumns: features,
+    labelColumn: label
+  };
+};
+
+/**
+ * Shape raw numeric label values to match a model's output
+ * @param {Array} values - Label values (numbers or arrays)
+ * @param {number} outputUnits - Size of the model output
+ * @returns {Array<Array<number>>} Label matrix
+ */
+export const toLabelMatrix = (values, outputUnits) =>
+  values.map((value, rowIndex) => {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (typeof value !== 'number') {
+      throw new ApiError(400, `Label in row ${rowIndex + 1} is not numeric`);
+    }
+    if (outputUnits === 1) {
+      return [value];
+    }
+    // Integer class index for a multi-class output
+    if (!Number.isInteger(value) || value < 0 || value >= outputUnits) {
+      throw new ApiError(400, `Label in row ${rowIndex + 1} is not a class index below ${outputUnits}`);
+    }
+    const row = new Array(outputUnits).fill(0);
+    row[value] = 1;
+    return row;
+  });
+
+/**
+ * Encode label values for training, one-hot encoding categorical labels
+ * @param {Array} values - Raw label values from the label column
+ * @param {number} outputUnits - Size of the model output
+ * @param {Array<string>} knownClasses - Class order to reuse (e.g. from a previous training run)
+ * @returns {Object} { labels, encoding: { type, classes } }
+ */
+export const encodeLabels = (values, outputUnits, knownClasses = null) => {
+  const categorical = knownClasses && knownClasses.length
+    ? true
+    : values.some(value => typeof value === 'string' || typeof value === 'boolean');
+
+  if (!categorical) {
+    return {
+      labels: toLabelMatrix(values, outputUnits),
+      encoding: { type: outputUnits === 1 ? 'numeric' : 'index', classes: null }
+    };
+  }
+
+  const classes = knownClasses && knownClasses.length
+    ? knownClasses.map(String)
+    : [...new Set(values.map(String))].sort();
+
+  const unknown = [...new Set(values.map(String))].filter(value => !classes.includes(value));
+  if (unknown.length > 0) {
+    throw new ApiError(400, `Unknown label values: ${unknown.slice(0, 10).join(', ')}`);
+  }
+
+  // Two classes and a single sigmoid output: encode as 0/1
+  if (outputUnits === 1) {
+    if (classes.length !== 2) {
+      throw new ApiError(400, `Label column has ${classes.length} classes but the model has a single output`);
+    }
+    return {
+      labels: values.map(value => [classes.indexOf(String(value))]),
+      encoding: { type: 'binary', classes }
+    };
+  }
+
+  if (classes.length !== outputUnits) {
+    throw new ApiError(400, `Label column has ${classes.length} classes but the model outputs ${outputUnits} values`);
+  }
+
+  return {
+    labels: values.map(value => {
+      const row = new Array(classes.length).fill(0);
+      row[classes.indexOf(String(value))] = 1;
+      return row;
+    }),
+    encoding: { type: 'oneHot', classes }
+  };
+};
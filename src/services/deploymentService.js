@@ -0,0 +1,332 @@
+import DeploymentLog, { DEPLOYMENT_MODES } from "../models/deploymentLogModel.js";
+import aiService from "./aiService.js";
+import { getServingVersion, resolveModelVersion } from "./modelVersions.js";
+import { argMax, binaryClass, thresholdAt } from "../utils/metrics.js";
+import { ApiError } from "../utils/errors.js";
+
+// Most recent logged requests a deployment report is computed from
+const DEPLOYMENT_REPORT_REQUESTS = parseInt(process.env.DEPLOYMENT_REPORT_REQUESTS) || 5000;
+
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+// Active deployment config of a model, or null
+const activeDeployment = (aiModel) => {
+  const deployment = toPlain(aiModel.deployment);
+  return deployment && DEPLOYMENT_MODES.includes(deployment.mode) ? deployment : null;
+};
+
+/**
+ * Route a share of the prediction traffic of a model to a candidate version.
+ * In canary mode that share is answered by the candidate; in shadow mode it
+ * is mirrored to the candidate after the serving version has answered, and
+ * the candidate output is only logged.
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} config - { mode, candidateVersion, trafficPercent }
+ * @returns {Promise<Object>} Deployment config
+ * @throws {ApiError} 400 for invalid configs, 404/409 for unusable versions
+ */
+export const configureDeployment = async (aiModel, { mode, candidateVersion, trafficPercent } = {}) => {
+  if (!DEPLOYMENT_MODES.includes(mode)) {
+    throw new ApiError(400, `mode must be one of ${DEPLOYMENT_MODES.join(", ")}`);
+  }
+  if (!Number.isInteger(candidateVersion)) {
+    throw new ApiError(400, "candidateVersion must be an integer");
+  }
+  const primaryVersion = getServingVersion(aiModel);
+  if (candidateVersion === primaryVersion) {
+    throw new ApiError(400, `Version ${candidateVersion} is already serving; choose another candidate`);
+  }
+
+  // Canaries start small; shadows mirror everything unless told otherwise
+  const percent = trafficPercent !== undefined ? trafficPercent : mode === "canary" ? 10 : 100;
+  if (typeof percent !== "number" || !(percent > 0 && percent <= 100)) {
+    throw new ApiError(400, "trafficPercent must be a number greater than 0 and at most 100");
+  }
+
+  // The candidate has to load and produce the same outputs before it sees traffic
+  const candidate = resolveModelVersion(aiModel, candidateVersion);
+  const [primaryOutput, candidateOutput] = await Promise.all([
+    aiService.getOutputInfo(resolveModelVersion(aiModel, primaryVersion)),
+    aiService.getOutputInfo(candidate),
+  ]);
+  if (
+    primaryOutput.taskType !== candidateOutput.taskType ||
+    primaryOutput.outputUnits !== candidateOutput.outputUnits ||
+    primaryOutput.outputCount !== candidateOutput.outputCount
+  ) {
+    throw new ApiError(
+      400,
+      `Version ${candidateVersion} (${candidateOutput.taskType}, ${candidateOutput.outputUnits} outputs) does not ` +
+        `match the serving version (${primaryOutput.taskType}, ${primaryOutput.outputUnits} outputs)`
+    );
+  }
+
+  aiModel.deployment = {
+    mode,
+    candidateVersion,
+    trafficPercent: percent,
+    startedAt: new Date(),
+  };
+  aiModel.markModified("deployment");
+  await aiModel.save();
+
+  console.log(
+    `Deployment of model ${aiModel._id}: ${mode} of version ${candidateVersion} on ${percent}% of traffic`
+  );
+  return aiModel.deployment;
+};
+
+// Predict and time it
+const timedPredict = async (model, inputData, options) => {
+  const started = Date.now();
+  const result = await aiService.predict(model, inputData, options);
+  return { result, latencyMs: Date.now() - started };
+};
+
+// Number of samples in a prediction request: a list of samples, or lists keyed by input name
+const countSamples = (inputData) => {
+  if (Array.isArray(inputData)) {
+    return inputData.length;
+  }
+  const inputs = inputData && typeof inputData === "object" ? Object.values(inputData) : [];
+  if (inputs.length === 0 || !inputs.every(Array.isArray)) {
+    throw new ApiError(400, "Input data must be a list of samples or lists of samples keyed by input name");
+  }
+  return inputs[0].length;
+};
+
+// Store a log entry without holding up the request
+const writeLog = (entry) => {
+  DeploymentLog.create(entry).catch((error) => {
+    console.error(`Error logging deployment request for model ${entry.modelId}:`, error);
+  });
+};
+
+/**
+ * Make a prediction with the version the deployment config of a model routes
+ * the request to. Without a deployment the serving (production) version
+ * answers. A failing canary falls back to the serving version, and a failing
+ * shadow never affects the response; both are logged. A requested version
+ * bypasses the deployment.
+ * @param {Object} aiModel - AIModel document
+ * @param {Array|Object} inputData - Prediction inputs
+ * @param {Object} options - Prediction settings passed to aiService.predict
+ * @param {number} version - Version to predict with instead of the routed one
+ * @returns {Promise<Object>} { result, version, mode } where version answered the request
+ * @throws {ApiError} 400 when the input is not a list of samples
+ */
+export const servePrediction = async (aiModel, inputData, options = {}, version = null) => {
+  // Reject malformed input before it is routed to any version
+  const samples = countSamples(inputData);
+
+  if (version !== undefined && version !== null) {
+    const pinned = resolveModelVersion(aiModel, version);
+    return { result: await aiService.predict(pinned, inputData, options), version: Number(version), mode: null };
+  }
+
+  const primaryVersion = getServingVersion(aiModel);
+  const serving = resolveModelVersion(aiModel, primaryVersion);
+  const deployment = activeDeployment(aiModel);
+  if (!deployment) {
+    return { result: await aiService.predict(serving, inputData, options), version: primaryVersion, mode: null };
+  }
+
+  const { mode, candidateVersion, trafficPercent } = deployment;
+  const routed = Math.random() * 100 < trafficPercent;
+  const log = {
+    modelId: aiModel._id,
+    mode,
+    primaryVersion,
+    candidateVersion,
+    samples,
+  };
+
+  let candidate = null;
+  if (routed) {
+    try {
+      candidate = resolveModelVersion(aiModel, candidateVersion);
+    } catch (error) {
+      console.error(`Candidate version ${candidateVersion} of model ${aiModel._id} is unavailable:`, error.message);
+      log.candidateError = error.message;
+    }
+  }
+
+  if (mode === "canary" && candidate) {
+    try {
+      const { result, latencyMs } = await timedPredict(candidate, inputData, options);
+      writeLog({ ...log, servedVersion: candidateVersion, candidateOutput: result.predictions, candidateLatencyMs: latencyMs });
+      return { result, version: candidateVersion, mode };
+    } catch (error) {
+      console.error(`Canary version ${candidateVersion} of model ${aiModel._id} failed; serving version ${primaryVersion}:`, error.message);
+      log.candidateError = error.message;
+    }
+  }
+
+  const primary = await timedPredict(serving, inputData, options);
+  log.servedVersion = primaryVersion;
+  log.primaryOutput = primary.result.predictions;
+  log.primaryLatencyMs = primary.latencyMs;
+
+  if (mode === "shadow" && candidate) {
+    // Mirrored after the response is ready, so the shadow adds no latency
+    timedPredict(candidate, inputData, options)
+      .then(({ result, latencyMs }) => {
+        writeLog({ ...log, candidateOutput: result.predictions, candidateLatencyMs: latencyMs });
+      })
+      .catch((error) => {
+        console.error(`Shadow version ${candidateVersion} of model ${aiModel._id} failed:`, error.message);
+        writeLog({ ...log, candidateError: error.message });
+      });
+  } else {
+    writeLog(log);
+  }
+
+  return { result: primary.result, version: primaryVersion, mode };
+};
+
+// Predicted class of an output row, by the same rule as predictions; regression rows have none
+const predictedClass = (taskType, row, threshold) => {
+  if (taskType === "binary" || taskType === "multiClass") {
+    return row.length === 1 ? binaryClass(row[0], thresholdAt(threshold, 0)) : argMax(row);
+  }
+  return null;
+};
+
+// Flat (samples x values) outputs; multi-output models are not compared
+const outputRows = (output) =>
+  Array.isArray(output) && output.every((row) => Array.isArray(row) && row.every((value) => typeof value === "number"))
+    ? output
+    : null;
+
+// Latency percentile of sorted latencies
+const percentile = (sorted, q) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null);
+
+// Request counts, errors, latency and output summary of one side of a deployment
+const summarizeArm = (taskType, threshold, version, logs, outputField, latencyField) => {
+  const answered = logs.filter((log) => log[outputField] !== undefined && log[outputField] !== null);
+  const latencies = answered.map((log) => log[latencyField]).sort((a, b) => a - b);
+  const errors = outputField === "candidateOutput" ? logs.filter((log) => log.candidateError).length : 0;
+
+  const summary = {
+    version,
+    requests: answered.length,
+    samples: answered.reduce((sum, log) => sum + (log.samples || 0), 0),
+    errors,
+    errorRate: answered.length + errors > 0 ? errors / (answered.length + errors) : 0,
+    meanLatencyMs: latencies.length ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : null,
+    p95LatencyMs: percentile(latencies, 0.95),
+  };
+
+  // Share of predictions per class, or the mean of each output value for other tasks
+  const rows = answered.flatMap((log) => outputRows(log[outputField]) || []);
+  if (rows.length === 0) {
+    return summary;
+  }
+  if (predictedClass(taskType, rows[0], threshold) !== null) {
+    const counts = {};
+    rows.forEach((row) => {
+      const predicted = predictedClass(taskType, row, threshold);
+      counts[predicted] = (counts[predicted] || 0) + 1;
+    });
+    summary.classDistribution = Object.fromEntries(
+      Object.entries(counts).map(([predicted, count]) => [predicted, count / rows.length])
+    );
+  } else {
+    summary.meanOutput = rows[0].map((_, unit) => rows.reduce((sum, row) => sum + row[unit], 0) / rows.length);
+  }
+  return summary;
+};
+
+// Agreement between both outputs of the requests a shadow answered
+const compareShadowOutputs = (taskType, threshold, logs) => {
+  let samples = 0;
+  let agreements = 0;
+  let totalDifference = 0;
+  let values = 0;
+  let maxAbsoluteDifference = 0;
+
+  logs.forEach((log) => {
+    const primary = outputRows(log.primaryOutput);
+    const candidate = outputRows(log.candidateOutput);
+    if (!primary || !candidate || primary.length !== candidate.length) {
+      return;
+    }
+    primary.forEach((row, i) => {
+      samples++;
+      if (predictedClass(taskType, row, threshold) === predictedClass(taskType, candidate[i], threshold)) {
+        agreements++;
+      }
+      row.forEach((value, unit) => {
+        const difference = Math.abs(value - candidate[i][unit]);
+        totalDifference += difference;
+        maxAbsoluteDifference = Math.max(maxAbsoluteDifference, difference);
+        values++;
+      });
+    });
+  });
+
+  return {
+    samples,
+    agreementRate: samples > 0 && taskType !== "regression" && taskType !== "multiLabel" ? agreements / samples : null,
+    meanAbsoluteDifference: values > 0 ? totalDifference / values : null,
+    maxAbsoluteDifference: values > 0 ? maxAbsoluteDifference : null,
+  };
+};
+
+/**
+ * Comparative report of the serving and candidate versions under the active
+ * deployment: requests, errors, latency and output distribution of both, and
+ * for shadows how often the candidate agrees with the serving version
+ * @param {Object} aiModel - AIModel document
+ * @returns {Promise<Object>} Deployment config and report
+ * @throws {ApiError} 404 when the model has no active deployment
+ */
+export const getDeploymentReport = async (aiModel) => {
+  const deployment = activeDeployment(aiModel);
+  if (!deployment) {
+    throw new ApiError(404, "Model has no active canary or shadow deployment");
+  }
+
+  const logs = await DeploymentLog.find({
+    modelId: aiModel._id,
+    candidateVersion: deployment.candidateVersion,
+    createdAt: { $gte: deployment.startedAt },
+  })
+    .sort({ createdAt: -1 })
+    .limit(DEPLOYMENT_REPORT_REQUESTS)
+    .lean();
+
+  const primaryVersion = getServingVersion(aiModel);
+  // Classes are counted with the model's configured threshold
+  const { taskType, threshold } = await aiService.getOutputInfo(resolveModelVersion(aiModel, primaryVersion));
+
+  return {
+    deployment,
+    taskType,
+    requests: logs.length,
+    primary: summarizeArm(taskType, threshold, primaryVersion, logs, "primaryOutput", "primaryLatencyMs"),
+    candidate: summarizeArm(taskType, threshold, deployment.candidateVersion, logs, "candidateOutput", "candidateLatencyMs"),
+    shadow: deployment.mode === "shadow" ? compareShadowOutputs(taskType, threshold, logs) : null,
+  };
+};
+
+/**
+ * End the active deployment of a model, returning its final report. All
+ * traffic goes back to the serving version; the candidate stays loaded until
+ * the registry evicts it, so mirrored requests in flight still finish.
+ * @param {Object} aiModel - AIModel document
+ * @returns {Promise<Object>} Final deployment report
+ * @throws {ApiError} 404 when the model has no active deployment
+ */
+export const stopDeployment = async (aiModel) => {
+  const report = await getDeploymentReport(aiModel);
+
+  aiModel.deployment = null;
+  aiModel.markModified("deployment");
+  await aiModel.save();
+
+  console.log(`Deployment of model ${aiModel._id} stopped`);
+  return report;
+};
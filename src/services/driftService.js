@@ -0,0 +1,278 @@
+import DriftMonitor from "../models/driftMonitorModel.js";
+import {
+  binProportions,
+  describeFeature,
+  kolmogorovSmirnov,
+  populationStabilityIndex,
+} from "../utils/driftStats.js";
+import { ApiError } from "../utils/errors.js";
+
+// Number of recent prediction inputs compared against the training data
+const DRIFT_WINDOW_SIZE = parseInt(process.env.DRIFT_WINDOW_SIZE) || 1000;
+
+// Fewest recent inputs a drift check needs
+const DRIFT_MIN_SAMPLES = parseInt(process.env.DRIFT_MIN_SAMPLES) || 100;
+
+// Minutes between scheduled drift checks
+const DRIFT_CHECK_INTERVAL_MINUTES = parseInt(process.env.DRIFT_CHECK_INTERVAL_MINUTES) || 60;
+
+// Reports kept per model, newest last
+const MAX_STORED_REPORTS = 50;
+
+// Only flat rows of numbers can be compared feature by feature
+const isTabular = (rows) =>
+  Array.isArray(rows) &&
+  rows.length > 0 &&
+  rows.every((row) => Array.isArray(row) && row.length > 0 && row.every((value) => typeof value === "number"));
+
+// Mean and standard deviation of finite values
+const moments = (values) => {
+  const finite = values.filter((value) => Number.isFinite(value));
+  if (finite.length === 0) {
+    return { mean: null, std: null };
+  }
+  const mean = finite.reduce((sum, value) => sum + value, 0) / finite.length;
+  const variance = finite.reduce((sum, value) => sum + (value - mean) ** 2, 0) / finite.length;
+  return { mean, std: Math.sqrt(variance) };
+};
+
+/**
+ * Snapshot per-feature statistics of the data a model was trained on. Only
+ * tabular training data is described; other inputs are skipped.
+ * @param {Object} aiModel - AIModel document
+ * @param {Array} trainData - Training inputs
+ * @param {Object} details - { featureNames, jobId }
+ * @returns {Promise<Object|null>} Drift monitor, or null when the data is not tabular
+ */
+export const captureTrainingStatistics = async (aiModel, trainData, { featureNames, jobId } = {}) => {
+  if (!isTabular(trainData)) {
+    console.log(`Training data of model ${aiModel._id} is not tabular; drift statistics skipped`);
+    return null;
+  }
+
+  const width = trainData[0].length;
+  const names =
+    Array.isArray(featureNames) && featureNames.length === width
+      ? [...featureNames]
+      : Array.from({ length: width }, (_, index) => `feature_${index}`);
+  const features = names.map((name, column) => ({
+    name,
+    ...describeFeature(trainData.map((row) => row[column])),
+  }));
+
+  const monitor = await DriftMonitor.findOneAndUpdate(
+    { modelId: aiModel._id },
+    {
+      $set: {
+        userId: aiModel.userId,
+        training: {
+          featureNames: names,
+          features,
+          samples: trainData.length,
+          jobId,
+          capturedAt: new Date(),
+        },
+        latestReport: null,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`Training statistics captured for model ${aiModel._id} (${width} features)`);
+  return monitor;
+};
+
+/**
+ * Add prediction inputs to the rolling window of a monitored model. Models
+ * without training statistics are not monitored, and non-tabular inputs are ignored.
+ * @param {Object} aiModel - AIModel document
+ * @param {Array} inputData - Prediction inputs (one row or a list of rows)
+ */
+export const recordPredictionInputs = async (aiModel, inputData) => {
+  const rows = Array.isArray(inputData) && inputData.every((value) => typeof value === "number") ? [inputData] : inputData;
+  if (!isTabular(rows)) {
+    return;
+  }
+
+  // The window is capped atomically, so concurrent predictions never overwrite each other
+  await DriftMonitor.updateOne(
+    { modelId: aiModel._id },
+    {
+      $push: { window: { $each: rows, $slice: -DRIFT_WINDOW_SIZE } },
+      $inc: { observed: rows.length },
+    }
+  );
+};
+
+/**
+ * Compare the rolling window of a monitor with its training statistics: PSI
+ * over the training quantile bins and a two-sample KS test for every feature.
+ * The report is stored on the monitor and alerts are logged.
+ * @param {Object} monitor - DriftMonitor document
+ * @returns {Promise<Object>} Drift report
+ */
+export const checkDrift = async (monitor) => {
+  const { featureNames, features: trainingFeatures } = monitor.training;
+  const thresholds = monitor.thresholds;
+  const rows = monitor.window.filter((row) => row.length === featureNames.length);
+
+  const report = { checkedAt: new Date(), samples: rows.length, features: [], alerts: [] };
+  if (rows.length < DRIFT_MIN_SAMPLES) {
+    report.status = "insufficientData";
+  } else {
+    trainingFeatures.forEach((stats, column) => {
+      const values = rows.map((row) => row[column]);
+      const psi = populationStabilityIndex(stats.proportions, binProportions(values, stats.cuts));
+      const ks = kolmogorovSmirnov(stats.sample, values);
+      const current = moments(values);
+
+      const alerts = [];
+      if (psi >= thresholds.psi) {
+        alerts.push({ feature: stats.name, metric: "psi", value: psi, threshold: thresholds.psi });
+      }
+      if (ks.pValue !== null && ks.pValue < thresholds.ksPValue) {
+        alerts.push({ feature: stats.name, metric: "ks", value: ks.pValue, threshold: thresholds.ksPValue });
+      }
+
+      report.features.push({
+        feature: stats.name,
+        psi,
+        ksStatistic: ks.statistic,
+        ksPValue: ks.pValue,
+        trainingMean: stats.mean,
+        currentMean: current.mean,
+        trainingStd: stats.std,
+        currentStd: current.std,
+        drifted: alerts.length > 0,
+      });
+      report.alerts.push(...alerts);
+    });
+    report.status = report.alerts.length > 0 ? "drift" : "ok";
+  }
+
+  monitor.latestReport = report;
+  monitor.reports.push(report);
+  if (monitor.reports.length > MAX_STORED_REPORTS) {
+    monitor.reports.splice(0, monitor.reports.length - MAX_STORED_REPORTS);
+  }
+  await monitor.save();
+
+  if (report.alerts.length > 0) {
+    const drifted = [...new Set(report.alerts.map((alert) => alert.feature))];
+    console.log(`Drift alert for model ${monitor.modelId}: ${drifted.join(", ")}`);
+  }
+  return report;
+};
+
+/**
+ * Run a drift check for every model with training statistics
+ * @returns {Promise<Object>} { checked, drifted }
+ */
+export const runDriftChecks = async () => {
+  const monitors = await DriftMonitor.find({ "training.capturedAt": { $exists: true } });
+  let drifted = 0;
+
+  for (const monitor of monitors) {
+    try {
+      const report = await checkDrift(monitor);
+      if (report.status === "drift") {
+        drifted++;
+      }
+    } catch (error) {
+      console.error(`Error checking drift of model ${monitor.modelId}:`, error);
+    }
+  }
+
+  console.log(`Drift checked for ${monitors.length} models (${drifted} drifting)`);
+  return { checked: monitors.length, drifted };
+};
+
+/**
+ * Check drift of all monitored models on a fixed interval
+ * @returns {Object} Interval timer
+ */
+export const startDriftMonitoring = () => {
+  const timer = setInterval(() => {
+    runDriftChecks().catch((error) => {
+      console.error("Error running drift checks:", error);
+    });
+  }, DRIFT_CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+  // Scheduled checks never keep the process alive on their own
+  timer.unref();
+  console.log(`Drift checks scheduled every ${DRIFT_CHECK_INTERVAL_MINUTES} minutes`);
+  return timer;
+};
+
+// Load the monitor of a model
+const getMonitor = async (modelId) => {
+  const monitor = await DriftMonitor.findOne({ modelId });
+  if (!monitor || !monitor.training || !monitor.training.capturedAt) {
+    throw new ApiError(404, "No training statistics recorded for this model; train it on tabular data first");
+  }
+  return monitor;
+};
+
+/**
+ * Drift report of a model: training statistics, the rolling window, the
+ * latest check with its alerts and the history of earlier checks
+ * @param {Object} modelId - ID of the model
+ * @param {Object} options - { refresh } runs a check before reporting
+ * @returns {Promise<Object>} Drift report
+ */
+export const getDriftReport = async (modelId, { refresh = false } = {}) => {
+  const monitor = await getMonitor(modelId);
+  if (refresh) {
+    await checkDrift(monitor);
+  }
+
+  const { training } = monitor;
+  return {
+    modelId: monitor.modelId,
+    thresholds: monitor.thresholds,
+    training: {
+      capturedAt: training.capturedAt,
+      samples: training.samples,
+      jobId: training.jobId || null,
+      features: training.features.map(({ name, count, mean, std, min, max }) => ({ name, count, mean, std, min, max })),
+    },
+    window: {
+      samples: monitor.window.length,
+      size: DRIFT_WINDOW_SIZE,
+      observed: monitor.observed,
+      minSamples: DRIFT_MIN_SAMPLES,
+    },
+    latestReport: monitor.latestReport || null,
+    history: monitor.reports.map(({ checkedAt, status, samples, alerts }) => ({
+      checkedAt,
+      status,
+      samples,
+      alerts: alerts.length,
+    })),
+  };
+};
+
+/**
+ * Change the thresholds that raise drift alerts for a model
+ * @param {Object} modelId - ID of the model
+ * @param {Object} thresholds - { psi, ksPValue }
+ * @returns {Promise<Object>} Updated thresholds
+ */
+export const updateDriftThresholds = async (modelId, { psi, ksPValue } = {}) => {
+  if (psi !== undefined && (typeof psi !== "number" || !(psi > 0))) {
+    throw new ApiError(400, "psi must be a positive number");
+  }
+  if (ksPValue !== undefined && (typeof ksPValue !== "number" || !(ksPValue > 0 && ksPValue < 1))) {
+    throw new ApiError(400, "ksPValue must be a number between 0 and 1");
+  }
+
+  const monitor = await getMonitor(modelId);
+  if (psi !== undefined) {
+    monitor.thresholds.psi = psi;
+  }
+  if (ksPValue !== undefined) {
+    monitor.thresholds.ksPValue = ksPValue;
+  }
+  await monitor.save();
+  return monitor.thresholds;
+};
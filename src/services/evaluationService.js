@@ -0,0 +1,61 @@
+import aiService from "./aiService.js";
+import {
+  argMax,
+  binaryClass,
+  classificationMetrics,
+  multiLabelMetrics,
+  regressionMetrics,
+} from "../utils/metrics.js";
+import { ApiError } from "../utils/errors.js";
+
+/**
+ * Compute the metric suite of a task from labels and model outputs
+ * @param {string} taskType - regression, binary, multiLabel or multiClass
+ * @param {Array<Array<number>>} labels - Labels shaped like the model output
+ * @param {Array<Array<number>>} predictions - Model outputs
+ * @param {Object} options - { classNames, threshold }
+ * @returns {Object} Task-specific metrics
+ */
+export const computeTaskMetrics = (taskType, labels, predictions, options = {}) => {
+  if (taskType === "regression") {
+    return regressionMetrics(labels, predictions);
+  }
+  if (taskType === "multiLabel") {
+    return multiLabelMetrics(labels, predictions, options);
+  }
+  // Binary labels are a single 0/1 value, multi-class labels are one-hot
+  const yTrue = labels.map((row) => (row.length === 1 ? binaryClass(row[0]) : argMax(row)));
+  return classificationMetrics(yTrue, predictions, options);
+};
+
+/**
+ * Evaluate a model on labelled test data and compute the full metric suite
+ * @param {Object} aiModel - AIModel document
+ * @param {Array<Array<number>>} testData - Test inputs
+ * @param {Array<Array<number>>} testLabels - Test labels shaped like the model output
+ * @param {Object} options - { classNames, threshold } (threshold defaults to the model's configured one)
+ * @returns {Promise<Object>} Loss, compiled metrics and task-specific metrics
+ */
+export const evaluateModelPerformance = async (aiModel, testData, testLabels, options = {}) => {
+  if (!Array.isArray(testData) || testData.length === 0) {
+    throw new ApiError(400, "Test data must be a non-empty array");
+  }
+  if (!Array.isArray(testLabels) || testLabels.length !== testData.length) {
+    throw new ApiError(400, "Test labels must have one entry per test sample");
+  }
+
+  const { outputCount, taskType, threshold } = await aiService.getOutputInfo(aiModel, options);
+  if (outputCount > 1) {
+    throw new ApiError(400, "Evaluation supports models with a single output");
+  }
+
+  const compiledMetrics = await aiService.evaluateModel(aiModel, testData, testLabels);
+  const { predictions } = await aiService.predict(aiModel, testData);
+
+  return {
+    taskType,
+    samples: testData.length,
+    ...compiledMetrics,
+    ...computeTaskMetrics(taskType, testLabels, predictions, { ...options, threshold }),
+  };
+};
@@ -0,0 +1,190 @@
+import aiService from "./aiService.js";
+import { createRandom, shuffle } from "../utils/random.js";
+import { ApiError } from "../utils/errors.js";
+
+export const ATTRIBUTION_METHODS = ["gradientInput", "integratedGradients", "saliency"];
+
+// Most samples explained in one request
+const MAX_EXPLAIN_SAMPLES = 100;
+
+// Most integration steps for integrated gradients
+const MAX_STEPS = 500;
+
+// Rows used for permutation importance unless the request asks for another size
+const DEFAULT_IMPORTANCE_SAMPLES = 1000;
+
+// Metrics where a larger value is better, so importance is the drop in the metric
+const HIGHER_IS_BETTER = ["accuracy", "binaryAccuracy", "categoricalAccuracy", "precision", "recall"];
+
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+// Feature names of a tabular model: given explicitly or those it was trained with
+const resolveFeatureNames = (aiModel, featureNames, width) => {
+  const trained = toPlain(aiModel.trainingDataset) || {};
+  const names = featureNames || trained.featureColumns || null;
+  if (!names) {
+    return null;
+  }
+  if (!Array.isArray(names) || names.length !== width) {
+    throw new ApiError(400, `The model has ${width} input features but ${Array.isArray(names) ? names.length : 0} feature names are known`);
+  }
+  return [...names];
+};
+
+// Key a row of feature values by feature name
+const keyByFeature = (values, featureNames) =>
+  Object.fromEntries(featureNames.map((name, index) => [name, values[index]]));
+
+// Resolve an explanation target given as an output index or a class label
+const resolveTarget = (aiModel, target) => {
+  if (target === undefined || target === null) {
+    return null;
+  }
+  if (Number.isInteger(target)) {
+    return target;
+  }
+  const classLabels = toPlain(aiModel.classLabels);
+  const index = Array.isArray(classLabels) ? classLabels.indexOf(target) : -1;
+  if (index === -1) {
+    throw new ApiError(400, "target must be an output index or one of the model's class labels");
+  }
+  return index;
+};
+
+/**
+ * Explain single predictions with input gradients. Tabular attributions are
+ * keyed by feature name when the model has feature names (its training
+ * columns); image inputs keep their shape, saliency maps have one value per pixel
+ * @param {Object} aiModel - AIModel document
+ * @param {Array} inputData - Samples to explain
+ * @param {Object} options - { method, target, steps, baseline, featureNames }
+ * @returns {Promise<Object>} Attributions per sample
+ */
+export const explainPredictions = async (aiModel, inputData, options = {}) => {
+  const { method = "gradientInput", steps = 50, baseline = null, featureNames } = options;
+  if (!ATTRIBUTION_METHODS.includes(method)) {
+    throw new ApiError(400, `method must be one of ${ATTRIBUTION_METHODS.join(", ")}`);
+  }
+  if (!Array.isArray(inputData) || inputData.length === 0) {
+    throw new ApiError(400, "Input data must be a non-empty array of samples");
+  }
+  if (inputData.length > MAX_EXPLAIN_SAMPLES) {
+    throw new ApiError(400, `At most ${MAX_EXPLAIN_SAMPLES} samples can be explained at once`);
+  }
+  if (!Number.isInteger(steps) || steps < 1 || steps > MAX_STEPS) {
+    throw new ApiError(400, `steps must be an integer between 1 and ${MAX_STEPS}`);
+  }
+
+  const { inputs } = await aiService.getInputInfo(aiModel);
+  const sampleShape = inputs[0].shape.slice(1);
+  const tabular = sampleShape.length === 1;
+  if (baseline !== null && (!Array.isArray(baseline) || (tabular && baseline.length !== sampleShape[0]))) {
+    throw new ApiError(400, "baseline must be a single sample shaped like the model input");
+  }
+
+  const target = resolveTarget(aiModel, options.target);
+  const { attributions, targets, scores } = await aiService.computeAttributions(aiModel, inputData, {
+    method,
+    target,
+    steps,
+    baseline,
+  });
+
+  const names = tabular ? resolveFeatureNames(aiModel, featureNames, sampleShape[0]) : null;
+  const classLabels = toPlain(aiModel.classLabels);
+
+  return {
+    method,
+    ...(method === "integratedGradients" ? { steps } : {}),
+    featureNames: names,
+    explanations: attributions.map((values, index) => ({
+      target: targets[index],
+      label: Array.isArray(classLabels) && classLabels[targets[index]] !== undefined ? classLabels[targets[index]] : null,
+      score: scores[index],
+      attributions: names ? keyByFeature(values, names) : values,
+    })),
+  };
+};
+
+/**
+ * Global permutation feature importance: how much the model gets worse when
+ * one feature column is shuffled, averaged over several shuffles
+ * @param {Object} aiModel - AIModel document
+ * @param {Array<Array<number>>} data - Tabular samples
+ * @param {Array<Array<number>>} labels - Labels shaped like the model output
+ * @param {Object} options - { metric, repeats, maxSamples, seed, featureNames }
+ * @returns {Promise<Object>} Baseline score and features ranked by importance
+ */
+export const computePermutationImportance = async (aiModel, data, labels, options = {}) => {
+  const { metric = "loss", repeats = 5, maxSamples = DEFAULT_IMPORTANCE_SAMPLES, seed } = options;
+  if (!Array.isArray(data) || data.length === 0 || !data.every((row) => Array.isArray(row))) {
+    throw new ApiError(400, "Permutation importance needs tabular data: a non-empty array of feature rows");
+  }
+  if (!Array.isArray(labels) || labels.length !== data.length) {
+    throw new ApiError(400, "Labels must have one entry per sample");
+  }
+  if (!Number.isInteger(repeats) || repeats < 1 || repeats > 50) {
+    throw new ApiError(400, "repeats must be an integer between 1 and 50");
+  }
+  if (!Number.isInteger(maxSamples) || maxSamples < 1) {
+    throw new ApiError(400, "maxSamples must be a positive integer");
+  }
+
+  const random = createRandom(seed);
+
+  // Score a random subset on large datasets
+  let rows = data;
+  let rowLabels = labels;
+  if (data.length > maxSamples) {
+    const picked = shuffle(data.map((_, index) => index), random).slice(0, maxSamples);
+    rows = picked.map((index) => data[index]);
+    rowLabels = picked.map((index) => labels[index]);
+  }
+
+  const baseline = await aiService.evaluateModel(aiModel, rows, rowLabels);
+  if (baseline[metric] === undefined) {
+    throw new ApiError(400, `Unknown metric "${metric}". Available: ${Object.keys(baseline).join(", ")}`);
+  }
+  const sign = HIGHER_IS_BETTER.includes(metric) ? -1 : 1;
+
+  const width = rows[0].length;
+  const featureNames = resolveFeatureNames(aiModel, options.featureNames, width);
+  const features = [];
+
+  for (let column = 0; column < width; column++) {
+    const changes = [];
+    for (let repeat = 0; repeat < repeats; repeat++) {
+      const shuffled = shuffle(rows.map((row) => row[column]), random);
+      const permuted = rows.map((row, index) => {
+        const copy = [...row];
+        copy[column] = shuffled[index];
+        return copy;
+      });
+      const scores = await aiService.evaluateModel(aiModel, permuted, rowLabels);
+      changes.push(sign * (scores[metric] - baseline[metric]));
+    }
+
+    const mean = changes.reduce((sum, value) => sum + value, 0) / repeats;
+    const variance = changes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / repeats;
+    features.push({
+      feature: featureNames ? featureNames[column] : column,
+      index: column,
+      importance: mean,
+      std: Math.sqrt(variance),
+    });
+  }
+
+  features.sort((a, b) => b.importance - a.importance);
+  console.log(`Permutation importance computed for model ${aiModel._id} (${width} features, ${rows.length} rows)`);
+
+  return {
+    metric,
+    baseline: baseline[metric],
+    repeats,
+    samples: rows.length,
+    features,
+    importances: featureNames ? Object.fromEntries(features.map((feature) => [feature.feature, feature.importance])) : null,
+  };
+};
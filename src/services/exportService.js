@@ -0,0 +1,232 @@
+import * as tf from "@tensorflow/tfjs";
+import AdmZip from "adm-zip";
+import aiService from "./aiService.js";
+import { resolvePredictionSettings } from "./taskOutputs.js";
+import { quantizeModel, describeQuantization } from "./quantizationService.js";
+import { ApiError } from "../utils/errors.js";
+
+// Graph models need the Python tfjs converter, so only layers models are exported
+export const EXPORT_FORMATS = ["layers"];
+
+// Weight shard size used by the tfjs converter, so browsers can fetch shards in parallel
+const SHARD_SIZE_BYTES = 4 * 1024 * 1024;
+
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+/**
+ * Split weight data into converter-style shards (group1-shard1of2.bin, ...)
+ * @param {ArrayBuffer|Array<ArrayBuffer>} weightData - Weight data from the model artifacts
+ * @returns {Array<Object>} Shards ({ name, data })
+ */
+const shardWeights = (weightData) => {
+  const buffer = weightData ? Buffer.from(tf.io.CompositeArrayBuffer.join(weightData)) : Buffer.alloc(0);
+  const count = Math.max(1, Math.ceil(buffer.length / SHARD_SIZE_BYTES));
+
+  return Array.from({ length: count }, (_, index) => ({
+    name: `group1-shard${index + 1}of${count}.bin`,
+    data: buffer.subarray(index * SHARD_SIZE_BYTES, (index + 1) * SHARD_SIZE_BYTES),
+  }));
+};
+
+// model.json in the layout tf.loadLayersModel expects next to its weight shards
+const modelJson = (artifacts, shards) => {
+  const json = {
+    format: artifacts.format,
+    generatedBy: artifacts.generatedBy,
+    convertedBy: artifacts.convertedBy || null,
+    modelTopology: artifacts.modelTopology,
+    weightsManifest: [
+      { paths: shards.map((shard) => shard.name), weights: artifacts.weightSpecs || [] },
+    ],
+  };
+  if (artifacts.trainingConfig) {
+    json.trainingConfig = artifacts.trainingConfig;
+  }
+  return json;
+};
+
+/**
+ * Parameters an application needs to feed the model and read its outputs:
+ * input shapes, the column order of tabular features, the label encoding and
+ * the prediction settings of each output
+ * @param {Object} aiModel - AIModel document
+ * @param {Array<Object>} inputs - Model inputs ({ name, shape })
+ * @param {Array<Object>} outputs - Model outputs ({ name, units, taskType })
+ * @returns {Object} Preprocessing parameters
+ */
+const preprocessingParameters = (aiModel, inputs, outputs) => {
+  const hp = toPlain(aiModel.hyperparameters) || {};
+  const trained = toPlain(aiModel.trainingDataset) || {};
+
+  return {
+    inputs,
+    featureColumns: trained.featureColumns || null,
+    labelColumn: trained.labelColumn || null,
+    labelEncoding: trained.labelEncoding || null,
+    outputs: outputs.map(({ name, units, taskType }) => ({
+      name,
+      units,
+      taskType,
+      ...resolvePredictionSettings(hp, name),
+    })),
+  };
+};
+
+// Scalar metrics of a performance record, formatted for the model card
+const metricLines = (metrics) =>
+  Object.entries(metrics || {})
+    .filter(([, value]) => typeof value === "number" && Number.isFinite(value))
+    .map(([name, value]) => `| ${name} | ${Number(value.toPrecision(6))} |`);
+
+/**
+ * Human-readable model card describing what the model does, what it was
+ * trained on and how to load it
+ * @param {Object} metadata - Export metadata
+ * @returns {string} Markdown document
+ */
+const modelCard = (metadata) => {
+  const { preprocessing, performance, trainingDataset, classLabels } = metadata;
+  const lines = [
+    `# ${metadata.name}`,
+    "",
+    metadata.description || "No description provided.",
+    "",
+    "## Model details",
+    "",
+    "| Field | Value |",
+    "| --- | --- |",
+    `| Model ID | ${metadata.modelId} |`,
+    `| Version | ${metadata.version} |`,
+    `| Format | TensorFlow.js ${metadata.format} model |`,
+    `| Parameters | ${metadata.totalParams} |`,
+    `| Weights | ${metadata.quantization ? `${metadata.quantization.scheme} quantized` : "float32"} |`,
+    `| Exported | ${metadata.exportedAt} |`,
+    "",
+    "## Inputs and outputs",
+    "",
+    ...preprocessing.inputs.map((input) => `- Input \`${input.name}\`: shape ${JSON.stringify(input.shape)}`),
+    ...preprocessing.outputs.map((output) => `- Output \`${output.name}\`: ${output.units} units, ${output.taskType}`),
+  ];
+
+  if (preprocessing.featureColumns) {
+    lines.push("", `Feature columns, in input order: ${preprocessing.featureColumns.map((c) => `\`${c}\``).join(", ")}`);
+  }
+  if (classLabels) {
+    lines.push("", "Class labels are listed in `labels.json` in output order.");
+  }
+
+  if (trainingDataset) {
+    lines.push(
+      "",
+      "## Training data",
+      "",
+      `- Dataset: ${trainingDataset.datasetName || trainingDataset.datasetId}` +
+        (trainingDataset.datasetVersion ? ` (version ${trainingDataset.datasetVersion})` : ""),
+      `- Rows: ${trainingDataset.recordCount !== undefined ? trainingDataset.recordCount : "unknown"}`,
+      `- Label column: ${trainingDataset.labelColumn || "unknown"}`
+    );
+  }
+
+  const metrics = metricLines(performance);
+  if (metrics.length) {
+    lines.push("", "## Performance", "", "| Metric | Value |", "| --- | --- |", ...metrics);
+  }
+
+  lines.push(
+    "",
+    "## Usage",
+    "",
+    "```js",
+    "const model = await tf.loadLayersModel(\"model.json\");",
+    "const output = model.predict(tf.tensor(samples));",
+    "```",
+    "",
+    "`preprocessing.json` holds the feature order, label encoding and prediction settings; `metadata.json` holds the full export metadata.",
+    ""
+  );
+
+  return lines.join("\n");
+};
+
+/**
+ * Build a zip bundle of a model for browser and edge apps: model.json with its
+ * weight shards, the label vocabulary, preprocessing parameters, export metadata
+ * and a model card
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} options - { format, includeOptimizer, quantization }
+ * @returns {Promise<Object>} { buffer, fileName, files }
+ * @throws {ApiError} 400 for unknown formats or quantization schemes
+ */
+export const buildExportBundle = async (aiModel, { format = "layers", includeOptimizer = false, quantization = null } = {}) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+
+  let artifacts;
+  let quantizationReport = null;
+  if (quantization) {
+    const quantized = await quantizeModel(aiModel, quantization, { includeOptimizer });
+    artifacts = quantized.artifacts;
+    quantizationReport = describeQuantization(quantized);
+  } else {
+    artifacts = await aiService.getModelArtifacts(aiModel, { includeOptimizer });
+  }
+  const { inputs } = await aiService.getInputInfo(aiModel);
+  const { outputs } = await aiService.getOutputInfo(aiModel);
+  const summary = await aiService.getModelSummary(aiModel);
+
+  const shards = shardWeights(artifacts.weightData);
+  const classLabels = toPlain(aiModel.classLabels) || null;
+  const preprocessing = preprocessingParameters(aiModel, inputs, outputs);
+
+  const files = [
+    "model.json",
+    ...shards.map((shard) => shard.name),
+    ...(classLabels ? ["labels.json"] : []),
+    "preprocessing.json",
+    "metadata.json",
+    "MODEL_CARD.md",
+  ];
+
+  const metadata = {
+    modelId: aiModel._id.toString(),
+    name: aiModel.name,
+    description: aiModel.description || null,
+    version: aiModel.currentVersion || 1,
+    format,
+    tfjsVersion: tf.version.tfjs,
+    exportedAt: new Date().toISOString(),
+    includesOptimizer: includeOptimizer,
+    quantization: quantizationReport,
+    totalParams: summary.totalParams,
+    trainableParams: summary.trainableParams,
+    optimizer: summary.optimizer,
+    hyperparameters: toPlain(aiModel.hyperparameters) || {},
+    performance: toPlain(aiModel.performance) || null,
+    trainingDataset: toPlain(aiModel.trainingDataset) || null,
+    classLabels,
+    preprocessing,
+    files,
+  };
+
+  const zip = new AdmZip();
+  zip.addFile("model.json", Buffer.from(JSON.stringify(modelJson(artifacts, shards))));
+  shards.forEach((shard) => zip.addFile(shard.name, shard.data));
+  if (classLabels) {
+    zip.addFile("labels.json", Buffer.from(JSON.stringify(classLabels, null, 2)));
+  }
+  zip.addFile("preprocessing.json", Buffer.from(JSON.stringify(preprocessing, null, 2)));
+  zip.addFile("metadata.json", Buffer.from(JSON.stringify(metadata, null, 2)));
+  zip.addFile("MODEL_CARD.md", Buffer.from(modelCard(metadata)));
+
+  const slug = (aiModel.name || "model").replace(/[^a-zA-Z0-9_-]+/g, "_").toLowerCase();
+  console.log(`Export bundle built for model ${aiModel._id} (${files.length} files)`);
+
+  return {
+    buffer: zip.toBuffer(),
+    fileName: `${slug}-v${metadata.version}-tfjs.zip`,
+    files,
+  };
+};
@@ -0,0 +1,174 @@
+import { EventEmitter } from "events";
+import Job from "../models/jobModel.js";
+
+// Number of jobs allowed to run at the same time
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+
+class JobService {
+  constructor(concurrency = JOB_CONCURRENCY) {
+    // Handlers keyed by job type
+    this.handlers = new Map();
+    // Jobs waiting to run, with the in-memory payload they need
+    this.queue = [];
+    // Running jobs keyed by job id
+    this.running = new Map();
+    this.concurrency = concurrency;
+    // Live progress events for streaming subscribers
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    console.log("Job Service initialized");
+  }
+
+  // Register the function that runs jobs of a given type
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Persist a new job and queue it for execution
+  async submit({ type, modelId, userId, params = {}, totalEpochs = 0 }, payload = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const job = await Job.create({
+      type,
+      modelId,
+      userId,
+      params,
+      progress: { totalEpochs },
+    });
+
+    console.log(`Job ${job._id} (${type}) queued`);
+    this.queue.push({ jobId: job._id.toString(), payload });
+    this.processQueue();
+
+    return job;
+  }
+
+  // Broadcast a progress or status event for a job
+  publish(job, event, data = {}) {
+    this.events.emit("job", {
+      jobId: job._id.toString(),
+      modelId: job.modelId.toString(),
+      type: job.type,
+      event,
+      data,
+    });
+  }
+
+  // Broadcast the current status of a job
+  publishStatus(job) {
+    this.publish(job, "status", {
+      status: job.status,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+    });
+  }
+
+  // Subscribe to events of all jobs; returns an unsubscribe function
+  subscribe(listener) {
+    this.events.on("job", listener);
+    return () => this.events.off("job", listener);
+  }
+
+  // Start queued jobs while there is capacity
+  processQueue() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const item = this.queue.shift();
+      this.runJob(item);
+    }
+  }
+
+  // Run a single job through its handler
+  async runJob({ jobId, payload }) {
+    const context = {
+      cancelled: false,
+      onCancel: null,
+      publish: () => {},
+    };
+    this.running.set(jobId, context);
+
+    let job;
+    try {
+      job = await Job.findById(jobId);
+      if (!job || job.isFinished()) {
+        return;
+      }
+
+      job.status = "running";
+      job.startedAt = new Date();
+      await job.save();
+      this.publishStatus(job);
+      console.log(`Job ${jobId} started`);
+
+      context.publish = (event, data) => this.publish(job, event, data);
+
+      const handler = this.handlers.get(job.type);
+      const result = await handler(job, payload, context);
+
+      if (context.cancelled) {
+        await job.finish("cancelled", { result });
+        console.log(`Job ${jobId} cancelled`);
+      } else {
+        await job.finish("succeeded", { result });
+        console.log(`Job ${jobId} succeeded`);
+      }
+      this.publishStatus(job);
+    } catch (error) {
+      console.error(`Job ${jobId} failed:`, error);
+      if (job) {
+        await job.finish("failed", { error: error.message }).catch((saveError) => {
+          console.error(`Error saving failed job ${jobId}:`, saveError);
+        });
+        this.publishStatus(job);
+      }
+    } finally {
+      this.running.delete(jobId);
+      this.processQueue();
+    }
+  }
+
+  // Cancel a queued or running job
+  async cancel(job) {
+    const jobId = job._id.toString();
+
+    const queuedIndex = this.queue.findIndex((item) => item.jobId === jobId);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+      await job.finish("cancelled");
+      this.publishStatus(job);
+      console.log(`Queued job ${jobId} cancelled`);
+      return job;
+    }
+
+    const context = this.running.get(jobId);
+    if (context) {
+      context.cancelled = true;
+      if (context.onCancel) {
+        context.onCancel();
+      }
+    }
+
+    job.cancelRequested = true;
+    await job.save();
+    console.log(`Cancellation requested for job ${jobId}`);
+    return job;
+  }
+
+  // Mark jobs interrupted by a restart as failed
+  async recoverInterruptedJobs() {
+    try {
+      const count = await Job.failInterruptedJobs();
+      if (count > 0) {
+        console.log(`Marked ${count} interrupted jobs as failed`);
+      }
+      return count;
+    } catch (error) {
+      console.error("Error recovering interrupted jobs:", error);
+      return 0;
+    }
+  }
+}
+
+export default new JobService();
@@ -0,0 +1,282 @@
+import * as tf from "@tensorflow/tfjs";
+import { ApiError } from "../utils/errors.js";
+
+const ACTIVATIONS = [
+  "elu", "hardSigmoid", "linear", "relu", "relu6", "selu", "sigmoid",
+  "softmax", "softplus", "softsign", "tanh", "swish", "mish", "gelu", "gelu_new",
+];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Checks for each kind of layer option, with a description used in error messages
+const OPTION_KINDS = {
+  positiveInteger: [isPositiveInteger, "a positive integer"],
+  integer: [Number.isInteger, "an integer"],
+  number: [(value) => typeof value === "number" && Number.isFinite(value), "a number"],
+  rate: [(value) => typeof value === "number" && value >= 0 && value < 1, "a number from 0 (inclusive) to 1 (exclusive)"],
+  boolean: [(value) => typeof value === "boolean", "a boolean"],
+  string: [(value) => typeof value === "string", "a string"],
+  size: [
+    (value) => isPositiveInteger(value) || (Array.isArray(value) && value.length > 0 && value.every(isPositiveInteger)),
+    "a positive integer or an array of positive integers",
+  ],
+  shape: [
+    (value) => Array.isArray(value) && value.length > 0 && value.every((dim) => dim === null || isPositiveInteger(dim)),
+    "an array of positive integers (or null for unknown dimensions)",
+  ],
+  targetShape: [
+    (value) => Array.isArray(value) && value.length > 0 && value.every((dim) => dim === -1 || isPositiveInteger(dim)),
+    "an array of positive integers (at most one -1)",
+  ],
+  axis: [
+    (value) => Number.isInteger(value) || (Array.isArray(value) && value.every(Number.isInteger)),
+    "an integer or an array of integers",
+  ],
+  activation: [(value) => ACTIVATIONS.includes(value), `one of ${ACTIVATIONS.join(", ")}`],
+  padding: [(value) => ["valid", "same", "causal"].includes(value), "one of valid, same, causal"],
+  dataFormat: [(value) => ["channelsFirst", "channelsLast"].includes(value), "one of channelsFirst, channelsLast"],
+  interpolation: [(value) => ["nearest", "bilinear"].includes(value), "one of nearest, bilinear"],
+  mergeMode: [(value) => ["sum", "mul", "concat", "ave"].includes(value), "one of sum, mul, concat, ave"],
+  dtype: [(value) => ["float32", "int32", "bool"].includes(value), "one of float32, int32, bool"],
+  // Initializers, regularizers and constraints: a name or a { className, config } object
+  serializable: [
+    (value) => typeof value === "string" || (value !== null && typeof value === "object" && !Array.isArray(value)),
+    "a name or a { className, config } object",
+  ],
+  layer: [(value) => value !== null && typeof value === "object" && !Array.isArray(value), "a layer ({ type, config })"],
+};
+
+// Options every layer accepts
+const COMMON_OPTIONS = {
+  name: "string",
+  trainable: "boolean",
+  inputShape: "shape",
+  batchInputShape: "shape",
+  batchSize: "positiveInteger",
+  dtype: "dtype",
+};
+
+const WEIGHT_OPTIONS = {
+  useBias: "boolean",
+  kernelInitializer: "serializable",
+  biasInitializer: "serializable",
+  kernelRegularizer: "serializable",
+  biasRegularizer: "serializable",
+  activityRegularizer: "serializable",
+  kernelConstraint: "serializable",
+  biasConstraint: "serializable",
+};
+
+const CONV_OPTIONS = {
+  filters: "positiveInteger",
+  kernelSize: "size",
+  strides: "size",
+  padding: "padding",
+  dataFormat: "dataFormat",
+  dilationRate: "size",
+  activation: "activation",
+  ...WEIGHT_OPTIONS,
+};
+
+const DEPTHWISE_OPTIONS = {
+  depthMultiplier: "positiveInteger",
+  depthwiseInitializer: "serializable",
+  depthwiseRegularizer: "serializable",
+  depthwiseConstraint: "serializable",
+};
+
+const POOLING_OPTIONS = {
+  poolSize: "size",
+  strides: "size",
+  padding: "padding",
+  dataFormat: "dataFormat",
+};
+
+const RNN_OPTIONS = {
+  units: "positiveInteger",
+  activation: "activation",
+  recurrentInitializer: "serializable",
+  recurrentRegularizer: "serializable",
+  recurrentConstraint: "serializable",
+  dropout: "rate",
+  recurrentDropout: "rate",
+  returnSequences: "boolean",
+  returnState: "boolean",
+  goBackwards: "boolean",
+  stateful: "boolean",
+  unroll: "boolean",
+  ...WEIGHT_OPTIONS,
+};
+
+const NORMALIZATION_OPTIONS = {
+  axis: "axis",
+  epsilon: "number",
+  center: "boolean",
+  scale: "boolean",
+  betaInitializer: "serializable",
+  gammaInitializer: "serializable",
+  betaRegularizer: "serializable",
+  gammaRegularizer: "serializable",
+  betaConstraint: "serializable",
+  gammaConstraint: "serializable",
+};
+
+const RNN_TYPES = ["lstm", "gru", "simpleRNN"];
+
+/**
+ * Supported layer types. `graphOnly` layers (inputs and merges) can only be
+ * used in graph architectures, `wraps` layers take another layer in `config.layer`.
+ */
+export const LAYER_CATALOG = {
+  input: { graphOnly: true, required: ["shape"], options: { shape: "shape", dtype: "dtype", name: "string" } },
+  dense: { create: tf.layers.dense, required: ["units"], options: { units: "positiveInteger", activation: "activation", inputDim: "positiveInteger", ...WEIGHT_OPTIONS } },
+  activation: { create: tf.layers.activation, required: ["activation"], options: { activation: "activation" } },
+  dropout: { create: tf.layers.dropout, required: ["rate"], options: { rate: "rate", noiseShape: "shape", seed: "integer" } },
+  flatten: { create: tf.layers.flatten, options: { dataFormat: "dataFormat" } },
+  reshape: { create: tf.layers.reshape, required: ["targetShape"], options: { targetShape: "targetShape" } },
+  repeatVector: { create: tf.layers.repeatVector, required: ["n"], options: { n: "positiveInteger" } },
+  embedding: {
+    create: tf.layers.embedding,
+    required: ["inputDim", "outputDim"],
+    options: {
+      inputDim: "positiveInteger",
+      outputDim: "positiveInteger",
+      inputLength: "size",
+      maskZero: "boolean",
+      embeddingsInitializer: "serializable",
+      embeddingsRegularizer: "serializable",
+      embeddingsConstraint: "serializable",
+      activityRegularizer: "serializable",
+    },
+  },
+  conv1d: { create: tf.layers.conv1d, required: ["filters", "kernelSize"], options: CONV_OPTIONS },
+  conv2d: { create: tf.layers.conv2d, required: ["filters", "kernelSize"], options: CONV_OPTIONS },
+  conv2dTranspose: { create: tf.layers.conv2dTranspose, required: ["filters", "kernelSize"], options: CONV_OPTIONS },
+  separableConv2d: {
+    create: tf.layers.separableConv2d,
+    required: ["filters", "kernelSize"],
+    options: {
+      ...CONV_OPTIONS,
+      ...DEPTHWISE_OPTIONS,
+      pointwiseInitializer: "serializable",
+      pointwiseRegularizer: "serializable",
+      pointwiseConstraint: "serializable",
+    },
+  },
+  depthwiseConv2d: {
+    create: tf.layers.depthwiseConv2d,
+    required: ["kernelSize"],
+    options: {
+      kernelSize: "size",
+      strides: "size",
+      padding: "padding",
+      dataFormat: "dataFormat",
+      dilationRate: "size",
+      activation: "activation",
+      ...DEPTHWISE_OPTIONS,
+      useBias: "boolean",
+      biasInitializer: "serializable",
+      biasRegularizer: "serializable",
+      biasConstraint: "serializable",
+      activityRegularizer: "serializable",
+    },
+  },
+  maxPooling1d: { create: tf.layers.maxPooling1d, options: POOLING_OPTIONS },
+  maxPooling2d: { create: tf.layers.maxPooling2d, options: POOLING_OPTIONS },
+  averagePooling1d: { create: tf.layers.averagePooling1d, options: POOLING_OPTIONS },
+  averagePooling2d: { create: tf.layers.averagePooling2d, options: POOLING_OPTIONS },
+  globalMaxPooling1d: { create: tf.layers.globalMaxPooling1d, options: {} },
+  globalMaxPooling2d: { create: tf.layers.globalMaxPooling2d, options: { dataFormat: "dataFormat" } },
+  globalAveragePooling1d: { create: tf.layers.globalAveragePooling1d, options: {} },
+  globalAveragePooling2d: { create: tf.layers.globalAveragePooling2d, options: { dataFormat: "dataFormat" } },
+  upSampling2d: { create: tf.layers.upSampling2d, options: { size: "size", dataFormat: "dataFormat", interpolation: "interpolation" } },
+  simpleRNN: { create: tf.layers.simpleRNN, required: ["units"], options: RNN_OPTIONS },
+  lstm: {
+    create: tf.layers.lstm,
+    required: ["units"],
+    options: { ...RNN_OPTIONS, recurrentActivation: "activation", unitForgetBias: "boolean", implementation: "positiveInteger" },
+  },
+  gru: {
+    create: tf.layers.gru,
+    required: ["units"],
+    options: { ...RNN_OPTIONS, recurrentActivation: "activation", resetAfter: "boolean", implementation: "positiveInteger" },
+  },
+  bidirectional: { create: tf.layers.bidirectional, wraps: RNN_TYPES, required: ["layer"], options: { layer: "layer", mergeMode: "mergeMode" } },
+  timeDistributed: { create: tf.layers.timeDistributed, wraps: true, required: ["layer"], options: { layer: "layer" } },
+  batchNormalization: { create: tf.layers.batchNormalization, options: { ...NORMALIZATION_OPTIONS, momentum: "number", movingMeanInitializer: "serializable", movingVarianceInitializer: "serializable" } },
+  layerNormalization: { create: tf.layers.layerNormalization, options: NORMALIZATION_OPTIONS },
+  add: { create: tf.layers.add, graphOnly: true, merge: true, options: {} },
+  concatenate: { create: tf.layers.concatenate, graphOnly: true, merge: true, options: { axis: "integer" } },
+  multiply: { create: tf.layers.multiply, graphOnly: true, merge: true, options: {} },
+};
+
+/**
+ * Check a layer definition against the catalog
+ * @param {Object} layer - Layer definition ({ type, config })
+ * @param {string} where - Position of the layer, used in error messages
+ * @param {Object} options - { graph } whether graph-only layers are allowed
+ * @throws {ApiError} 400 if the type is unknown or an option is missing or invalid
+ */
+export const validateLayer = (layer, where, { graph = false } = {}) => {
+  if (!layer || typeof layer !== "object") {
+    throw new ApiError(400, `${where} must be an object`);
+  }
+
+  const spec = LAYER_CATALOG[layer.type];
+  if (!spec) {
+    throw new ApiError(
+      400,
+      `${where}: unknown layer type "${layer.type}". Supported types: ${Object.keys(LAYER_CATALOG).join(", ")}`
+    );
+  }
+  if (spec.graphOnly && !graph) {
+    throw new ApiError(400, `${where}: ${layer.type} layers can only be used in graph architectures`);
+  }
+
+  const config = layer.config || {};
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new ApiError(400, `${where}: config must be an object`);
+  }
+
+  const options = { ...COMMON_OPTIONS, ...spec.options };
+  Object.entries(config).forEach(([key, value]) => {
+    if (!options[key]) {
+      throw new ApiError(400, `${where}: unknown option "${key}" for ${layer.type}`);
+    }
+    const [check, description] = OPTION_KINDS[options[key]];
+    if (!check(value)) {
+      throw new ApiError(400, `${where}: option "${key}" of ${layer.type} must be ${description}`);
+    }
+  });
+
+  (spec.required || []).forEach((key) => {
+    if (config[key] === undefined) {
+      throw new ApiError(400, `${where}: ${layer.type} requires option "${key}"`);
+    }
+  });
+
+  if (spec.wraps) {
+    const inner = config.layer;
+    if (Array.isArray(spec.wraps) && !spec.wraps.includes(inner.type)) {
+      throw new ApiError(400, `${where}: ${layer.type} can only wrap ${spec.wraps.join(", ")} layers`);
+    }
+    validateLayer(inner, `${where}.config.layer`);
+  }
+};
+
+/**
+ * Create a tfjs layer from a definition that passed validateLayer
+ * @param {Object} layer - Layer definition ({ type, config })
+ * @param {Object} overrides - Config values to set (e.g. name, inputShape)
+ * @returns {tf.layers.Layer} The layer
+ */
+export const createLayer = (layer, overrides = {}) => {
+  const spec = LAYER_CATALOG[layer.type];
+  const config = { ...layer.config, ...overrides };
+
+  if (spec.wraps) {
+    config.layer = createLayer(config.layer);
+  }
+
+  return spec.create(config);
+};
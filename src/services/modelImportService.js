@@ -0,0 +1,255 @@
+import AdmZip from "adm-zip";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { fileURLToPath } from "url";
+import aiService from "./aiService.js";
+import AIModel from "../models/aiModel.js";
+import { validateClassLabels } from "./taskOutputs.js";
+import { ApiError } from "../utils/errors.js";
+import { loadLayersModel } from "../utils/modelIO.js";
+
+// Get directory name for models storage
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MODELS_DIR = path.join(__dirname, "../../models");
+
+// Largest model accepted once a zip is extracted, in megabytes
+const MAX_MODEL_SIZE_MB = parseInt(process.env.MAX_MODEL_SIZE_MB) || 500;
+
+export const MODEL_UPLOAD_EXTENSIONS = [".json", ".bin", ".zip"];
+
+// Bytes per value of each weight dtype (quantized weights use their storage dtype)
+const DTYPE_BYTES = {
+  float32: 4,
+  int32: 4,
+  bool: 1,
+  complex64: 8,
+  uint8: 1,
+  uint16: 2,
+  float16: 2,
+};
+
+/**
+ * Gather uploaded files by base name. A single zip is unpacked in memory;
+ * folders inside the zip are ignored so bundles may nest their files.
+ * @param {Array<Object>} files - Multer uploads ({ path, originalname })
+ * @returns {Promise<Map<string, Buffer>>} File contents keyed by base name
+ */
+const collectFiles = async (files) => {
+  const collected = new Map();
+  const add = (name, read) => {
+    const baseName = path.basename(name);
+    if (collected.has(baseName)) {
+      throw new ApiError(400, `More than one file is named ${baseName}`);
+    }
+    collected.set(baseName, read);
+  };
+
+  const zips = files.filter((file) => path.extname(file.originalname).toLowerCase() === ".zip");
+  if (zips.length > 0) {
+    if (files.length > 1) {
+      throw new ApiError(400, "Upload either a single zip or model.json with its weight files");
+    }
+
+    let zip;
+    try {
+      zip = new AdmZip(zips[0].path);
+    } catch (error) {
+      throw new ApiError(400, `The zip file could not be read: ${error.message}`);
+    }
+    const entries = zip.getEntries().filter((entry) => !entry.isDirectory && !path.basename(entry.entryName).startsWith("."));
+
+    // Check the unpacked size before inflating anything
+    const unpackedBytes = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (unpackedBytes > MAX_MODEL_SIZE_MB * 1024 * 1024) {
+      throw new ApiError(400, `The unpacked model is larger than ${MAX_MODEL_SIZE_MB} MB`);
+    }
+    entries.forEach((entry) => add(entry.entryName, async () => entry.getData()));
+  } else {
+    files.forEach((file) => add(file.originalname, () => fs.promises.readFile(file.path)));
+  }
+
+  const contents = new Map();
+  for (const [name, read] of collected) {
+    contents.set(name, await read());
+  }
+  return contents;
+};
+
+// Parse a JSON file of the upload
+const parseJsonFile = (contents, name) => {
+  try {
+    return JSON.parse(contents.get(name).toString("utf8"));
+  } catch (error) {
+    throw new ApiError(400, `${name} is not valid JSON: ${error.message}`);
+  }
+};
+
+// Byte size of the weights described by a manifest group
+const weightBytes = (weights) =>
+  weights.reduce((sum, spec) => {
+    const dtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+    const values = spec.shape.reduce((product, size) => product * size, 1);
+    return sum + values * (DTYPE_BYTES[dtype] || 0);
+  }, 0);
+
+/**
+ * Check model.json and its weight files before anything is stored: the file
+ * must describe a tfjs layers model, and every weight shard it lists must be
+ * uploaded with the size its weight specs add up to
+ * @param {Object} modelJson - Parsed model.json
+ * @param {Map<string, Buffer>} contents - Uploaded files by base name
+ * @returns {Object} model.json with shard paths reduced to base names
+ */
+const validateModelJson = (modelJson, contents) => {
+  if (!modelJson || typeof modelJson !== "object" || Array.isArray(modelJson)) {
+    throw new ApiError(400, "model.json must be an object");
+  }
+  if (modelJson.format === "graph-model") {
+    throw new ApiError(400, "Graph models cannot be registered; upload a tfjs layers model");
+  }
+  const topology = modelJson.modelTopology;
+  const modelConfig = topology && (topology.model_config || topology);
+  if (!modelConfig || typeof modelConfig.class_name !== "string" || !modelConfig.config) {
+    throw new ApiError(400, "model.json has no layers model topology (modelTopology.class_name and config)");
+  }
+  if (!Array.isArray(modelJson.weightsManifest)) {
+    throw new ApiError(400, "model.json has no weightsManifest");
+  }
+
+  const weightsManifest = modelJson.weightsManifest.map((group, index) => {
+    if (!group || !Array.isArray(group.paths) || !Array.isArray(group.weights)) {
+      throw new ApiError(400, `weightsManifest[${index}] needs paths and weights`);
+    }
+    // Shards are stored next to model.json, whatever folders the manifest names
+    const paths = group.paths.map((shardPath) => path.basename(shardPath));
+    const missing = paths.filter((shardPath) => !contents.has(shardPath));
+    if (missing.length > 0) {
+      throw new ApiError(400, `Missing weight files: ${missing.join(", ")}`);
+    }
+
+    const invalid = group.weights.find((spec) => !spec || typeof spec.name !== "string" || !Array.isArray(spec.shape));
+    if (invalid) {
+      throw new ApiError(400, `weightsManifest[${index}] has a weight spec without a name or shape`);
+    }
+    const expected = weightBytes(group.weights);
+    const actual = paths.reduce((sum, shardPath) => sum + contents.get(shardPath).length, 0);
+    if (expected !== actual) {
+      throw new ApiError(400, `Weight files of weightsManifest[${index}] hold ${actual} bytes but the weight specs need ${expected}`);
+    }
+
+    return { ...group, paths };
+  });
+
+  return { ...modelJson, weightsManifest };
+};
+
+// Hyperparameters that can be read from the training config saved with the model
+const hyperparametersFromTrainingConfig = (trainingConfig) => {
+  if (!trainingConfig) {
+    return {};
+  }
+  const hyperparameters = {};
+  if (typeof trainingConfig.loss === "string") {
+    hyperparameters.lossFunction = trainingConfig.loss;
+  }
+  if (Array.isArray(trainingConfig.metrics)) {
+    hyperparameters.metrics = trainingConfig.metrics;
+  }
+  return hyperparameters;
+};
+
+/**
+ * Register an externally trained tfjs layers model: validate the uploaded
+ * model.json and weights (or a zip of them, e.g. an export bundle), store them
+ * under the owner's models directory, load the model and create its AIModel
+ * record with the architecture summary filled in
+ * @param {Object} userId - ID of the owner
+ * @param {Array<Object>} files - Multer uploads
+ * @param {Object} details - { name, description, isPublic }
+ * @returns {Promise<Object>} { aiModel, summary }
+ */
+export const importUploadedModel = async (userId, files, { name, description, isPublic } = {}) => {
+  if (!files || files.length === 0) {
+    throw new ApiError(400, "Upload model.json with its weight files, or a zip of them");
+  }
+
+  const contents = await collectFiles(files);
+  if (!contents.has("model.json")) {
+    throw new ApiError(400, "The upload has no model.json");
+  }
+  const modelJson = validateModelJson(parseJsonFile(contents, "model.json"), contents);
+
+  // A label vocabulary travels with export bundles
+  const classLabels = contents.has("labels.json") ? parseJsonFile(contents, "labels.json") : null;
+
+  const modelId = new mongoose.Types.ObjectId();
+  const modelDir = path.join(MODELS_DIR, userId.toString(), `model_${modelId}`);
+  const modelPath = `file://${modelDir}`;
+
+  await fs.promises.mkdir(modelDir, { recursive: true });
+  let registered = false;
+  try {
+    await fs.promises.writeFile(path.join(modelDir, "model.json"), JSON.stringify(modelJson));
+    for (const group of modelJson.weightsManifest) {
+      for (const shardPath of group.paths) {
+        await fs.promises.writeFile(path.join(modelDir, shardPath), contents.get(shardPath));
+      }
+    }
+
+    // Loading is the real topology check: unknown layers or mismatched weights fail here
+    let model;
+    try {
+      model = await loadLayersModel(modelPath);
+    } catch (error) {
+      throw new ApiError(400, `The model could not be loaded: ${error.message}`);
+    }
+
+    const hyperparameters = hyperparametersFromTrainingConfig(modelJson.trainingConfig);
+    const entry = aiService.createEntry();
+    entry.model = model;
+    entry.hyperparameters = hyperparameters;
+    aiService.registerEntry(modelId, entry);
+    registered = true;
+
+    const outputInfo = await aiService.getOutputInfo({ _id: modelId });
+    if (classLabels) {
+      validateClassLabels(classLabels, outputInfo.outputs);
+    }
+    const summary = await aiService.getModelSummary({ _id: modelId });
+
+    const aiModel = new AIModel({
+      _id: modelId,
+      name: name || path.basename(files[0].originalname, path.extname(files[0].originalname)),
+      description: description || "Uploaded tfjs model",
+      modelType: "tensorflow",
+      userId,
+      isPublic: Boolean(isPublic),
+      modelPath,
+      status: "saved",
+      hyperparameters,
+      // Uploaded topologies are not in the layer spec format, so there are no layers to rebuild from
+      architecture: {
+        layers: [],
+        inputShape: model.inputs[0].shape.slice(1),
+        outputShape: outputInfo.outputShape.slice(1),
+      },
+    });
+    aiModel.architectureSummary = summary;
+    if (classLabels) {
+      aiModel.classLabels = classLabels;
+    }
+    await aiModel.save();
+
+    console.log(`Uploaded model registered as ${modelId} (${summary.totalParams} parameters)`);
+    return { aiModel, summary };
+  } catch (error) {
+    // Leave nothing behind for a rejected upload
+    if (registered) {
+      aiService.unloadModel(modelId);
+    }
+    await fs.promises.rm(modelDir, { recursive: true, force: true });
+    throw error;
+  }
+};
@@ -0,0 +1,42 @@
+import aiService from "./aiService.js";
+import AIModel from "../models/aiModel.js";
+import { modelArtifactsExist, toModelDir } from "../utils/modelIO.js";
+
+/**
+ * Bring saved models back after a restart. Every model with status "saved" has
+ * its artifacts checked; models whose files are gone are marked as "error" with
+ * the reason. The most recently updated ones are loaded into memory up to the
+ * registry size, the rest load on first use.
+ * @returns {Promise<Object>} { checked, loaded, failed }
+ */
+export const rehydrateSavedModels = async () => {
+  const models = await AIModel.find({ status: "saved" }).sort({ updatedAt: -1 });
+  let loaded = 0;
+  let failed = 0;
+
+  for (const aiModel of models) {
+    const modelPath = aiService.resolveArtifactPath(aiModel);
+    if (!modelPath) {
+      await aiService.markModelError(aiModel, "Saved model has no recorded model path");
+      failed++;
+      continue;
+    }
+
+    if (loaded < aiService.maxLoadedModels) {
+      try {
+        await aiService.getModel(aiModel);
+        loaded++;
+      } catch (error) {
+        // Missing or unreadable artifacts are recorded on the document by getModel
+        console.error(`Error rehydrating model ${aiModel._id}:`, error.message);
+        failed++;
+      }
+    } else if (!/^https?:\/\//.test(modelPath) && !modelArtifactsExist(modelPath)) {
+      await aiService.markModelError(aiModel, `Saved model files not found at ${toModelDir(modelPath)}`);
+      failed++;
+    }
+  }
+
+  console.log(`Rehydrated ${loaded} of ${models.length} saved models (${failed} unavailable)`);
+  return { checked: models.length, loaded, failed };
+};
@@ -0,0 +1,253 @@
+import { ApiError } from "../utils/errors.js";
+import { modelArtifactsExist } from "../utils/modelIO.js";
+
+export const VERSION_STAGES = ["draft", "staging", "production", "archived"];
+
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+// Stage of a version entry; versions created before stages existed are drafts
+const stageOf = (entry) => entry.stage || "draft";
+
+/**
+ * Saved version entry of a model
+ * @param {Object} aiModel - AIModel document
+ * @param {number} version - Version number
+ * @returns {Object} Version entry
+ * @throws {ApiError} 404 when the model has no such version
+ */
+export const findModelVersion = (aiModel, version) => {
+  const versions = toPlain(aiModel.versions) || [];
+  const entry = versions.find((v) => v.version === Number(version));
+  if (!entry) {
+    throw new ApiError(404, `Model ${aiModel._id} has no version ${version}`);
+  }
+  return entry;
+};
+
+/**
+ * The model to serve or evaluate a version with. The current version is the
+ * document itself; any other version is a read-only view with its own saved
+ * artifacts, which aiService loads under the key "<modelId>@v<version>" so
+ * it never replaces the current version in the registry.
+ * @param {Object} aiModel - AIModel document
+ * @param {number} version - Version number (defaults to the serving version)
+ * @returns {Object} AIModel document or version view
+ * @throws {ApiError} 404 for unknown versions, 409 when a version has no saved artifacts
+ */
+export const resolveModelVersion = (aiModel, version) => {
+  const requested = version === undefined || version === null ? getServingVersion(aiModel) : Number(version);
+  if (requested === (aiModel.currentVersion || 1)) {
+    return aiModel;
+  }
+
+  const entry = findModelVersion(aiModel, requested);
+  if (!entry.modelPath) {
+    throw new ApiError(409, `Version ${entry.version} of model ${aiModel._id} has no saved artifacts`);
+  }
+
+  return {
+    _id: `${aiModel._id}@v${entry.version}`,
+    modelId: aiModel._id,
+    version: entry.version,
+    name: aiModel.name,
+    userId: aiModel.userId,
+    modelPath: entry.modelPath,
+    hyperparameters: toPlain(aiModel.hyperparameters),
+    classLabels: toPlain(aiModel.classLabels),
+    trainingDataset: toPlain(aiModel.trainingDataset),
+  };
+};
+
+/**
+ * Version number in the production stage
+ * @param {Object} aiModel - AIModel document
+ * @returns {number|null} Production version, or null when none was promoted
+ */
+export const getProductionVersion = (aiModel) => {
+  const versions = toPlain(aiModel.versions) || [];
+  const production = versions.find((entry) => stageOf(entry) === "production");
+  return production ? production.version : null;
+};
+
+/**
+ * Version that answers requests by default: the production version, or the
+ * current version for models that never promoted one
+ * @param {Object} aiModel - AIModel document
+ * @returns {number} Serving version
+ */
+export const getServingVersion = (aiModel) => getProductionVersion(aiModel) || aiModel.currentVersion || 1;
+
+// Require a note explaining a stage change
+const requireNote = (note) => {
+  if (typeof note !== "string" || note.trim() === "") {
+    throw new ApiError(400, "A note explaining the change is required");
+  }
+  return note.trim();
+};
+
+// Move a version entry to a stage and record why
+const setStage = (entry, stage, change) => {
+  entry.stageHistory = [...(entry.stageHistory || []), { from: stageOf(entry), to: stage, ...change }];
+  entry.stage = stage;
+};
+
+// Whether a version's artifacts can be loaded; remote paths are trusted
+const hasArtifacts = (entry) =>
+  Boolean(entry.modelPath) && (/^https?:\/\//.test(entry.modelPath) || modelArtifactsExist(entry.modelPath));
+
+// Put a version into production, archiving the one it replaces, and save the model
+const putInProduction = async (aiModel, versions, target, change) => {
+  if (!hasArtifacts(target)) {
+    throw new ApiError(409, `Version ${target.version} has no saved artifacts and cannot serve`);
+  }
+
+  const replaced = versions.find((entry) => stageOf(entry) === "production");
+  if (replaced) {
+    setStage(replaced, "archived", { ...change, note: `Replaced by version ${target.version}: ${change.note}` });
+  }
+  setStage(target, "production", change);
+
+  aiModel.versions = versions;
+  aiModel.markModified("versions");
+  await aiModel.save();
+  return replaced ? replaced.version : null;
+};
+
+/**
+ * Record the stage of a newly created version
+ * @param {Object} aiModel - AIModel document
+ * @param {number} version - Version number
+ * @param {Object} details - { note, userId }
+ * @returns {Promise<Object>} Version entry
+ */
+export const initializeVersionStage = async (aiModel, version, { note, userId } = {}) => {
+  const versions = toPlain(aiModel.versions) || [];
+  const entry = versions.find((v) => v.version === Number(version));
+  if (!entry) {
+    throw new ApiError(404, `Model ${aiModel._id} has no version ${version}`);
+  }
+
+  entry.stage = "draft";
+  entry.stageHistory = [
+    { from: null, to: "draft", action: "create", note: note || "Version created", changedBy: userId, changedAt: new Date() },
+  ];
+  aiModel.versions = versions;
+  aiModel.markModified("versions");
+  await aiModel.save();
+  return entry;
+};
+
+/**
+ * Move a version to another stage. Promoting a version to production
+ * archives the previous production version in the same save, so exactly one
+ * version is in production at a time. The production version only leaves
+ * production when another version replaces it or on rollback.
+ * @param {Object} aiModel - AIModel document
+ * @param {number} version - Version number
+ * @param {string} stage - Target stage
+ * @param {Object} details - { note, userId }
+ * @returns {Promise<Object>} { version, stage, replacedVersion }
+ * @throws {ApiError} 400 for invalid stages or a missing note, 404 for unknown versions, 409 for invalid transitions
+ */
+export const promoteModelVersion = async (aiModel, version, stage, { note, userId } = {}) => {
+  if (!VERSION_STAGES.includes(stage)) {
+    throw new ApiError(400, `stage must be one of ${VERSION_STAGES.join(", ")}`);
+  }
+  const change = { action: "promote", note: requireNote(note), changedBy: userId, changedAt: new Date() };
+
+  const versions = toPlain(aiModel.versions) || [];
+  const target = versions.find((entry) => entry.version === Number(version));
+  if (!target) {
+    throw new ApiError(404, `Model ${aiModel._id} has no version ${version}`);
+  }
+  if (stageOf(target) === stage) {
+    throw new ApiError(409, `Version ${target.version} is already in ${stage}`);
+  }
+  if (stageOf(target) === "production") {
+    throw new ApiError(409, `Version ${target.version} is in production; promote another version or roll back instead`);
+  }
+
+  let replacedVersion = null;
+  if (stage === "production") {
+    replacedVersion = await putInProduction(aiModel, versions, target, change);
+  } else {
+    setStage(target, stage, change);
+    aiModel.versions = versions;
+    aiModel.markModified("versions");
+    await aiModel.save();
+  }
+
+  console.log(`Version ${target.version} of model ${aiModel._id} moved to ${stage}`);
+  return { version: target.version, stage, replacedVersion };
+};
+
+/**
+ * Put an earlier production version back into production, archiving the
+ * current one. Without a version, the version that most recently left
+ * production is restored.
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} details - { version, note, userId }
+ * @returns {Promise<Object>} { version, stage, replacedVersion }
+ * @throws {ApiError} 400 without a note, 404 for unknown versions, 409 when there is nothing to roll back to
+ */
+export const rollbackModelVersion = async (aiModel, { version, note, userId } = {}) => {
+  const change = { action: "rollback", note: requireNote(note), changedBy: userId, changedAt: new Date() };
+
+  const versions = toPlain(aiModel.versions) || [];
+  const current = versions.find((entry) => stageOf(entry) === "production");
+  if (!current) {
+    throw new ApiError(409, "Model has no production version to roll back");
+  }
+
+  let target;
+  if (version !== undefined && version !== null) {
+    target = versions.find((entry) => entry.version === Number(version));
+    if (!target) {
+      throw new ApiError(404, `Model ${aiModel._id} has no version ${version}`);
+    }
+    if (target === current) {
+      throw new ApiError(409, `Version ${target.version} is already in production`);
+    }
+    if (!(target.stageHistory || []).some((record) => record.from === "production")) {
+      throw new ApiError(409, `Version ${target.version} was never in production; promote it instead`);
+    }
+  } else {
+    // The version whose last move out of production is the most recent
+    let latest = null;
+    versions.forEach((entry) => {
+      if (entry === current) {
+        return;
+      }
+      (entry.stageHistory || []).forEach((record) => {
+        if (record.from === "production" && (!latest || new Date(record.changedAt) > new Date(latest.changedAt))) {
+          latest = { entry, changedAt: record.changedAt };
+        }
+      });
+    });
+    if (!latest) {
+      throw new ApiError(409, "No earlier production version to roll back to");
+    }
+    target = latest.entry;
+  }
+
+  const replacedVersion = await putInProduction(aiModel, versions, target, change);
+  console.log(`Model ${aiModel._id} rolled back from version ${replacedVersion} to version ${target.version}`);
+  return { version: target.version, stage: "production", replacedVersion };
+};
+
+/**
+ * Versions of a model with their stages and stage history
+ * @param {Object} aiModel - AIModel document
+ * @returns {Object} { currentVersion, productionVersion, servingVersion, versions }
+ */
+export const describeModelVersions = (aiModel) => {
+  const versions = toPlain(aiModel.versions) || [];
+  return {
+    currentVersion: aiModel.currentVersion || 1,
+    productionVersion: getProductionVersion(aiModel),
+    servingVersion: getServingVersion(aiModel),
+    versions: versions.map((entry) => ({ ...entry, stage: stageOf(entry), stageHistory: entry.stageHistory || [] })),
+  };
+};
@@ -0,0 +1,243 @@
+import * as tf from "@tensorflow/tfjs";
+import { ApiError } from "../utils/errors.js";
+
+// Options accepted by every optimizer on top of its own settings
+const COMMON_OPTIONS = {
+  learningRate: { kind: "positive" },
+  clipValue: { kind: "positive" },
+  clipNorm: { kind: "positive" },
+  weightDecay: { kind: "nonNegative" },
+};
+
+// Optimizer types with their tfjs defaults and factories; the factory receives the resolved config
+const OPTIMIZERS = {
+  sgd: {
+    defaults: { learningRate: 0.01, momentum: 0, nesterov: false },
+    options: { momentum: { kind: "fraction" }, nesterov: { kind: "boolean" } },
+    create: ({ learningRate, momentum, nesterov }) =>
+      momentum > 0 || nesterov
+        ? tf.train.momentum(learningRate, momentum, nesterov)
+        : tf.train.sgd(learningRate),
+  },
+  // SGD with momentum 0.9 by default, kept as its own name for older hyperparameters
+  momentum: {
+    defaults: { learningRate: 0.01, momentum: 0.9, nesterov: false },
+    options: { momentum: { kind: "fraction" }, nesterov: { kind: "boolean" } },
+    create: ({ learningRate, momentum, nesterov }) => tf.train.momentum(learningRate, momentum, nesterov),
+  },
+  adam: {
+    defaults: { learningRate: 0.001, beta1: 0.9, beta2: 0.999, epsilon: 1e-7 },
+    options: { beta1: { kind: "fraction" }, beta2: { kind: "fraction" }, epsilon: { kind: "positive" } },
+    create: ({ learningRate, beta1, beta2, epsilon }) => tf.train.adam(learningRate, beta1, beta2, epsilon),
+  },
+  adamax: {
+    defaults: { learningRate: 0.002, beta1: 0.9, beta2: 0.999, epsilon: 1e-7, decay: 0 },
+    options: {
+      beta1: { kind: "fraction" },
+      beta2: { kind: "fraction" },
+      epsilon: { kind: "positive" },
+      decay: { kind: "nonNegative" },
+    },
+    create: ({ learningRate, beta1, beta2, epsilon, decay }) =>
+      tf.train.adamax(learningRate, beta1, beta2, epsilon, decay),
+  },
+  rmsprop: {
+    defaults: { learningRate: 0.001, rho: 0.9, momentum: 0, epsilon: 1e-7, centered: false },
+    options: {
+      rho: { kind: "fraction" },
+      momentum: { kind: "fraction" },
+      epsilon: { kind: "positive" },
+      centered: { kind: "boolean" },
+    },
+    create: ({ learningRate, rho, momentum, epsilon, centered }) =>
+      tf.train.rmsprop(learningRate, rho, momentum, epsilon, centered),
+  },
+  adagrad: {
+    defaults: { learningRate: 0.01, initialAccumulatorValue: 0.1 },
+    options: { initialAccumulatorValue: { kind: "positive" } },
+    create: ({ learningRate, initialAccumulatorValue }) => tf.train.adagrad(learningRate, initialAccumulatorValue),
+  },
+  adadelta: {
+    defaults: { learningRate: 0.001, rho: 0.95, epsilon: 1e-7 },
+    options: { rho: { kind: "fraction" }, epsilon: { kind: "positive" } },
+    create: ({ learningRate, rho, epsilon }) => tf.train.adadelta(learningRate, rho, epsilon),
+  },
+};
+
+export const OPTIMIZER_NAMES = Object.keys(OPTIMIZERS);
+
+// Resolved configuration of the optimizers created here, for model summaries
+const configs = new WeakMap();
+
+// Check a single option value against its kind
+const checkOption = (name, value, { kind }) => {
+  const fail = (expected) => {
+    throw new ApiError(400, `optimizer.${name} must be ${expected}`);
+  };
+  if (kind === "boolean") {
+    if (typeof value !== "boolean") {
+      fail("a boolean");
+    }
+  } else if (kind === "fraction") {
+    if (typeof value !== "number" || value < 0 || value >= 1) {
+      fail("a number from 0 (inclusive) to 1 (exclusive)");
+    }
+  } else if (kind === "nonNegative") {
+    if (typeof value !== "number" || value < 0) {
+      fail("a non-negative number");
+    }
+  } else if (typeof value !== "number" || !(value > 0)) {
+    fail("a positive number");
+  }
+};
+
+/**
+ * Resolve an optimizer setting into a full configuration with defaults.
+ * The setting is either a name ("adam") or an object with a type and options:
+ *   { type: "sgd", learningRate, momentum, nesterov }
+ *   { type: "adam" | "adamax", learningRate, beta1, beta2, epsilon, decay (adamax) }
+ *   { type: "rmsprop", learningRate, rho, momentum, epsilon, centered }
+ *   { type: "adagrad", learningRate, initialAccumulatorValue }
+ *   { type: "adadelta", learningRate, rho, epsilon }
+ * Every type also takes clipValue, clipNorm (per gradient) and weightDecay
+ * (decoupled, scaled by the learning rate).
+ * @param {string|Object} optimizer - Optimizer name or configuration
+ * @param {number} learningRate - Learning rate used when the configuration has none
+ * @returns {Object} Configuration with every option filled in
+ * @throws {ApiError} 400 for unknown types or invalid options
+ */
+export const resolveOptimizerConfig = (optimizer = "adam", learningRate) => {
+  const spec = typeof optimizer === "string" ? { type: optimizer } : optimizer;
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new ApiError(400, "optimizer must be a name or an object with a type");
+  }
+
+  const definition = OPTIMIZERS[spec.type];
+  if (!definition) {
+    throw new ApiError(400, `Unknown optimizer "${spec.type}". Supported optimizers: ${OPTIMIZER_NAMES.join(", ")}`);
+  }
+
+  const { type, ...options } = spec;
+  Object.entries(options).forEach(([name, value]) => {
+    const option = definition.options[name] || COMMON_OPTIONS[name];
+    if (!option) {
+      const allowed = [...Object.keys(definition.options), ...Object.keys(COMMON_OPTIONS)];
+      throw new ApiError(400, `${type} optimizers have no ${name} option. Allowed: ${allowed.join(", ")}`);
+    }
+    if (value !== null && value !== undefined) {
+      checkOption(name, value, option);
+    }
+  });
+  if (learningRate !== undefined && learningRate !== null) {
+    checkOption("learningRate", learningRate, COMMON_OPTIONS.learningRate);
+  }
+
+  // Options left unset fall back to the top-level learning rate, then to the tfjs defaults
+  const config = { type, ...definition.defaults };
+  if (learningRate !== undefined && learningRate !== null) {
+    config.learningRate = learningRate;
+  }
+  Object.entries(options).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) {
+      config[name] = value;
+    }
+  });
+  return config;
+};
+
+// Clip gradients and decay weights before the optimizer applies its update
+const withGradientTransforms = (optimizer, { clipValue, clipNorm, weightDecay }) => {
+  const applyGradients = optimizer.applyGradients.bind(optimizer);
+
+  optimizer.applyGradients = (variableGradients) => {
+    const gradients = (Array.isArray(variableGradients)
+      ? variableGradients
+      : Object.entries(variableGradients).map(([name, tensor]) => ({ name, tensor }))
+    ).filter(({ tensor }) => tensor != null);
+
+    if (weightDecay) {
+      // Decoupled weight decay: shrink each updated weight by learningRate * weightDecay
+      const factor = 1 - optimizer.learningRate * weightDecay;
+      tf.tidy(() => {
+        gradients.forEach(({ name }) => {
+          const variable = tf.engine().registeredVariables[name];
+          variable.assign(variable.mul(factor));
+        });
+      });
+    }
+
+    if (!clipValue && !clipNorm) {
+      return applyGradients(variableGradients);
+    }
+
+    const clipped = tf.tidy(() =>
+      gradients.map(({ name, tensor }) => {
+        let gradient = tensor;
+        if (clipValue) {
+          gradient = tf.clipByValue(gradient, -clipValue, clipValue);
+        }
+        if (clipNorm) {
+          // Rescale gradients whose L2 norm exceeds clipNorm
+          const norm = tf.norm(gradient);
+          gradient = gradient.mul(tf.scalar(clipNorm).div(tf.maximum(norm, clipNorm)));
+        }
+        return { name, tensor: gradient };
+      })
+    );
+    try {
+      return applyGradients(clipped);
+    } finally {
+      tf.dispose(clipped.map(({ tensor }) => tensor));
+    }
+  };
+
+  return optimizer;
+};
+
+/**
+ * Create a tfjs optimizer instance from an optimizer setting
+ * @param {string|Object} optimizer - Optimizer name or configuration (see resolveOptimizerConfig)
+ * @param {number} learningRate - Learning rate used when the configuration has none
+ * @returns {tf.Optimizer} Optimizer instance
+ */
+export const createOptimizer = (optimizer = "adam", learningRate) => {
+  const config = resolveOptimizerConfig(optimizer, learningRate);
+  const instance = OPTIMIZERS[config.type].create(config);
+
+  if (config.clipValue || config.clipNorm || config.weightDecay) {
+    withGradientTransforms(instance, config);
+  }
+  configs.set(instance, config);
+  return instance;
+};
+
+/**
+ * Release the tensors held by an optimizer
+ * @param {tf.Optimizer} optimizer - Optimizer instance
+ */
+export const disposeOptimizer = (optimizer) => {
+  if (!optimizer || typeof optimizer.dispose !== "function") {
+    return;
+  }
+  optimizer.dispose();
+  // The tfjs momentum optimizer leaves the learning rate scalar cached by SGD behind
+  if (optimizer.c && !optimizer.c.isDisposed) {
+    optimizer.c.dispose();
+  }
+};
+
+/**
+ * Describe the optimizer a model is compiled with
+ * @param {tf.Optimizer} optimizer - Optimizer instance
+ * @returns {Object|null} Configuration with the current learning rate
+ */
+export const describeOptimizer = (optimizer) => {
+  if (!optimizer) {
+    return null;
+  }
+  const config = configs.get(optimizer) || { type: optimizer.getClassName(), ...optimizer.getConfig() };
+  // Callbacks change the learning rate during training
+  return typeof optimizer.learningRate === "number"
+    ? { ...config, learningRate: optimizer.learningRate }
+    : config;
+};
@@ -0,0 +1,97 @@
+import * as tf from "@tensorflow/tfjs";
+import aiService from "./aiService.js";
+import { computeTaskMetrics } from "./evaluationService.js";
+import { QUANTIZATION_SCHEMES, quantizeArtifacts } from "../utils/quantization.js";
+import { loadLayersModel } from "../utils/modelIO.js";
+import { ApiError } from "../utils/errors.js";
+
+/**
+ * Quantize the weights of a model in memory. Quantized models are meant for
+ * serving, so optimizer state is left out unless asked for (it stays float32).
+ * @param {Object} aiModel - AIModel document
+ * @param {string} scheme - float16 or uint8 (affine, per weight tensor)
+ * @param {Object} options - { includeOptimizer }
+ * @returns {Promise<Object>} { scheme, artifacts, originalBytes, quantizedBytes, quantizedWeights }
+ * @throws {ApiError} 400 for unknown schemes
+ */
+export const quantizeModel = async (aiModel, scheme, { includeOptimizer = false } = {}) => {
+  if (!QUANTIZATION_SCHEMES.includes(scheme)) {
+    throw new ApiError(400, `quantization must be one of ${QUANTIZATION_SCHEMES.join(", ")}`);
+  }
+
+  const artifacts = await aiService.getModelArtifacts(aiModel, { includeOptimizer });
+  const quantized = quantizeArtifacts(artifacts, scheme);
+  console.log(
+    `Model ${aiModel._id} quantized to ${scheme}: ${quantized.originalBytes} -> ${quantized.quantizedBytes} bytes`
+  );
+  return { scheme, ...quantized };
+};
+
+/**
+ * Size report of a quantization, as recorded in the saved metadata
+ * @param {Object} quantized - Result of quantizeModel
+ * @returns {Object} { scheme, originalBytes, quantizedBytes, sizeReduction, quantizedWeights }
+ */
+export const describeQuantization = ({ scheme, originalBytes, quantizedBytes, quantizedWeights }) => ({
+  scheme,
+  originalBytes,
+  quantizedBytes,
+  sizeReduction: originalBytes > 0 ? 1 - quantizedBytes / originalBytes : 0,
+  quantizedWeights,
+});
+
+/**
+ * Compare the task metrics of a model with those of its quantized weights on
+ * a held-out set
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} artifacts - Quantized model artifacts
+ * @param {Array<Array<number>>} testData - Held-out inputs
+ * @param {Array<Array<number>>} testLabels - Held-out labels shaped like the model output
+ * @param {Object} options - { classNames, threshold }
+ * @returns {Promise<Object>} Metrics before and after quantization with their difference
+ */
+export const compareQuantizedAccuracy = async (aiModel, artifacts, testData, testLabels, options = {}) => {
+  if (!Array.isArray(testData) || testData.length === 0) {
+    throw new ApiError(400, "Test data must be a non-empty array");
+  }
+  if (!Array.isArray(testLabels) || testLabels.length !== testData.length) {
+    throw new ApiError(400, "Test labels must have one entry per test sample");
+  }
+
+  const { outputCount, taskType, threshold } = await aiService.getOutputInfo(aiModel, options);
+  if (outputCount > 1) {
+    throw new ApiError(400, "Accuracy comparison supports models with a single output");
+  }
+
+  const { predictions } = await aiService.predict(aiModel, testData);
+
+  // Load the quantized weights the same way a saved model is loaded
+  const model = await loadLayersModel(tf.io.fromMemory(artifacts));
+  let quantizedPredictions;
+  try {
+    const output = tf.tidy(() => model.predict(tf.tensor(testData)));
+    quantizedPredictions = await output.array();
+    output.dispose();
+  } finally {
+    model.dispose();
+  }
+
+  const original = computeTaskMetrics(taskType, testLabels, predictions, { ...options, threshold });
+  const quantized = computeTaskMetrics(taskType, testLabels, quantizedPredictions, { ...options, threshold });
+
+  const metrics = {};
+  Object.entries(original).forEach(([name, value]) => {
+    if (typeof value === "number" && typeof quantized[name] === "number") {
+      metrics[name] = { original: value, quantized: quantized[name], delta: quantized[name] - value };
+    }
+  });
+
+  let maxOutputDifference = 0;
+  predictions.forEach((row, index) => {
+    row.forEach((value, unit) => {
+      maxOutputDifference = Math.max(maxOutputDifference, Math.abs(value - quantizedPredictions[index][unit]));
+    });
+  });
+
+  return { taskType, samples: testData.length, metrics, maxOutputDifference };
+};
@@ -0,0 +1,279 @@
+import { ApiError } from "../utils/errors.js";
+import { binaryClass } from "../utils/metrics.js";
+
+export const TASK_TYPES = ["regression", "binary", "multiClass", "multiLabel"];
+
+// Losses that indicate the model predicts continuous values
+const REGRESSION_LOSSES = [
+  "meanSquaredError",
+  "meanAbsoluteError",
+  "meanAbsolutePercentageError",
+  "meanSquaredLogarithmicError",
+  "huberLoss",
+  "cosineProximity",
+];
+
+// Settings that shape prediction output
+const PREDICTION_SETTINGS = ["topK", "threshold", "targetNormalization"];
+
+/**
+ * Infer the task a model solves from its loss and output size
+ * @param {string} loss - Loss function name
+ * @param {number} outputUnits - Size of the model output
+ * @returns {string} regression, binary, multiLabel or multiClass
+ */
+export const detectTaskType = (loss, outputUnits) => {
+  if (REGRESSION_LOSSES.includes(loss)) {
+    return "regression";
+  }
+  if (outputUnits === 1) {
+    return "binary";
+  }
+  if (loss === "binaryCrossentropy") {
+    return "multiLabel";
+  }
+  return "multiClass";
+};
+
+// Settings of one output: a setting keyed by output name applies to that output only
+const forOutput = (setting, outputName, isKeyed) =>
+  setting && isKeyed(setting) ? setting[outputName] : setting;
+
+const isKeyedTaskType = (taskType) => typeof taskType === "object" && !Array.isArray(taskType);
+
+// Prediction settings are keyed by output name when none of their keys is a setting
+const isKeyedPrediction = (prediction) =>
+  typeof prediction === "object" && !Object.keys(prediction).some((key) => PREDICTION_SETTINGS.includes(key));
+
+/**
+ * Task type of a model output: the declared hyperparameters.taskType (a type or
+ * types keyed by output name), otherwise inferred from the loss and output size
+ * @param {Object} hyperparameters - Model hyperparameters
+ * @param {Object} output - { name, loss, units }
+ * @returns {string} Task type
+ */
+export const resolveTaskType = (hyperparameters = {}, { name, loss, units }) => {
+  const declared = forOutput(hyperparameters.taskType, name, isKeyedTaskType);
+  return declared || detectTaskType(loss, units);
+};
+
+/**
+ * Prediction settings of a model output merged with per-request overrides
+ * @param {Object} hyperparameters - Model hyperparameters
+ * @param {string} outputName - Output name
+ * @param {Object} overrides - { topK, threshold } from the request
+ * @returns {Object} { topK, threshold, targetNormalization }
+ */
+export const resolvePredictionSettings = (hyperparameters = {}, outputName, overrides = {}) => {
+  const declared = forOutput(hyperparameters.prediction, outputName, isKeyedPrediction) || {};
+  const settings = { ...declared };
+  PREDICTION_SETTINGS.forEach((key) => {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      settings[key] = overrides[key];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Decision threshold of a classifier output: the request's threshold, else the
+ * one configured in hyperparameters.prediction, else 0.5
+ * @param {Object} hyperparameters - Model hyperparameters
+ * @param {string} outputName - Output name
+ * @param {number|Array<number>} threshold - Threshold from the request
+ * @returns {number|Array<number>} Threshold, shared or one per label
+ */
+export const resolveThreshold = (hyperparameters, outputName, threshold) => {
+  const settings = resolvePredictionSettings(hyperparameters, outputName, { threshold });
+  return settings.threshold !== undefined ? settings.threshold : 0.5;
+};
+
+const isProbability = (value) => typeof value === "number" && value >= 0 && value <= 1;
+
+const isNumberOrNumbers = (value) =>
+  typeof value === "number" || (Array.isArray(value) && value.length > 0 && value.every((v) => typeof v === "number"));
+
+// Check one set of prediction settings
+const checkPredictionSettings = (settings, where) => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new ApiError(400, `${where} must be an object`);
+  }
+  const { topK, threshold, targetNormalization } = settings;
+
+  if (topK !== undefined && (!Number.isInteger(topK) || topK < 1)) {
+    throw new ApiError(400, `${where}.topK must be a positive integer`);
+  }
+  if (threshold !== undefined &&
+    !(isProbability(threshold) || (Array.isArray(threshold) && threshold.length > 0 && threshold.every(isProbability)))) {
+    throw new ApiError(400, `${where}.threshold must be a number from 0 to 1 or one such number per label`);
+  }
+  if (targetNormalization !== undefined) {
+    const { mean, std, min, max } = targetNormalization || {};
+    const standard = mean !== undefined || std !== undefined;
+    const minMax = min !== undefined || max !== undefined;
+    if (standard === minMax) {
+      throw new ApiError(400, `${where}.targetNormalization needs either { mean, std } or { min, max }`);
+    }
+    if (standard && !(isNumberOrNumbers(mean) && isNumberOrNumbers(std))) {
+      throw new ApiError(400, `${where}.targetNormalization.mean and std must be numbers or one number per output value`);
+    }
+    if (minMax && !(isNumberOrNumbers(min) && isNumberOrNumbers(max))) {
+      throw new ApiError(400, `${where}.targetNormalization.min and max must be numbers or one number per output value`);
+    }
+  }
+};
+
+/**
+ * Check a label vocabulary against the outputs of a model. A single-output model
+ * takes a list of class names; multi-output models take lists keyed by output name.
+ * A single sigmoid output takes two names (negative class first).
+ * @param {Array<string>|Object} classLabels - Class names by index
+ * @param {Array<Object>} outputs - Model outputs ({ name, units })
+ * @throws {ApiError} 400 if a vocabulary does not fit its output
+ */
+export const validateClassLabels = (classLabels, outputs) => {
+  const keyed = !Array.isArray(classLabels);
+  if (keyed && (!classLabels || typeof classLabels !== "object")) {
+    throw new ApiError(400, "labels must be a list of class names or lists keyed by output name");
+  }
+  if (!keyed && outputs.length > 1) {
+    throw new ApiError(400, `The model has several outputs; key the labels by output name (${outputs.map((o) => o.name).join(", ")})`);
+  }
+
+  const entries = keyed ? Object.entries(classLabels) : [[outputs[0].name, classLabels]];
+  entries.forEach(([name, labels]) => {
+    const output = outputs.find((o) => o.name === name);
+    const where = keyed ? `labels.${name}` : "labels";
+    if (!output) {
+      throw new ApiError(400, `The model has no output named "${name}"`);
+    }
+    if (!Array.isArray(labels) || !labels.every((label) => typeof label === "string" && label.length > 0)) {
+      throw new ApiError(400, `${where} must be a list of non-empty strings`);
+    }
+    if (new Set(labels).size !== labels.length) {
+      throw new ApiError(400, `${where} contains duplicate class names`);
+    }
+    const expected = output.units === 1 ? 2 : output.units;
+    if (labels.length !== expected) {
+      throw new ApiError(400, `${where} has ${labels.length} names but output "${name}" needs ${expected}`);
+    }
+  });
+};
+
+/**
+ * Label vocabulary of one model output
+ * @param {Array<string>|Object} classLabels - Class names, or lists keyed by output name
+ * @param {string} outputName - Output name
+ * @returns {Array<string>|null} Class names by index
+ */
+export const outputClassLabels = (classLabels, outputName) => {
+  if (Array.isArray(classLabels)) {
+    return classLabels;
+  }
+  return classLabels && Array.isArray(classLabels[outputName]) ? classLabels[outputName] : null;
+};
+
+/**
+ * Validate the task type and prediction settings of a hyperparameters update
+ * @param {Object} hyperparameters - { taskType, prediction }
+ * @throws {ApiError} 400 for unknown task types or invalid settings
+ */
+export const validateTaskSettings = ({ taskType, prediction } = {}) => {
+  if (taskType !== undefined && taskType !== null) {
+    const types = isKeyedTaskType(taskType) ? Object.values(taskType) : [taskType];
+    if (!types.every((type) => TASK_TYPES.includes(type))) {
+      throw new ApiError(400, `taskType must be one of ${TASK_TYPES.join(", ")} (or an object of them keyed by output name)`);
+    }
+  }
+
+  if (prediction !== undefined && prediction !== null) {
+    if (typeof prediction === "object" && isKeyedPrediction(prediction) && Object.keys(prediction).length > 0) {
+      Object.entries(prediction).forEach(([name, settings]) =>
+        checkPredictionSettings(settings, `prediction.${name}`)
+      );
+    } else {
+      checkPredictionSettings(prediction, "prediction");
+    }
+  }
+};
+
+// Value i of a setting that is either shared or given per output value
+const valueAt = (setting, index) => (Array.isArray(setting) ? setting[index] : setting);
+
+// Undo the target scaling applied before training
+const denormalize = (row, { mean, std, min, max }) =>
+  row.map((value, i) =>
+    mean !== undefined
+      ? value * valueAt(std, i) + valueAt(mean, i)
+      : value * (valueAt(max, i) - valueAt(min, i)) + valueAt(min, i)
+  );
+
+// A class index with its name, when the model has a label vocabulary
+const withLabel = (entry, labels) =>
+  labels ? { ...entry, label: labels[entry.class] } : entry;
+
+// Classes ranked by probability
+const rankClasses = (row, topK, labels) =>
+  row
+    .map((probability, index) => withLabel({ class: index, probability }, labels))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, topK);
+
+/**
+ * Shape the raw outputs of a model for its task:
+ * - multiClass: best class, its probability and the top-k classes
+ * - binary: predicted class and the probability of the positive class
+ * - multiLabel: each label's probability with its thresholded decision
+ * - regression: output values, de-normalized when a target normalization is set
+ * Classes carry their name from the label vocabulary when one is given.
+ * @param {string} taskType - Task type of the output
+ * @param {Array<Array<number>>} rows - Raw model outputs
+ * @param {Object} settings - { topK, threshold, targetNormalization, labels }
+ * @returns {Array<Object>} One result per sample
+ */
+export const formatTaskOutputs = (taskType, rows, settings = {}) => {
+  const { topK = 1, threshold = 0.5, targetNormalization, labels } = settings;
+
+  if (taskType === "regression") {
+    return rows.map((row) => {
+      const values = targetNormalization ? denormalize(row, targetNormalization) : row;
+      return values.length === 1 ? { value: values[0] } : { values };
+    });
+  }
+
+  if (taskType === "multiLabel") {
+    return rows.map((row) => {
+      const scored = row.map((probability, index) => withLabel({
+        class: index,
+        probability,
+        predicted: probability >= valueAt(threshold, index),
+      }, labels));
+      const predicted = scored.filter((entry) => entry.predicted);
+      return {
+        labels: scored,
+        predicted: predicted.map((entry) => entry.class),
+        ...(labels ? { predictedLabels: predicted.map((entry) => entry.label) } : {}),
+      };
+    });
+  }
+
+  if (taskType === "binary") {
+    const cutoff = valueAt(threshold, 0);
+    return rows.map(([probability]) => {
+      const positive = binaryClass(probability, cutoff) === 1;
+      return withLabel({
+        class: positive ? 1 : 0,
+        probability: positive ? probability : 1 - probability,
+        positiveProbability: probability,
+      }, labels);
+    });
+  }
+
+  return rows.map((row) => {
+    const ranked = rankClasses(row, Math.min(topK, row.length), labels);
+    return {
+      ...ranked[0],
+      topK: ranked,
+    };
+  });
+};
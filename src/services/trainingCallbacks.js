@@ -0,0 +1,390 @@
+import * as tf from "@tensorflow/tfjs";
+import { ApiError } from "../utils/errors.js";
+
+// Options accepted by each declarative callback type, with their expected type
+const CALLBACK_SCHEMAS = {
+  earlyStopping: {
+    monitor: "string",
+    mode: "string",
+    patience: "number",
+    minDelta: "number",
+    restoreBestWeights: "boolean",
+  },
+  learningRateSchedule: {
+    schedule: "string",
+    initialLearningRate: "number",
+    factor: "number",
+    stepSize: "number",
+    decayRate: "number",
+    decayEpochs: "number",
+    minLearningRate: "number",
+    periodEpochs: "number",
+  },
+  reduceLROnPlateau: {
+    monitor: "string",
+    mode: "string",
+    factor: "number",
+    patience: "number",
+    minDelta: "number",
+    cooldown: "number",
+    minLearningRate: "number",
+  },
+  modelCheckpoint: {
+    monitor: "string",
+    mode: "string",
+    minDelta: "number",
+  },
+};
+
+const MODES = ["min", "max", "auto"];
+const SCHEDULES = ["step", "exponential", "cosine"];
+
+/**
+ * Check a list of declarative callback definitions
+ * @param {Array<Object>} specs - Callback definitions from hyperparameters.callbacks
+ * @throws {ApiError} 400 if a definition is unknown or has invalid options
+ */
+export const validateCallbackSpecs = (specs) => {
+  if (specs === undefined || specs === null) {
+    return;
+  }
+  if (!Array.isArray(specs)) {
+    throw new ApiError(400, "hyperparameters.callbacks must be an array");
+  }
+
+  specs.forEach((spec, index) => {
+    const where = `hyperparameters.callbacks[${index}]`;
+    if (!spec || typeof spec !== "object") {
+      throw new ApiError(400, `${where} must be an object`);
+    }
+
+    const schema = CALLBACK_SCHEMAS[spec.type];
+    if (!schema) {
+      throw new ApiError(
+        400,
+        `${where}: unknown callback type "${spec.type}". Supported types: ${Object.keys(CALLBACK_SCHEMAS).join(", ")}`
+      );
+    }
+
+    Object.entries(spec).forEach(([key, value]) => {
+      if (key === "type") {
+        return;
+      }
+      if (!schema[key]) {
+        throw new ApiError(400, `${where}: unknown option "${key}" for ${spec.type}`);
+      }
+      if (typeof value !== schema[key]) {
+        throw new ApiError(400, `${where}: option "${key}" must be a ${schema[key]}`);
+      }
+      if (schema[key] === "number" && (value < 0 || !Number.isFinite(value))) {
+        throw new ApiError(400, `${where}: option "${key}" must be a non-negative number`);
+      }
+    });
+
+    if (spec.mode !== undefined && !MODES.includes(spec.mode)) {
+      throw new ApiError(400, `${where}: mode must be one of ${MODES.join(", ")}`);
+    }
+    if (spec.type === "learningRateSchedule" && !SCHEDULES.includes(spec.schedule)) {
+      throw new ApiError(400, `${where}: schedule must be one of ${SCHEDULES.join(", ")}`);
+    }
+    if (spec.type === "reduceLROnPlateau" && spec.factor !== undefined && spec.factor >= 1) {
+      throw new ApiError(400, `${where}: factor must be below 1`);
+    }
+  });
+};
+
+// Read the current learning rate of an optimizer
+const getLearningRate = (optimizer) => optimizer.learningRate;
+
+// Update the learning rate; SGD-based optimizers cache it in a scalar
+const setLearningRate = (optimizer, learningRate) => {
+  if (typeof optimizer.setLearningRate === "function") {
+    optimizer.setLearningRate(learningRate);
+  } else {
+    optimizer.learningRate = learningRate;
+  }
+};
+
+// Tracks whether a monitored metric improved, in min or max mode
+class MetricMonitor {
+  constructor({ monitor = "val_loss", mode = "auto", minDelta = 0 }) {
+    this.monitor = monitor;
+    this.minDelta = minDelta;
+    this.mode = mode === "auto" ? (/acc/.test(monitor) ? "max" : "min") : mode;
+    this.best = this.mode === "min" ? Infinity : -Infinity;
+  }
+
+  // Returns the monitored value. tfjs logs accuracy as acc / val_acc, so
+  // "accuracy" names are mapped to that key when the logs are first read;
+  // tf.Callback subclasses receive the values as scalar tensors.
+  async read(logs = {}) {
+    if (!this.key) {
+      this.key = [this.monitor, this.monitor.replace("accuracy", "acc")].find((key) => logs[key] !== undefined);
+      if (!this.key) {
+        throw new ApiError(
+          400,
+          `Monitored metric "${this.monitor}" was not reported (validation metrics need validation data). ` +
+            `Available: ${Object.keys(logs).join(", ")}`
+        );
+      }
+    }
+    const value = logs[this.key];
+    return typeof value === "number" ? value : (await value.data())[0];
+  }
+
+  isImprovement(value) {
+    return this.mode === "min"
+      ? value < this.best - this.minDelta
+      : value > this.best + this.minDelta;
+  }
+}
+
+// Stop training once the monitored metric stops improving
+class EarlyStopping extends tf.Callback {
+  constructor(spec) {
+    super();
+    this.metric = new MetricMonitor(spec);
+    this.patience = spec.patience !== undefined ? spec.patience : 5;
+    this.restoreBestWeights = spec.restoreBestWeights === true;
+  }
+
+  async onTrainBegin() {
+    this.wait = 0;
+    this.stoppedEpoch = null;
+    this.bestEpoch = null;
+    this.disposeBestWeights();
+  }
+
+  async onEpochEnd(epoch, logs) {
+    const value = await this.metric.read(logs);
+    if (this.metric.isImprovement(value)) {
+      this.metric.best = value;
+      this.bestEpoch = epoch + 1;
+      this.wait = 0;
+      if (this.restoreBestWeights) {
+        this.disposeBestWeights();
+        this.bestWeights = this.model.getWeights().map((weight) => weight.clone());
+      }
+      return;
+    }
+
+    this.wait++;
+    if (this.wait >= this.patience) {
+      this.stoppedEpoch = epoch + 1;
+      this.model.stopTraining = true;
+    }
+  }
+
+  async onTrainEnd() {
+    if (this.restoreBestWeights && this.bestWeights && this.stoppedEpoch) {
+      this.model.setWeights(this.bestWeights);
+      console.log(`Restored weights from epoch ${this.bestEpoch}`);
+    }
+    this.disposeBestWeights();
+  }
+
+  disposeBestWeights() {
+    if (this.bestWeights) {
+      this.bestWeights.forEach((weight) => weight.dispose());
+      this.bestWeights = null;
+    }
+  }
+
+  summary() {
+    return {
+      type: "earlyStopping",
+      monitor: this.metric.monitor,
+      bestEpoch: this.bestEpoch,
+      bestValue: Number.isFinite(this.metric.best) ? this.metric.best : null,
+      stoppedEpoch: this.stoppedEpoch,
+      restoredBestWeights: Boolean(this.restoreBestWeights && this.stoppedEpoch),
+    };
+  }
+}
+
+// Set the learning rate at the start of each epoch from a schedule
+class LearningRateSchedule extends tf.Callback {
+  constructor(spec, totalEpochs) {
+    super();
+    this.spec = spec;
+    this.totalEpochs = totalEpochs;
+  }
+
+  async onTrainBegin() {
+    this.originalLearningRate = getLearningRate(this.model.optimizer);
+    this.initialLearningRate = this.spec.initialLearningRate !== undefined
+      ? this.spec.initialLearningRate
+      : getLearningRate(this.model.optimizer);
+  }
+
+  learningRateAt(epoch) {
+    const { schedule, factor = 0.5, stepSize = 10, decayRate = 0.96, decayEpochs = 1, minLearningRate = 0 } = this.spec;
+    const initial = this.initialLearningRate;
+
+    if (schedule === "step") {
+      return initial * Math.pow(factor, Math.floor(epoch / stepSize));
+    }
+    if (schedule === "exponential") {
+      return initial * Math.pow(decayRate, epoch / decayEpochs);
+    }
+
+    // Cosine annealing from the initial rate down to minLearningRate
+    const period = this.spec.periodEpochs || this.totalEpochs;
+    const progress = (epoch % period) / period;
+    return minLearningRate + (initial - minLearningRate) * (1 + Math.cos(Math.PI * progress)) / 2;
+  }
+
+  async onEpochBegin(epoch) {
+    this.currentLearningRate = this.learningRateAt(epoch);
+    setLearningRate(this.model.optimizer, this.currentLearningRate);
+  }
+
+  async onEpochEnd(epoch, logs) {
+    logs.lr = this.currentLearningRate;
+  }
+
+  // Leave the optimizer as it was so the next fit starts from the same rate
+  async onTrainEnd() {
+    setLearningRate(this.model.optimizer, this.originalLearningRate);
+  }
+
+  summary() {
+    return {
+      type: "learningRateSchedule",
+      schedule: this.spec.schedule,
+      initialLearningRate: this.initialLearningRate,
+      finalLearningRate: this.currentLearningRate,
+    };
+  }
+}
+
+// Reduce the learning rate when the monitored metric plateaus
+class ReduceLROnPlateau extends tf.Callback {
+  constructor(spec) {
+    super();
+    this.metric = new MetricMonitor({ minDelta: 1e-4, ...spec });
+    this.factor = spec.factor !== undefined ? spec.factor : 0.1;
+    this.patience = spec.patience !== undefined ? spec.patience : 10;
+    this.cooldown = spec.cooldown || 0;
+    this.minLearningRate = spec.minLearningRate || 0;
+  }
+
+  async onTrainBegin() {
+    this.wait = 0;
+    this.cooldownCounter = 0;
+    this.reductions = [];
+    this.originalLearningRate = getLearningRate(this.model.optimizer);
+  }
+
+  async onTrainEnd() {
+    setLearningRate(this.model.optimizer, this.originalLearningRate);
+  }
+
+  async onEpochEnd(epoch, logs) {
+    const value = await this.metric.read(logs);
+    logs.lr = getLearningRate(this.model.optimizer);
+
+    if (this.cooldownCounter > 0) {
+      this.cooldownCounter--;
+      this.wait = 0;
+    }
+
+    if (this.metric.isImprovement(value)) {
+      this.metric.best = value;
+      this.wait = 0;
+      return;
+    }
+
+    if (this.cooldownCounter > 0) {
+      return;
+    }
+
+    this.wait++;
+    if (this.wait >= this.patience) {
+      const current = getLearningRate(this.model.optimizer);
+      const reduced = Math.max(current * this.factor, this.minLearningRate);
+      if (reduced < current) {
+        setLearningRate(this.model.optimizer, reduced);
+        this.reductions.push({ epoch: epoch + 1, learningRate: reduced });
+        console.log(`Epoch ${epoch + 1}: reducing learning rate to ${reduced}`);
+      }
+      this.cooldownCounter = this.cooldown;
+      this.wait = 0;
+    }
+  }
+
+  summary() {
+    return {
+      type: "reduceLROnPlateau",
+      monitor: this.metric.monitor,
+      reductions: this.reductions,
+    };
+  }
+}
+
+// Save the model whenever the monitored metric reaches a new best
+class ModelCheckpoint extends tf.Callback {
+  constructor(spec, checkpointPath) {
+    super();
+    this.metric = new MetricMonitor(spec);
+    this.checkpointPath = checkpointPath;
+  }
+
+  async onTrainBegin() {
+    this.bestEpoch = null;
+  }
+
+  async onEpochEnd(epoch, logs) {
+    const value = await this.metric.read(logs);
+    if (!this.metric.isImprovement(value)) {
+      return;
+    }
+
+    this.metric.best = value;
+    this.bestEpoch = epoch + 1;
+    await this.model.save(this.checkpointPath, {
+      metadata: {
+        checkpointEpoch: epoch + 1,
+        monitor: this.metric.monitor,
+        value,
+        date: new Date().toISOString(),
+      },
+    });
+    console.log(`Epoch ${epoch + 1}: checkpoint saved (${this.metric.monitor} = ${value})`);
+  }
+
+  summary() {
+    return {
+      type: "modelCheckpoint",
+      monitor: this.metric.monitor,
+      bestEpoch: this.bestEpoch,
+      bestValue: Number.isFinite(this.metric.best) ? this.metric.best : null,
+      path: this.bestEpoch ? this.checkpointPath : null,
+    };
+  }
+}
+
+/**
+ * Translate declarative callback definitions into tfjs callbacks
+ * @param {Array<Object>} specs - Callback definitions from hyperparameters.callbacks
+ * @param {Object} options - { epochs, checkpointPath }
+ * @returns {Array<tf.Callback>} Callbacks exposing a summary() of what they did
+ */
+export const buildTrainingCallbacks = (specs = [], { epochs, checkpointPath } = {}) => {
+  validateCallbackSpecs(specs);
+
+  return (specs || []).map((spec) => {
+    switch (spec.type) {
+      case "earlyStopping":
+        return new EarlyStopping(spec);
+      case "learningRateSchedule":
+        return new LearningRateSchedule(spec, epochs);
+      case "reduceLROnPlateau":
+        return new ReduceLROnPlateau(spec);
+      case "modelCheckpoint":
+        return new ModelCheckpoint(spec, checkpointPath);
+      default:
+        throw new ApiError(400, `Unknown callback type: ${spec.type}`);
+    }
+  });
+};
@@ -0,0 +1,278 @@
+import aiService from "./aiService.js";
+import jobService from "./jobService.js";
+import AIModel from "../models/aiModel.js";
+import { captureTrainingStatistics } from "./driftService.js";
+
+// Minimum delay between two batch-level progress events
+const BATCH_EVENT_INTERVAL_MS = 250;
+
+// Keep only numeric metrics from tfjs logs (batch logs also carry batch/size)
+const pickMetrics = (logs = {}) =>
+  Object.fromEntries(
+    Object.entries(logs).filter(
+      ([key, value]) => typeof value === "number" && key !== "batch" && key !== "size"
+    )
+  );
+
+// Estimate remaining time from the average duration of completed steps
+const estimateRemaining = (elapsedMs, stepsDone, totalSteps) => {
+  if (stepsDone <= 0) {
+    return null;
+  }
+  return Math.max(0, Math.round((elapsedMs / stepsDone) * (totalSteps - stepsDone)));
+};
+
+// Number of samples in training data, which is keyed by input name for multi-input models
+const countSamples = (trainData) => {
+  const first = Array.isArray(trainData) ? trainData : Object.values(trainData)[0];
+  return Array.isArray(first) ? first.length : 0;
+};
+
+/**
+ * Train a transfer model through its fine-tuning phases. Each phase unfreezes
+ * its share of the base, recompiles with its learning rate and continues the
+ * epoch count of the phase before it
+ * @param {Object} aiModel - AIModel document of the transfer clone
+ * @param {Object} payload - In-memory training data ({ trainData, labels })
+ * @param {Array<Object>} phases - Fine-tuning phases recorded on the model
+ * @param {Object} options - Training options shared by all phases
+ * @param {Object} context - Cancellation context provided by the job service
+ * @returns {Promise<Object>} Training history of all phases, with a summary per phase
+ */
+const runFineTuningPhases = async (aiModel, payload, phases, options, context) => {
+  const combined = { epoch: [], history: {}, callbacks: [], optimizer: null, phases: [] };
+  let initialEpoch = 0;
+
+  for (const [index, phase] of phases.entries()) {
+    if (context.cancelled) {
+      break;
+    }
+
+    const { unfrozenLayers, learningRate } = await aiService.applyFineTuningPhase(aiModel, phase);
+    context.publish("phase", {
+      phase: index + 1,
+      totalPhases: phases.length,
+      epochs: phase.epochs,
+      learningRate,
+      unfrozenLayers,
+    });
+
+    const result = await aiService.trainModel(aiModel, payload.trainData, payload.labels, {
+      ...options,
+      epochs: initialEpoch + phase.epochs,
+      initialEpoch,
+    });
+
+    combined.epoch.push(...result.epoch);
+    Object.entries(result.history).forEach(([metric, values]) => {
+      combined.history[metric] = [...(combined.history[metric] || []), ...values];
+    });
+    combined.callbacks.push(...result.callbacks);
+    combined.optimizer = result.optimizer;
+    // A phase stopped during its first epoch has no loss yet
+    const losses = result.history.loss || [];
+    combined.phases.push({
+      phase: index + 1,
+      epochs: result.epoch.length,
+      learningRate,
+      unfrozenLayers,
+      loss: losses[losses.length - 1],
+    });
+
+    initialEpoch += phase.epochs;
+  }
+
+  return combined;
+};
+
+/**
+ * Run a queued training job
+ * @param {Object} job - Job document
+ * @param {Object} payload - In-memory training data ({ trainData, labels })
+ * @param {Object} context - Cancellation context provided by the job service
+ * @returns {Promise<Object>} Final training metrics
+ */
+const runTrainingJob = async (job, payload, context) => {
+  const aiModel = await AIModel.findById(job.modelId);
+  if (!aiModel) {
+    throw new Error("Model not found");
+  }
+
+  const { trainData, labels } = payload;
+  const { epochs, batchSize, validationSplit } = job.params;
+
+  // Stop fit as soon as a cancellation arrives
+  context.onCancel = () => aiService.stopTraining(aiModel._id);
+
+  // Batch events are throttled; epoch events are always sent and persisted
+  const batchesPerEpoch = Math.ceil(
+    Math.floor(countSamples(trainData) * (1 - validationSplit)) / batchSize
+  );
+  let startTime = Date.now();
+  let epochStartTime = startTime;
+  let lastBatchEvent = 0;
+
+  const progressCallback = {
+    onTrainBegin: async () => {
+      startTime = Date.now();
+    },
+    onEpochBegin: async () => {
+      epochStartTime = Date.now();
+    },
+    onBatchEnd: async (batch, logs) => {
+      // fit resets the stop flag when it starts, so re-apply it
+      if (context.cancelled) {
+        aiService.stopTraining(aiModel._id);
+      }
+
+      const now = Date.now();
+      if (now - lastBatchEvent < BATCH_EVENT_INTERVAL_MS) {
+        return;
+      }
+      lastBatchEvent = now;
+
+      const epoch = job.progress.epoch;
+      const batchesDone = epoch * batchesPerEpoch + batch + 1;
+      const elapsedMs = now - startTime;
+      context.publish("batch", {
+        epoch: epoch + 1,
+        totalEpochs: epochs,
+        batch: batch + 1,
+        batchesPerEpoch,
+        logs: pickMetrics(logs),
+        elapsedMs,
+        etaMs: estimateRemaining(elapsedMs, batchesDone, epochs * batchesPerEpoch),
+      });
+    },
+    onEpochEnd: async (epoch, logs) => {
+      const now = Date.now();
+      const elapsedMs = now - startTime;
+      const timing = {
+        elapsedMs,
+        etaMs: estimateRemaining(elapsedMs, epoch + 1, epochs),
+      };
+      const metrics = pickMetrics(logs);
+
+      await job.recordEpoch(epoch, metrics, timing);
+      context.publish("epoch", {
+        epoch: epoch + 1,
+        totalEpochs: epochs,
+        logs: metrics,
+        epochMs: now - epochStartTime,
+        ...timing,
+      });
+    },
+  };
+
+  const trainOptions = { epochs, batchSize, validationSplit, callbacks: [progressCallback] };
+  const result = job.params.fineTuning
+    ? await runFineTuningPhases(aiModel, payload, job.params.fineTuning, trainOptions, context)
+    : await aiService.trainModel(aiModel, trainData, labels, trainOptions);
+
+  // Cancelled before a single epoch finished (e.g. before the first fine-tuning phase)
+  if (context.cancelled && result.epoch.length === 0) {
+    return { epochs: 0, phases: result.phases };
+  }
+
+  const lastEpoch = result.epoch.length - 1;
+  const summary = {
+    epochs: result.epoch.length,
+    loss: result.history.loss[lastEpoch],
+    accuracy: result.history.acc ? result.history.acc[lastEpoch] : undefined,
+    optimizer: result.optimizer,
+  };
+
+  // Outcome of declarative callbacks (early stopping, LR changes, checkpoints)
+  if (result.callbacks.length > 0) {
+    summary.callbacks = result.callbacks;
+  }
+  if (result.phases) {
+    summary.phases = result.phases;
+  }
+
+  if (context.cancelled) {
+    return summary;
+  }
+
+  // Update model in database
+  aiModel.status = "trained";
+  aiModel.trainingHistory = {
+    lastTrained: new Date(),
+    ...summary,
+  };
+
+  // Record exactly which dataset and column mapping produced these weights
+  if (job.params.dataset) {
+    aiModel.trainingDataset = {
+      ...job.params.dataset,
+      trainedAt: new Date(),
+      jobId: job._id,
+    };
+    aiModel.markModified("trainingDataset");
+
+    // Class names from the label column become the model's label vocabulary
+    const { labelEncoding } = job.params.dataset;
+    if (labelEncoding && Array.isArray(labelEncoding.classes)) {
+      aiModel.classLabels = labelEncoding.classes;
+      aiModel.markModified("classLabels");
+    }
+  }
+  await aiModel.save();
+
+  // Reference statistics for input drift monitoring; training succeeded either way
+  try {
+    await captureTrainingStatistics(aiModel, trainData, {
+      featureNames: job.params.dataset ? job.params.dataset.featureColumns : null,
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error(`Error capturing training statistics of model ${aiModel._id}:`, error);
+  }
+
+  return summary;
+};
+
+jobService.registerHandler("training", runTrainingJob);
+
+/**
+ * Queue a training job for a model
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} userId - ID of the user submitting the job
+ * @param {Object} data - Training data ({ trainData, labels })
+ * @param {Object} options - Training options (epochs, batchSize, validationSplit, dataset);
+ *   epochs come from the fine-tuning schedule for transfer clones that have one
+ * @returns {Promise<Object>} Created job document
+ */
+export const submitTrainingJob = (aiModel, userId, data, options = {}) => {
+  // Fall back to the model's own settings (e.g. promoted from a tuning job)
+  const hp = aiModel.hyperparameters || {};
+  const params = {
+    epochs: options.epochs || hp.epochs || 10,
+    batchSize: options.batchSize || hp.batchSize || 32,
+    validationSplit: options.validationSplit !== undefined ? options.validationSplit : 0.2,
+  };
+
+  // Transfer clones train through their fine-tuning schedule
+  const transfer = aiModel.transferLearning || {};
+  const phases = transfer.fineTuning ? transfer.fineTuning.phases : null;
+  if (phases && phases.length > 0) {
+    params.fineTuning = phases;
+    params.epochs = phases.reduce((sum, phase) => sum + phase.epochs, 0);
+  }
+
+  // Dataset source and column mapping, when training from a stored dataset
+  if (options.dataset) {
+    params.dataset = options.dataset;
+  }
+
+  return jobService.submit(
+    {
+      type: "training",
+      modelId: aiModel._id,
+      userId,
+      params,
+      totalEpochs: params.epochs,
+    },
+    data
+  );
+};
@@ -0,0 +1,75 @@
+import { ApiError } from "../utils/errors.js";
+
+/**
+ * Names of the transferred layers a fine-tuning phase trains. unfreeze counts
+ * layers back from the cut (0 keeps the whole base frozen), names the lowest
+ * layer to train, or is "all"
+ * @param {number|string} unfreeze - Phase unfreeze setting
+ * @param {Array<string>} layerNames - Transferred layers, from input to cut
+ * @returns {Array<string>} Layers that are trainable during the phase
+ */
+export const unfrozenLayerNames = (unfreeze, layerNames) => {
+  if (unfreeze === undefined || unfreeze === null || unfreeze === 0) {
+    return [];
+  }
+  if (unfreeze === "all") {
+    return [...layerNames];
+  }
+  if (typeof unfreeze === "number") {
+    return layerNames.slice(Math.max(0, layerNames.length - unfreeze));
+  }
+  return layerNames.slice(layerNames.indexOf(unfreeze));
+};
+
+/**
+ * Check a fine-tuning schedule. Each phase trains for its epochs with its own
+ * learning rate, and a later phase may only unfreeze more of the base
+ * @param {Array<Object>} phases - Phases ({ epochs, learningRate, unfreeze })
+ * @param {Array<string>} layerNames - Transferred layers, from input to cut
+ * @returns {Array<Object>} Phases with unfreeze resolved to layer counts
+ * @throws {ApiError} 400 if a phase is invalid
+ */
+export const validateFineTuningPhases = (phases, layerNames) => {
+  if (!Array.isArray(phases) || phases.length === 0) {
+    throw new ApiError(400, "fineTuning.phases must be a non-empty array");
+  }
+
+  let previous = 0;
+  return phases.map((phase, index) => {
+    const where = `fineTuning.phases[${index}]`;
+    if (!phase || typeof phase !== "object") {
+      throw new ApiError(400, `${where} must be an object`);
+    }
+    if (!Number.isInteger(phase.epochs) || phase.epochs < 1) {
+      throw new ApiError(400, `${where}: epochs must be a positive integer`);
+    }
+    if (
+      phase.learningRate !== undefined &&
+      (typeof phase.learningRate !== "number" || !(phase.learningRate > 0) || !Number.isFinite(phase.learningRate))
+    ) {
+      throw new ApiError(400, `${where}: learningRate must be a positive number`);
+    }
+
+    const { unfreeze } = phase;
+    const validCount = Number.isInteger(unfreeze) && unfreeze >= 0;
+    const validName = typeof unfreeze === "string" && (unfreeze === "all" || layerNames.includes(unfreeze));
+    if (unfreeze !== undefined && !validCount && !validName) {
+      throw new ApiError(
+        400,
+        `${where}: unfreeze must be a layer count, "all" or one of the transferred layers: ${layerNames.join(", ")}`
+      );
+    }
+
+    const unfrozen = unfrozenLayerNames(unfreeze, layerNames).length;
+    if (unfrozen < previous) {
+      throw new ApiError(400, `${where} unfreezes fewer layers than the phase before it`);
+    }
+    previous = unfrozen;
+
+    return {
+      epochs: phase.epochs,
+      learningRate: phase.learningRate !== undefined ? phase.learningRate : null,
+      unfreeze: unfreeze !== undefined ? unfreeze : 0,
+    };
+  });
+};
@@ -0,0 +1,475 @@
+import * as tf from "@tensorflow/tfjs";
+import aiService, { toTensors } from "./aiService.js";
+import jobService from "./jobService.js";
+import AIModel from "../models/aiModel.js";
+import { buildModelFromArchitecture, validateArchitecture } from "./architectureBuilder.js";
+import { buildTrainingCallbacks } from "./trainingCallbacks.js";
+import { LAYER_CATALOG } from "./layerCatalog.js";
+import { createOptimizer, disposeOptimizer, resolveOptimizerConfig } from "./optimizers.js";
+import { ApiError } from "../utils/errors.js";
+import { createRandom } from "../utils/random.js";
+import {
+  SEARCH_STRATEGIES,
+  parseSearchSpace,
+  gridConfigurations,
+  gridSize,
+  sampleConfiguration,
+  suggestTpe,
+} from "../utils/hyperparameterSearch.js";
+
+// Upper bound on the number of trials of a single tuning job
+const MAX_TRIALS = parseInt(process.env.MAX_TUNING_TRIALS) || 100;
+
+// Hyperparameters that change how a trial is trained rather than the layers
+const TRAINING_PARAMS = ["learningRate", "batchSize", "optimizer", "epochs"];
+
+// Layer options that can be searched, as layers.<index or name>.<option>
+const LAYER_PARAMS = ["units", "rate"];
+
+// Convert mongoose subdocuments into plain objects
+const toPlain = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+// Metrics where a higher value is better
+const MAXIMIZED_METRICS = /acc|auc|precision|recall|r2/i;
+
+// Find the architecture layer a layers.<ref>.<option> parameter points at
+const findLayer = (layers, ref) =>
+  /^\d+$/.test(ref) ? layers[Number(ref)] : layers.find((layer) => layer.name === ref);
+
+// Check that every value a dimension can take is valid for its hyperparameter
+const checkDimension = (dimension, layers) => {
+  const values = dimension.kind === "categorical" ? dimension.values : [dimension.min, dimension.max];
+  const fail = (expected) => {
+    throw new ApiError(400, `searchSpace.${dimension.name}: values must be ${expected}`);
+  };
+
+  if (dimension.name === "optimizer") {
+    if (dimension.kind !== "categorical") {
+      fail("a list of optimizer names or configurations");
+    }
+    values.forEach((value) => {
+      try {
+        resolveOptimizerConfig(value);
+      } catch (error) {
+        throw new ApiError(400, `searchSpace.optimizer: ${error.message}`);
+      }
+    });
+    return;
+  }
+  if (dimension.name === "learningRate") {
+    if (!values.every((value) => typeof value === "number" && value > 0)) {
+      fail("positive numbers");
+    }
+    return;
+  }
+  if (dimension.name === "batchSize" || dimension.name === "epochs") {
+    if ((dimension.kind === "range" && !dimension.integer) ||
+      !values.every((value) => Number.isInteger(value) && value > 0)) {
+      fail("positive integers (use type: int for ranges)");
+    }
+    return;
+  }
+
+  const [, ref, option] = dimension.name.split(".");
+  const layer = findLayer(layers, ref);
+  if (!layer) {
+    throw new ApiError(400, `searchSpace.${dimension.name}: no layer ${ref} in the model architecture`);
+  }
+  const spec = LAYER_CATALOG[layer.type];
+  if (!spec || !spec.options[option]) {
+    throw new ApiError(400, `searchSpace.${dimension.name}: ${layer.type} layers have no ${option} option`);
+  }
+  if (option === "units" && !values.every((value) => Number.isInteger(value) && value > 0)) {
+    fail("positive integers (use type: int for ranges)");
+  }
+  if (option === "rate" && !values.every((value) => typeof value === "number" && value >= 0 && value < 1)) {
+    fail("numbers from 0 (inclusive) to 1 (exclusive)");
+  }
+};
+
+/**
+ * Validate a tuning request against the model it will tune
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} options - { strategy, searchSpace, maxTrials, metric, mode, seed, validationSplit }
+ * @returns {Object} Normalized job parameters
+ */
+export const validateTuningRequest = (aiModel, options = {}) => {
+  const {
+    strategy = "random",
+    searchSpace,
+    maxTrials = 10,
+    metric = "val_loss",
+    mode = "auto",
+    seed,
+    validationSplit = 0.2,
+  } = options;
+
+  const architecture = aiModel.architecture && aiModel.architecture.layers && aiModel.architecture.layers.length
+    ? aiModel.architecture
+    : null;
+  if (!architecture) {
+    throw new ApiError(400, "Tuning needs a model with a stored architecture");
+  }
+
+  if (!SEARCH_STRATEGIES.includes(strategy)) {
+    throw new ApiError(400, `strategy must be one of ${SEARCH_STRATEGIES.join(", ")}`);
+  }
+  if (!Number.isInteger(maxTrials) || maxTrials < 1 || maxTrials > MAX_TRIALS) {
+    throw new ApiError(400, `maxTrials must be an integer from 1 to ${MAX_TRIALS}`);
+  }
+  if (!["auto", "min", "max"].includes(mode)) {
+    throw new ApiError(400, "mode must be one of auto, min, max");
+  }
+  if (typeof validationSplit !== "number" || validationSplit <= 0 || validationSplit >= 1) {
+    throw new ApiError(400, "validationSplit must be between 0 and 1");
+  }
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    throw new ApiError(400, "seed must be an integer");
+  }
+
+  const dimensions = parseSearchSpace(searchSpace);
+  dimensions.forEach((dimension) => {
+    const isLayerParam = /^layers\.[^.]+\.[^.]+$/.test(dimension.name) &&
+      LAYER_PARAMS.includes(dimension.name.split(".")[2]);
+    if (!TRAINING_PARAMS.includes(dimension.name) && !isLayerParam) {
+      throw new ApiError(
+        400,
+        `Unknown hyperparameter "${dimension.name}". Searchable: ${TRAINING_PARAMS.join(", ")}, layers.<index or name>.units, layers.<index or name>.rate`
+      );
+    }
+    checkDimension(dimension, architecture.layers);
+  });
+
+  if (strategy === "grid") {
+    const size = gridSize(dimensions);
+    if (size > maxTrials) {
+      throw new ApiError(400, `The grid has ${size} configurations but maxTrials is ${maxTrials}`);
+    }
+  }
+
+  return {
+    strategy,
+    searchSpace,
+    maxTrials,
+    metric,
+    mode: mode === "auto" ? (MAXIMIZED_METRICS.test(metric) ? "max" : "min") : mode,
+    seed,
+    validationSplit,
+  };
+};
+
+/**
+ * Apply a trial's hyperparameters to a model's architecture and hyperparameters
+ * @param {Object} architecture - Model architecture ({ layers, inputShape, outputShape })
+ * @param {Object} hyperparameters - Model hyperparameters
+ * @param {Object} params - Trial hyperparameters
+ * @returns {Object} { architecture, hyperparameters, layersChanged }
+ */
+export const applyTrialParams = (architecture, hyperparameters = {}, params = {}) => {
+  const layers = JSON.parse(JSON.stringify(architecture.layers));
+  const tuned = { ...hyperparameters };
+  let layersChanged = false;
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (TRAINING_PARAMS.includes(name)) {
+      tuned[name] = value;
+      return;
+    }
+    const [, ref, option] = name.split(".");
+    const layer = findLayer(layers, ref);
+    layer.config = { ...layer.config, [option]: value };
+    layersChanged = true;
+  });
+
+  // A searched learning rate replaces the one set inside an optimizer configuration
+  if (params.learningRate !== undefined && tuned.optimizer && typeof tuned.optimizer === "object" &&
+    tuned.optimizer.learningRate !== undefined) {
+    const { learningRate, ...optimizer } = tuned.optimizer;
+    tuned.optimizer = optimizer;
+  }
+
+  return {
+    architecture: { ...architecture, layers },
+    hyperparameters: tuned,
+    layersChanged,
+  };
+};
+
+// Name tfjs uses in training logs for a metric (accuracy is logged as acc)
+const resolveMetricKey = (history, metric) => {
+  if (history[metric]) {
+    return metric;
+  }
+  const alias = metric.replace("accuracy", "acc");
+  if (history[alias]) {
+    return alias;
+  }
+  throw new Error(`Metric "${metric}" was not reported. Available: ${Object.keys(history).join(", ")}`);
+};
+
+// Train a fresh copy of the architecture with one configuration and score it
+const runTrial = async (trialSetup, data, job, context) => {
+  const { architecture, hyperparameters: hp } = trialSetup;
+  const { metric, mode, validationSplit } = job.params;
+  const epochs = hp.epochs || 10;
+  const batchSize = hp.batchSize || 32;
+
+  const model = buildModelFromArchitecture(architecture);
+  let xs;
+  let ys;
+
+  try {
+    model.compile({
+      optimizer: createOptimizer(hp.optimizer || "adam", hp.learningRate),
+      loss: hp.lossFunction || "categoricalCrossentropy",
+      metrics: hp.metrics || ["accuracy"],
+    });
+
+    xs = toTensors(data.trainData, model.inputNames);
+    ys = toTensors(data.labels, model.outputNames);
+
+    // Checkpoints would overwrite the model's own; trials only keep the other callbacks
+    const callbacks = buildTrainingCallbacks(
+      (hp.callbacks || []).filter((callback) => callback.type !== "modelCheckpoint"),
+      { epochs }
+    );
+    callbacks.push(new tf.CustomCallback({
+      onBatchEnd: async () => {
+        if (context.cancelled) {
+          model.stopTraining = true;
+        }
+      },
+    }));
+
+    const result = await model.fit(xs, ys, { epochs, batchSize, validationSplit, callbacks });
+
+    const key = resolveMetricKey(result.history, metric);
+    const series = result.history[key];
+    let bestIndex = 0;
+    series.forEach((value, index) => {
+      if (mode === "max" ? value > series[bestIndex] : value < series[bestIndex]) {
+        bestIndex = index;
+      }
+    });
+    if (!Number.isFinite(series[bestIndex])) {
+      throw new Error(`Metric "${metric}" is not finite (training diverged)`);
+    }
+
+    const lastIndex = result.epoch.length - 1;
+    return {
+      score: series[bestIndex],
+      bestEpoch: bestIndex + 1,
+      epochs: result.epoch.length,
+      metrics: Object.fromEntries(
+        Object.entries(result.history).map(([name, values]) => [name, values[lastIndex]])
+      ),
+    };
+  } finally {
+    tf.dispose([xs, ys]);
+    disposeOptimizer(model.optimizer);
+    model.dispose();
+  }
+};
+
+/**
+ * Run a queued tuning job: train one fresh model per trial and record its score
+ * @param {Object} job - Job document
+ * @param {Object} payload - In-memory training data ({ trainData, labels })
+ * @param {Object} context - Cancellation state and event publisher
+ * @returns {Promise<Object>} Best trial summary
+ */
+const runTuningJob = async (job, payload, context) => {
+  const aiModel = await AIModel.findById(job.modelId);
+  if (!aiModel) {
+    throw new Error("Model not found");
+  }
+
+  const { strategy, searchSpace, maxTrials, metric, mode, seed } = job.params;
+  const architecture = toPlain(aiModel.architecture);
+  const hyperparameters = toPlain(aiModel.hyperparameters) || {};
+  validateArchitecture(architecture);
+
+  const dimensions = parseSearchSpace(searchSpace);
+  const random = createRandom(seed);
+  const grid = strategy === "grid" ? gridConfigurations(dimensions) : null;
+  const totalTrials = grid ? grid.length : maxTrials;
+  // Bayesian search starts with random trials to seed its density estimates
+  const startupTrials = Math.max(2, Math.min(5, Math.floor(totalTrials / 2)));
+
+  job.progress.totalTrials = totalTrials;
+  await job.save();
+
+  // Completed trials as the TPE search sees them: lower loss is better
+  const history = [];
+
+  for (let number = 1; number <= totalTrials && !context.cancelled; number++) {
+    let params;
+    if (grid) {
+      params = grid[number - 1];
+    } else if (strategy === "bayesian" && history.length >= startupTrials) {
+      params = suggestTpe(dimensions, history, random);
+    } else {
+      params = sampleConfiguration(dimensions, random);
+    }
+
+    context.publish("trial", { trial: number, totalTrials, status: "running", params });
+    const startedAt = Date.now();
+    let trial;
+
+    try {
+      const outcome = await runTrial(applyTrialParams(architecture, hyperparameters, params), payload, job, context);
+      trial = { number, params, status: "succeeded", ...outcome };
+      history.push({ params, loss: mode === "max" ? -outcome.score : outcome.score });
+    } catch (error) {
+      console.error(`Tuning trial ${number} of job ${job._id} failed:`, error.message);
+      trial = { number, params, status: "failed", error: error.message };
+    }
+
+    if (context.cancelled) {
+      trial.status = "cancelled";
+    }
+    trial.durationMs = Date.now() - startedAt;
+
+    await job.recordTrial(trial);
+    context.publish("trial", { trial: number, totalTrials, ...trial });
+  }
+
+  const best = bestTrial(job);
+  if (!best && !context.cancelled) {
+    throw new Error("Every tuning trial failed");
+  }
+
+  return {
+    strategy,
+    metric,
+    mode,
+    completedTrials: job.trials.filter((trial) => trial.status === "succeeded").length,
+    bestTrial: best ? best.number : null,
+    bestScore: best ? best.score : null,
+    bestParams: best ? best.params : null,
+  };
+};
+
+jobService.registerHandler("tuning", runTuningJob);
+
+/**
+ * Best succeeded trial of a tuning job
+ * @param {Object} job - Tuning job document
+ * @returns {Object|null} Trial, or null if none succeeded
+ */
+export const bestTrial = (job) =>
+  job.trials
+    .filter((trial) => trial.status === "succeeded")
+    .reduce((best, trial) => {
+      if (!best) {
+        return trial;
+      }
+      const better = job.params.mode === "max" ? trial.score > best.score : trial.score < best.score;
+      return better ? trial : best;
+    }, null);
+
+/**
+ * Queue a hyperparameter tuning job for a model
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} userId - ID of the user submitting the job
+ * @param {Object} data - Training data ({ trainData, labels })
+ * @param {Object} options - Tuning options (see validateTuningRequest) and dataset
+ * @returns {Promise<Object>} Created job document
+ */
+export const submitTuningJob = (aiModel, userId, data, options = {}) => {
+  const params = validateTuningRequest(aiModel, options);
+
+  // Dataset source and column mapping, when tuning on a stored dataset
+  if (options.dataset) {
+    params.dataset = options.dataset;
+  }
+
+  return jobService.submit(
+    {
+      type: "tuning",
+      modelId: aiModel._id,
+      userId,
+      params,
+    },
+    data
+  );
+};
+
+/**
+ * Copy the configuration of a tuning trial onto the model
+ * @param {Object} aiModel - AIModel document
+ * @param {Object} job - Finished tuning job document
+ * @param {number} trialNumber - Trial to promote; the best trial by default
+ * @returns {Promise<Object>} { trial, hyperparameters, architectureChanged }
+ */
+export const promoteTuningTrial = async (aiModel, job, trialNumber) => {
+  if (job.type !== "tuning") {
+    throw new ApiError(400, "Only tuning jobs have trials to promote");
+  }
+  if (!job.isFinished()) {
+    throw new ApiError(409, "The tuning job is still running");
+  }
+
+  const trial = trialNumber !== undefined && trialNumber !== null
+    ? job.trials.find((t) => t.number === Number(trialNumber))
+    : bestTrial(job);
+  if (!trial) {
+    throw new ApiError(404, trialNumber ? `Trial ${trialNumber} not found` : "The job has no successful trial");
+  }
+  if (trial.status !== "succeeded") {
+    throw new ApiError(400, `Trial ${trial.number} did not succeed`);
+  }
+
+  // The in-memory model is rebuilt or recompiled below
+  aiService.assertIdle(aiModel._id);
+
+  const architecture = toPlain(aiModel.architecture);
+  const current = toPlain(aiModel.hyperparameters) || {};
+  const applied = applyTrialParams(architecture, current, trial.params);
+
+  const changedHyperparameters = Object.fromEntries(
+    TRAINING_PARAMS
+      .filter((name) => applied.hyperparameters[name] !== current[name])
+      .map((name) => [name, applied.hyperparameters[name]])
+  );
+
+  // Rebuild the in-memory model so serving uses the new layers, before anything is persisted
+  if (applied.layersChanged) {
+    const rebuilt = await aiService.loadModel(aiModel._id, null, {
+      architecture: applied.architecture,
+      hyperparameters: applied.hyperparameters,
+    });
+    if (!rebuilt) {
+      throw new Error(`Model ${aiModel._id} could not be rebuilt with the layers of trial ${trial.number}`);
+    }
+  }
+
+  if (Object.keys(changedHyperparameters).length > 0) {
+    await aiModel.updateHyperparameters(changedHyperparameters);
+  }
+
+  if (applied.layersChanged) {
+    const { layers, inputShape, outputShape } = applied.architecture;
+    await aiModel.updateArchitecture(layers, inputShape, outputShape);
+  } else if (aiService.isLoaded(aiModel._id)) {
+    await aiService.updateHyperparameters(aiModel, changedHyperparameters);
+  }
+
+  aiModel.tuning = {
+    jobId: job._id,
+    trial: trial.number,
+    params: trial.params,
+    metric: job.params.metric,
+    score: trial.score,
+    promotedAt: new Date(),
+  };
+  aiModel.markModified("tuning");
+  await aiModel.save();
+
+  return {
+    trial,
+    hyperparameters: applied.hyperparameters,
+    architectureChanged: applied.layersChanged,
+  };
+};
@@ -0,0 +1,143 @@
+// Number of PSI bins cut at training quantiles
+const PSI_BINS = 10;
+
+// Largest sorted reference sample kept per feature for the KS test
+const REFERENCE_SAMPLE_SIZE = 1000;
+
+// Floor for empty bins, so PSI stays finite
+const PSI_EPSILON = 1e-4;
+
+// Value at quantile q (0..1) of sorted values, interpolated between neighbours
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Index of the bin a value falls in: bins are (-inf, c1], (c1, c2], ..., (ck, inf)
+const binIndex = (value, cuts) => {
+  let index = 0;
+  while (index < cuts.length && value > cuts[index]) {
+    index++;
+  }
+  return index;
+};
+
+/**
+ * Share of values in each bin
+ * @param {Array<number>} values - Feature values
+ * @param {Array<number>} cuts - Bin cut points
+ * @returns {Array<number>} Proportions, one per bin
+ */
+export const binProportions = (values, cuts) => {
+  const counts = new Array(cuts.length + 1).fill(0);
+  values.forEach((value) => {
+    counts[binIndex(value, cuts)]++;
+  });
+  return counts.map((count) => (values.length ? count / values.length : 0));
+};
+
+/**
+ * Summary statistics of one feature: moments, range, quantile bin cuts with
+ * their proportions and a sorted reference sample for the KS test
+ * @param {Array<number>} values - Feature values
+ * @returns {Object} { count, mean, std, min, max, cuts, proportions, sample }
+ */
+export const describeFeature = (values) => {
+  const sorted = values.filter((value) => Number.isFinite(value)).sort((a, b) => a - b);
+  const count = sorted.length;
+  if (count === 0) {
+    return { count: 0, mean: null, std: null, min: null, max: null, cuts: [], proportions: [], sample: [] };
+  }
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+
+  // Repeated cut points (e.g. binary features) would make empty bins
+  const cuts = [
+    ...new Set(Array.from({ length: PSI_BINS - 1 }, (_, index) => quantile(sorted, (index + 1) / PSI_BINS))),
+  ];
+
+  const sampleSize = Math.min(count, REFERENCE_SAMPLE_SIZE);
+  const sample =
+    sampleSize === count
+      ? sorted
+      : Array.from({ length: sampleSize }, (_, index) => quantile(sorted, index / (sampleSize - 1)));
+
+  return {
+    count,
+    mean,
+    std: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[count - 1],
+    cuts,
+    proportions: binProportions(sorted, cuts),
+    sample,
+  };
+};
+
+/**
+ * Population stability index between the expected (training) and actual bin
+ * proportions. Below 0.1 is usually read as stable, above 0.2 as a shift.
+ * @param {Array<number>} expected - Training proportions
+ * @param {Array<number>} actual - Current proportions over the same bins
+ * @returns {number} PSI
+ */
+export const populationStabilityIndex = (expected, actual) =>
+  expected.reduce((sum, share, index) => {
+    const e = Math.max(share, PSI_EPSILON);
+    const a = Math.max(actual[index], PSI_EPSILON);
+    return sum + (a - e) * Math.log(a / e);
+  }, 0);
+
+// Kolmogorov distribution tail probability Q(lambda)
+const kolmogorovTail = (lambda) => {
+  if (lambda < 1e-3) {
+    return 1;
+  }
+  let sum = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = 2 * (j % 2 === 1 ? 1 : -1) * Math.exp(-2 * j * j * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) < 1e-10) {
+      break;
+    }
+  }
+  return Math.min(1, Math.max(0, sum));
+};
+
+/**
+ * Two-sample Kolmogorov-Smirnov test
+ * @param {Array<number>} reference - Sorted reference sample
+ * @param {Array<number>} values - Current values
+ * @returns {Object} { statistic, pValue }
+ */
+export const kolmogorovSmirnov = (reference, values) => {
+  const current = values.filter((value) => Number.isFinite(value)).sort((a, b) => a - b);
+  const n = reference.length;
+  const m = current.length;
+  if (n === 0 || m === 0) {
+    return { statistic: null, pValue: null };
+  }
+
+  // Walk both sorted samples and track the largest gap between their CDFs
+  let i = 0;
+  let j = 0;
+  let statistic = 0;
+  while (i < n && j < m) {
+    const value = Math.min(reference[i], current[j]);
+    while (i < n && reference[i] <= value) {
+      i++;
+    }
+    while (j < m && current[j] <= value) {
+      j++;
+    }
+    statistic = Math.max(statistic, Math.abs(i / n - j / m));
+  }
+
+  // Asymptotic p-value with the usual small-sample correction
+  const effective = Math.sqrt((n * m) / (n + m));
+  const pValue = kolmogorovTail((effective + 0.12 + 0.11 / effective) * statistic);
+  return { statistic, pValue };
+};
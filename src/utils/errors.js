@@ -0,0 +1,16 @@
+/**
+ * Error carrying the HTTP status a controller should respond with
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Message returned to the client
+   * @param {Object} details - Optional extra information for the client
+   */
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
@@ -0,0 +1,80 @@
+import { shuffle } from "./random.js";
+
+// Deal indices round-robin into k folds
+const dealIntoFolds = (indices, k, folds = Array.from({ length: k }, () => [])) => {
+  indices.forEach((index, position) => folds[position % k].push(index));
+  return folds;
+};
+
+/**
+ * Split sample indices into k folds of (almost) equal size
+ * @param {number} sampleCount - Number of samples
+ * @param {number} k - Number of folds
+ * @param {Object} options - { shuffle, random }
+ * @returns {Array<Array<number>>} Held-out indices of each fold
+ */
+export const kFoldIndices = (sampleCount, k, { shuffle: shuffled = true, random = Math.random } = {}) => {
+  const indices = Array.from({ length: sampleCount }, (_, i) => i);
+  if (shuffled) {
+    shuffle(indices, random);
+    return dealIntoFolds(indices, k);
+  }
+
+  // Without shuffling, folds are contiguous blocks in data order
+  const size = Math.floor(sampleCount / k);
+  const remainder = sampleCount % k;
+  const folds = [];
+  let start = 0;
+  for (let fold = 0; fold < k; fold++) {
+    const end = start + size + (fold < remainder ? 1 : 0);
+    folds.push(indices.slice(start, end));
+    start = end;
+  }
+  return folds;
+};
+
+/**
+ * Split sample indices into k folds that keep the class proportions of the data
+ * @param {Array<string|number>} classes - Class of each sample
+ * @param {number} k - Number of folds
+ * @param {Object} options - { shuffle, random }
+ * @returns {Array<Array<number>>} Held-out indices of each fold
+ */
+export const stratifiedKFoldIndices = (classes, k, { shuffle: shuffled = true, random = Math.random } = {}) => {
+  const byClass = new Map();
+  classes.forEach((value, index) => {
+    if (!byClass.has(value)) {
+      byClass.set(value, []);
+    }
+    byClass.get(value).push(index);
+  });
+
+  const folds = Array.from({ length: k }, () => []);
+  let offset = 0;
+  byClass.forEach((indices) => {
+    if (shuffled) {
+      shuffle(indices, random);
+    }
+    // Continue dealing where the previous class stopped so fold sizes stay balanced
+    const rotated = Array.from({ length: k }, (_, i) => folds[(i + offset) % k]);
+    dealIntoFolds(indices, k, rotated);
+    offset = (offset + indices.length) % k;
+  });
+
+  return folds.map((fold) => fold.sort((a, b) => a - b));
+};
+
+/**
+ * Pick rows from data that is either an array or an object of arrays keyed by input/output name
+ * @param {Array|Object} data - Samples
+ * @param {Array<number>} indices - Rows to pick
+ * @returns {Array|Object} Picked rows in the same form
+ */
+export const selectRows = (data, indices) => {
+  if (Array.isArray(data)) {
+    return indices.map((index) => data[index]);
+  }
+  return Object.fromEntries(
+    Object.entries(data).map(([name, rows]) => [name, indices.map((index) => rows[index])])
+  );
+};
@@ -0,0 +1,227 @@
+import { ApiError } from "./errors.js";
+import { randomNormal } from "./random.js";
+
+export const SEARCH_STRATEGIES = ["grid", "random", "bayesian"];
+
+// Share of the best trials the Bayesian (TPE) search treats as "good"
+const TPE_GAMMA = 0.25;
+
+// Candidates drawn from the good-trial density before picking the most promising one
+const TPE_CANDIDATES = 24;
+
+/**
+ * Normalize one search space entry.
+ * A list of values (or { values }) is categorical; { min, max } is a range with
+ * an optional scale (linear or log), type (float or int) and number of grid steps.
+ * @param {string} name - Hyperparameter name
+ * @param {Object|Array} spec - Search space entry
+ * @returns {Object} Dimension description
+ */
+const parseDimension = (name, spec) => {
+  const entry = Array.isArray(spec) ? { values: spec } : spec;
+
+  if (!entry || typeof entry !== "object") {
+    throw new ApiError(400, `searchSpace.${name} must be a list of values or a { min, max } range`);
+  }
+
+  if (entry.values !== undefined) {
+    if (!Array.isArray(entry.values) || entry.values.length === 0) {
+      throw new ApiError(400, `searchSpace.${name}.values must be a non-empty array`);
+    }
+    return { name, kind: "categorical", values: entry.values };
+  }
+
+  const { min, max, scale = "linear", type = "float", steps } = entry;
+  if (typeof min !== "number" || typeof max !== "number" || !(min < max)) {
+    throw new ApiError(400, `searchSpace.${name} needs numeric min and max with min < max`);
+  }
+  if (!["linear", "log"].includes(scale)) {
+    throw new ApiError(400, `searchSpace.${name}.scale must be linear or log`);
+  }
+  if (scale === "log" && min <= 0) {
+    throw new ApiError(400, `searchSpace.${name}: a log scale needs min > 0`);
+  }
+  if (!["float", "int"].includes(type)) {
+    throw new ApiError(400, `searchSpace.${name}.type must be float or int`);
+  }
+  if (steps !== undefined && (!Number.isInteger(steps) || steps < 2)) {
+    throw new ApiError(400, `searchSpace.${name}.steps must be an integer of at least 2`);
+  }
+
+  return { name, kind: "range", min, max, scale, integer: type === "int", steps };
+};
+
+/**
+ * Parse a search space into a list of dimensions
+ * @param {Object} searchSpace - Hyperparameter name to values or range
+ * @returns {Array<Object>} Dimensions
+ */
+export const parseSearchSpace = (searchSpace) => {
+  if (!searchSpace || typeof searchSpace !== "object" || Array.isArray(searchSpace) ||
+    Object.keys(searchSpace).length === 0) {
+    throw new ApiError(400, "searchSpace must be an object with at least one hyperparameter");
+  }
+  return Object.entries(searchSpace).map(([name, spec]) => parseDimension(name, spec));
+};
+
+// Ranges are searched in log space when their scale is log
+const toInternal = (dimension, value) =>
+  dimension.scale === "log" ? Math.log(value) : value;
+
+const fromInternal = (dimension, x) => {
+  const value = dimension.scale === "log" ? Math.exp(x) : x;
+  const clamped = Math.min(dimension.max, Math.max(dimension.min, value));
+  // Drop floating point noise from exp/log round trips
+  return dimension.integer ? Math.round(clamped) : Number(clamped.toPrecision(12));
+};
+
+// Grid points of a dimension
+const gridValues = (dimension) => {
+  if (dimension.kind === "categorical") {
+    return dimension.values;
+  }
+  if (!dimension.steps) {
+    throw new ApiError(400, `searchSpace.${dimension.name} needs values or steps for a grid search`);
+  }
+
+  const lo = toInternal(dimension, dimension.min);
+  const hi = toInternal(dimension, dimension.max);
+  const points = Array.from({ length: dimension.steps }, (_, i) =>
+    fromInternal(dimension, lo + ((hi - lo) * i) / (dimension.steps - 1))
+  );
+  return [...new Set(points)];
+};
+
+/**
+ * Every combination of the grid points of each dimension
+ * @param {Array<Object>} dimensions - Parsed search space
+ * @returns {Array<Object>} Hyperparameter configurations
+ */
+export const gridConfigurations = (dimensions) =>
+  dimensions.reduce(
+    (configurations, dimension) =>
+      configurations.flatMap((configuration) =>
+        gridValues(dimension).map((value) => ({ ...configuration, [dimension.name]: value }))
+      ),
+    [{}]
+  );
+
+/**
+ * Number of configurations a grid search would run
+ * @param {Array<Object>} dimensions - Parsed search space
+ * @returns {number} Grid size
+ */
+export const gridSize = (dimensions) =>
+  dimensions.reduce((total, dimension) => total * gridValues(dimension).length, 1);
+
+// Draw a value uniformly from a dimension
+const sampleUniform = (dimension, random) => {
+  if (dimension.kind === "categorical") {
+    return dimension.values[Math.floor(random() * dimension.values.length)];
+  }
+  const lo = toInternal(dimension, dimension.min);
+  const hi = toInternal(dimension, dimension.max);
+  return fromInternal(dimension, lo + random() * (hi - lo));
+};
+
+/**
+ * Draw a random configuration
+ * @param {Array<Object>} dimensions - Parsed search space
+ * @param {Function} random - Random number generator
+ * @returns {Object} Hyperparameter configuration
+ */
+export const sampleConfiguration = (dimensions, random) =>
+  Object.fromEntries(dimensions.map((dimension) => [dimension.name, sampleUniform(dimension, random)]));
+
+const normalDensity = (x, mean, std) =>
+  Math.exp(-0.5 * ((x - mean) / std) ** 2) / (std * Math.sqrt(2 * Math.PI));
+
+// Parzen estimator over a range: a Gaussian around each observation plus a uniform prior
+const rangeEstimator = (points, lo, hi) => {
+  const width = hi - lo;
+  const sigma = Math.max(width / (1 + points.length), width * 0.05);
+  return {
+    density: (x) =>
+      (1 / width + points.reduce((sum, p) => sum + normalDensity(x, p, sigma), 0)) / (points.length + 1),
+    sample: (random) => {
+      const component = Math.floor(random() * (points.length + 1));
+      if (component === points.length) {
+        return lo + random() * width;
+      }
+      return Math.min(hi, Math.max(lo, randomNormal(random, points[component], sigma)));
+    },
+  };
+};
+
+// Estimator over categories: observed counts smoothed with one pseudo-count each
+const categoricalEstimator = (values, observed) => {
+  const weights = values.map((value) => 1 + observed.filter((o) => o === value).length);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return {
+    density: (value) => weights[values.indexOf(value)] / total,
+    sample: (random) => {
+      let r = random() * total;
+      for (let i = 0; i < values.length; i++) {
+        r -= weights[i];
+        if (r < 0) {
+          return values[i];
+        }
+      }
+      return values[values.length - 1];
+    },
+  };
+};
+
+/**
+ * Suggest the next configuration with a Tree-structured Parzen Estimator.
+ * Completed trials are split into the best share and the rest; for each
+ * hyperparameter, candidates are drawn from the density of the good trials
+ * and the one with the highest good/bad density ratio is kept.
+ * @param {Array<Object>} dimensions - Parsed search space
+ * @param {Array<Object>} history - Completed trials ({ params, loss }), lower loss is better
+ * @param {Function} random - Random number generator
+ * @returns {Object} Hyperparameter configuration
+ */
+export const suggestTpe = (dimensions, history, random) => {
+  const sorted = [...history].sort((a, b) => a.loss - b.loss);
+  const goodCount = Math.max(1, Math.ceil(TPE_GAMMA * sorted.length));
+  const good = sorted.slice(0, goodCount);
+  const bad = sorted.slice(goodCount);
+
+  if (bad.length === 0) {
+    return sampleConfiguration(dimensions, random);
+  }
+
+  return Object.fromEntries(
+    dimensions.map((dimension) => {
+      let goodModel;
+      let badModel;
+      let toValue;
+
+      if (dimension.kind === "categorical") {
+        goodModel = categoricalEstimator(dimension.values, good.map((t) => t.params[dimension.name]));
+        badModel = categoricalEstimator(dimension.values, bad.map((t) => t.params[dimension.name]));
+        toValue = (candidate) => candidate;
+      } else {
+        const lo = toInternal(dimension, dimension.min);
+        const hi = toInternal(dimension, dimension.max);
+        goodModel = rangeEstimator(good.map((t) => toInternal(dimension, t.params[dimension.name])), lo, hi);
+        badModel = rangeEstimator(bad.map((t) => toInternal(dimension, t.params[dimension.name])), lo, hi);
+        toValue = (candidate) => fromInternal(dimension, candidate);
+      }
+
+      let best = null;
+      let bestRatio = -Infinity;
+      for (let i = 0; i < TPE_CANDIDATES; i++) {
+        const candidate = goodModel.sample(random);
+        const ratio = goodModel.density(candidate) / badModel.density(candidate);
+        if (ratio > bestRatio) {
+          bestRatio = ratio;
+          best = candidate;
+        }
+      }
+
+      return [dimension.name, toValue(best)];
+    })
+  );
+};
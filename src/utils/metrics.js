@@ -0,0 +1,407 @@
+// Maximum number of points returned for ROC and precision-recall curves
+const MAX_CURVE_POINTS = 101;
+
+// Divide, returning 0 when the denominator is 0
+const safeDivide = (numerator, denominator) =>
+  denominator === 0 ? 0 : numerator / denominator;
+
+const mean = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+/**
+ * Index of the largest value in an array
+ * @param {Array<number>} values - Scores
+ * @returns {number} Index of the maximum
+ */
+export const argMax = (values) =>
+  values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+
+/**
+ * Class of a single sigmoid output: positive at or above the threshold. The
+ * same rule serves predictions, evaluation, comparisons and deployment reports.
+ * @param {number} probability - Probability of the positive class
+ * @param {number} threshold - Decision threshold
+ * @returns {number} 1 for the positive class, 0 otherwise
+ */
+export const binaryClass = (probability, threshold = 0.5) => (probability >= threshold ? 1 : 0);
+
+/**
+ * Threshold of value i, whether one threshold is shared or one is given per value
+ * @param {number|Array<number>} threshold - Shared threshold or one per value
+ * @param {number} index - Value index
+ * @returns {number} Threshold of the value
+ */
+export const thresholdAt = (threshold, index) => (Array.isArray(threshold) ? threshold[index] : threshold);
+
+/**
+ * Keep at most maxPoints evenly spaced points, always including both ends
+ * @param {Array} points - Curve points
+ * @param {number} maxPoints - Maximum number of points
+ * @returns {Array} Downsampled points
+ */
+const downsample = (points, maxPoints = MAX_CURVE_POINTS) => {
+  if (points.length <= maxPoints) {
+    return points;
+  }
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * Build a confusion matrix (rows are true classes, columns predicted classes)
+ * @param {Array<number>} yTrue - True class indices
+ * @param {Array<number>} yPred - Predicted class indices
+ * @param {number} numClasses - Number of classes
+ * @returns {Array<Array<number>>} Confusion matrix
+ */
+export const confusionMatrix = (yTrue, yPred, numClasses) => {
+  const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+  yTrue.forEach((trueClass, i) => {
+    matrix[trueClass][yPred[i]] += 1;
+  });
+  return matrix;
+};
+
+/**
+ * Precision, recall and F1 from true positive, false positive and false negative counts
+ * @param {number} tp - True positives
+ * @param {number} fp - False positives
+ * @param {number} fn - False negatives
+ * @returns {Object} { precision, recall, f1 }
+ */
+const precisionRecallF1 = (tp, fp, fn) => {
+  const precision = safeDivide(tp, tp + fp);
+  const recall = safeDivide(tp, tp + fn);
+  return {
+    precision,
+    recall,
+    f1: safeDivide(2 * precision * recall, precision + recall),
+  };
+};
+
+// Average per-class scores, optionally weighted by support
+const averageScores = (perClass, weighted = false) => {
+  const totalSupport = perClass.reduce((sum, c) => sum + c.support, 0);
+  const average = (key) =>
+    weighted
+      ? safeDivide(perClass.reduce((sum, c) => sum + c[key] * c.support, 0), totalSupport)
+      : mean(perClass.map((c) => c[key]));
+  return {
+    precision: average("precision"),
+    recall: average("recall"),
+    f1: average("f1"),
+  };
+};
+
+/**
+ * ROC curve and area under it for binary scores
+ * @param {Array<number>} scores - Predicted scores for the positive class
+ * @param {Array<boolean>} positives - Whether each sample is positive
+ * @returns {Object} { auc, points: [{ threshold, fpr, tpr }] }
+ */
+export const rocCurve = (scores, positives) => {
+  const totalPositive = positives.filter(Boolean).length;
+  const totalNegative = positives.length - totalPositive;
+  if (totalPositive === 0 || totalNegative === 0) {
+    return { auc: null, points: [] };
+  }
+
+  const order = scores.map((score, i) => i).sort((a, b) => scores[b] - scores[a]);
+  const points = [{ threshold: Infinity, fpr: 0, tpr: 0 }];
+  let tp = 0;
+  let fp = 0;
+
+  order.forEach((sampleIndex, position) => {
+    if (positives[sampleIndex]) {
+      tp++;
+    } else {
+      fp++;
+    }
+    // Only emit a point once all samples sharing a score are counted
+    const next = order[position + 1];
+    if (next === undefined || scores[next] !== scores[sampleIndex]) {
+      points.push({
+        threshold: scores[sampleIndex],
+        fpr: fp / totalNegative,
+        tpr: tp / totalPositive,
+      });
+    }
+  });
+
+  let auc = 0;
+  for (let i = 1; i < points.length; i++) {
+    auc += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+  }
+
+  return { auc, points: downsample(points) };
+};
+
+/**
+ * Precision-recall curve and average precision for binary scores
+ * @param {Array<number>} scores - Predicted scores for the positive class
+ * @param {Array<boolean>} positives - Whether each sample is positive
+ * @returns {Object} { averagePrecision, points: [{ threshold, precision, recall }] }
+ */
+export const precisionRecallCurve = (scores, positives) => {
+  const totalPositive = positives.filter(Boolean).length;
+  if (totalPositive === 0) {
+    return { averagePrecision: null, points: [] };
+  }
+
+  const order = scores.map((score, i) => i).sort((a, b) => scores[b] - scores[a]);
+  const points = [{ threshold: Infinity, precision: 1, recall: 0 }];
+  let tp = 0;
+  let fp = 0;
+  let averagePrecision = 0;
+
+  order.forEach((sampleIndex, position) => {
+    if (positives[sampleIndex]) {
+      tp++;
+    } else {
+      fp++;
+    }
+    const next = order[position + 1];
+    if (next === undefined || scores[next] !== scores[sampleIndex]) {
+      const recall = tp / totalPositive;
+      const precision = tp / (tp + fp);
+      averagePrecision += (recall - points[points.length - 1].recall) * precision;
+      points.push({ threshold: scores[sampleIndex], precision, recall });
+    }
+  });
+
+  return { averagePrecision, points: downsample(points) };
+};
+
+/**
+ * Metrics for single-label classification (binary or multi-class)
+ * @param {Array<number>} yTrue - True class indices
+ * @param {Array<Array<number>>} scores - Per-class scores for each sample
+ * @param {Object} options - { classNames, threshold } (threshold applies to a single sigmoid output)
+ * @returns {Object} Accuracy, confusion matrix, averaged and per-class metrics, curves
+ */
+export const classificationMetrics = (yTrue, scores, { classNames, threshold = 0.5 } = {}) => {
+  // A single sigmoid output is treated as two classes
+  const probabilities = scores.map((row) => (row.length === 1 ? [1 - row[0], row[0]] : row));
+  const numClasses = probabilities[0].length;
+  const yPred = scores.map((row) => (row.length === 1 ? binaryClass(row[0], thresholdAt(threshold, 0)) : argMax(row)));
+  const matrix = confusionMatrix(yTrue, yPred, numClasses);
+
+  let totalTp = 0;
+  let totalFp = 0;
+  let totalFn = 0;
+
+  const perClass = matrix.map((row, classIndex) => {
+    const tp = row[classIndex];
+    const fn = row.reduce((sum, count) => sum + count, 0) - tp;
+    const fp = matrix.reduce((sum, r) => sum + r[classIndex], 0) - tp;
+    totalTp += tp;
+    totalFp += fp;
+    totalFn += fn;
+
+    const positives = yTrue.map((c) => c === classIndex);
+    const classScores = probabilities.map((p) => p[classIndex]);
+
+    return {
+      class: classIndex,
+      label: classNames ? classNames[classIndex] : undefined,
+      support: tp + fn,
+      ...precisionRecallF1(tp, fp, fn),
+      rocAuc: rocCurve(classScores, positives).auc,
+    };
+  });
+
+  const result = {
+    accuracy: safeDivide(totalTp, yTrue.length),
+    confusionMatrix: matrix,
+    macro: averageScores(perClass),
+    micro: precisionRecallF1(totalTp, totalFp, totalFn),
+    weighted: averageScores(perClass, true),
+    perClass,
+  };
+
+  if (numClasses === 2) {
+    // Binary: curves for the positive class
+    const positives = yTrue.map((c) => c === 1);
+    const positiveScores = probabilities.map((p) => p[1]);
+    const roc = rocCurve(positiveScores, positives);
+    const pr = precisionRecallCurve(positiveScores, positives);
+    result.rocAuc = roc.auc;
+    result.averagePrecision = pr.averagePrecision;
+    result.rocCurve = roc.points;
+    result.prCurve = pr.points;
+  } else {
+    // Multi-class: one-vs-rest curves per class
+    const aucs = perClass.map((c) => c.rocAuc).filter((auc) => auc !== null);
+    result.rocAuc = aucs.length ? mean(aucs) : null;
+    result.rocCurves = {};
+    result.prCurves = {};
+    perClass.forEach((c) => {
+      const positives = yTrue.map((t) => t === c.class);
+      const classScores = probabilities.map((p) => p[c.class]);
+      const pr = precisionRecallCurve(classScores, positives);
+      c.averagePrecision = pr.averagePrecision;
+      result.rocCurves[c.class] = rocCurve(classScores, positives).points;
+      result.prCurves[c.class] = pr.points;
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Metrics for multi-label classification with independent sigmoid outputs
+ * @param {Array<Array<number>>} yTrue - Binary label matrix
+ * @param {Array<Array<number>>} scores - Per-label scores for each sample
+ * @param {Object} options - { threshold (shared or one per label), classNames }
+ * @returns {Object} Subset accuracy, averaged and per-label metrics with confusion matrices
+ */
+export const multiLabelMetrics = (yTrue, scores, { threshold = 0.5, classNames } = {}) => {
+  const numLabels = scores[0].length;
+  let totalTp = 0;
+  let totalFp = 0;
+  let totalFn = 0;
+
+  const perClass = Array.from({ length: numLabels }, (_, labelIndex) => {
+    const positives = yTrue.map((row) => row[labelIndex] >= 0.5);
+    const labelScores = scores.map((row) => row[labelIndex]);
+    const predicted = labelScores.map((score) => score >= thresholdAt(threshold, labelIndex));
+
+    let tp = 0;
+    let fp = 0;
+    let fn = 0;
+    let tn = 0;
+    positives.forEach((actual, i) => {
+      if (actual && predicted[i]) {
+        tp++;
+      } else if (predicted[i]) {
+        fp++;
+      } else if (actual) {
+        fn++;
+      } else {
+        tn++;
+      }
+    });
+    totalTp += tp;
+    totalFp += fp;
+    totalFn += fn;
+
+    const pr = precisionRecallCurve(labelScores, positives);
+    return {
+      class: labelIndex,
+      label: classNames ? classNames[labelIndex] : undefined,
+      support: tp + fn,
+      ...precisionRecallF1(tp, fp, fn),
+      confusionMatrix: [[tn, fp], [fn, tp]],
+      rocAuc: rocCurve(labelScores, positives).auc,
+      averagePrecision: pr.averagePrecision,
+    };
+  });
+
+  const exactMatches = yTrue.filter((row, i) =>
+    row.every((value, j) => (value >= 0.5) === (scores[i][j] >= thresholdAt(threshold, j)))
+  ).length;
+  const aucs = perClass.map((c) => c.rocAuc).filter((auc) => auc !== null);
+
+  return {
+    subsetAccuracy: safeDivide(exactMatches, yTrue.length),
+    threshold,
+    macro: averageScores(perClass),
+    micro: precisionRecallF1(totalTp, totalFp, totalFn),
+    weighted: averageScores(perClass, true),
+    rocAuc: aucs.length ? mean(aucs) : null,
+    perClass,
+  };
+};
+
+// Error metrics for a single list of targets and predictions
+const errorMetrics = (yTrue, yPred) => {
+  const errors = yTrue.map((value, i) => yPred[i] - value);
+  const mse = mean(errors.map((e) => e * e));
+  const targetMean = mean(yTrue);
+  const totalSumSquares = yTrue.reduce((sum, value) => sum + (value - targetMean) ** 2, 0);
+  const residualSumSquares = errors.reduce((sum, e) => sum + e * e, 0);
+
+  return {
+    mae: mean(errors.map(Math.abs)),
+    mse,
+    rmse: Math.sqrt(mse),
+    r2: totalSumSquares === 0 ? null : 1 - residualSumSquares / totalSumSquares,
+  };
+};
+
+/**
+ * Metrics for regression outputs
+ * @param {Array<Array<number>>} yTrue - Target values
+ * @param {Array<Array<number>>} yPred - Predicted values
+ * @returns {Object} MAE, MSE, RMSE and R² (with a per-output breakdown for multiple outputs)
+ */
+export const regressionMetrics = (yTrue, yPred) => {
+  const numOutputs = yPred[0].length;
+  const perOutput = Array.from({ length: numOutputs }, (_, j) =>
+    errorMetrics(yTrue.map((row) => row[j]), yPred.map((row) => row[j]))
+  );
+
+  if (numOutputs === 1) {
+    return perOutput[0];
+  }
+
+  const r2Values = perOutput.map((o) => o.r2).filter((r2) => r2 !== null);
+  return {
+    ...errorMetrics(yTrue.flat(), yPred.flat()),
+    r2: r2Values.length ? mean(r2Values) : null,
+    perOutput,
+  };
+};
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Discordant pairs below which the exact binomial test is used
+const MCNEMAR_EXACT_LIMIT = 25;
+
+/**
+ * McNemar's test of whether two models applied to the same samples have the
+ * same error rate. Only samples where exactly one model is correct count.
+ * @param {Array<boolean>} correctA - Whether model A got each sample right
+ * @param {Array<boolean>} correctB - Whether model B got each sample right
+ * @returns {Object} { onlyACorrect, onlyBCorrect, statistic, pValue, exact }
+ */
+export const mcNemarTest = (correctA, correctB) => {
+  let onlyACorrect = 0;
+  let onlyBCorrect = 0;
+  correctA.forEach((correct, i) => {
+    if (correct && !correctB[i]) {
+      onlyACorrect++;
+    } else if (!correct && correctB[i]) {
+      onlyBCorrect++;
+    }
+  });
+
+  const discordant = onlyACorrect + onlyBCorrect;
+  if (discordant === 0) {
+    return { onlyACorrect, onlyBCorrect, statistic: 0, pValue: 1, exact: true };
+  }
+
+  // Chi-square with continuity correction, one degree of freedom
+  const statistic = (Math.abs(onlyACorrect - onlyBCorrect) - 1) ** 2 / discordant;
+  if (discordant >= MCNEMAR_EXACT_LIMIT) {
+    return { onlyACorrect, onlyBCorrect, statistic, pValue: Math.max(0, 2 * (1 - normalCdf(Math.sqrt(statistic)))), exact: false };
+  }
+
+  // Two-sided exact binomial test with p = 0.5
+  let tail = 0;
+  let coefficient = 1;
+  for (let k = 0; k <= Math.min(onlyACorrect, onlyBCorrect); k++) {
+    tail += coefficient;
+    coefficient = (coefficient * (discordant - k)) / (k + 1);
+  }
+  return { onlyACorrect, onlyBCorrect, statistic, pValue: Math.min(1, (2 * tail) / 2 ** discordant), exact: true };
+};
@@ -0,0 +1,116 @@
+import * as tf from "@tensorflow/tfjs";
+import fs from "fs";
+import path from "path";
+
+const FILE_SCHEME = "file://";
+const MODEL_JSON = "model.json";
+const WEIGHTS_BIN = "weights.bin";
+
+/**
+ * Convert a file:// URL (or plain path) into an absolute directory path
+ * @param {string} modelPath - Model location as stored on AIModel.modelPath
+ * @returns {string} Absolute directory holding model.json
+ */
+export const toModelDir = (modelPath) => {
+  const cleanPath = modelPath.replace(/^file:\/\//, "");
+  const dir = path.resolve(cleanPath);
+  return path.basename(dir) === MODEL_JSON ? path.dirname(dir) : dir;
+};
+
+/**
+ * Check whether saved tfjs artifacts exist for a model path
+ * @param {string} modelPath - Model location
+ * @returns {boolean} True if model.json is present
+ */
+export const modelArtifactsExist = (modelPath) => {
+  if (!modelPath || /^https?:\/\//.test(modelPath)) {
+    return false;
+  }
+  return fs.existsSync(path.join(toModelDir(modelPath), MODEL_JSON));
+};
+
+/**
+ * IO handler that reads and writes tfjs layers models on the local disk
+ * using the same layout as tfjs-node (model.json + weights.bin)
+ * @param {string} modelPath - Target directory (with or without file://)
+ * @returns {Object} tf.io.IOHandler
+ */
+export const fileSystemHandler = (modelPath) => {
+  const modelDir = toModelDir(modelPath);
+
+  return {
+    async save(modelArtifacts) {
+      await fs.promises.mkdir(modelDir, { recursive: true });
+
+      const weightsManifest = [
+        { paths: [`./${WEIGHTS_BIN}`], weights: modelArtifacts.weightSpecs || [] },
+      ];
+      const modelJSON = {
+        modelTopology: modelArtifacts.modelTopology,
+        format: modelArtifacts.format,
+        generatedBy: modelArtifacts.generatedBy,
+        convertedBy: modelArtifacts.convertedBy,
+        weightsManifest,
+      };
+      if (modelArtifacts.trainingConfig) {
+        modelJSON.trainingConfig = modelArtifacts.trainingConfig;
+      }
+      if (modelArtifacts.userDefinedMetadata) {
+        modelJSON.userDefinedMetadata = modelArtifacts.userDefinedMetadata;
+      }
+
+      const weightData = tf.io.CompositeArrayBuffer.join(modelArtifacts.weightData);
+      await fs.promises.writeFile(path.join(modelDir, WEIGHTS_BIN), Buffer.from(weightData));
+      await fs.promises.writeFile(path.join(modelDir, MODEL_JSON), JSON.stringify(modelJSON));
+
+      return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(modelArtifacts) };
+    },
+
+    async load() {
+      const modelJSON = JSON.parse(
+        await fs.promises.readFile(path.join(modelDir, MODEL_JSON), "utf8")
+      );
+
+      return tf.io.getModelArtifactsForJSON(modelJSON, async (weightsManifest) => {
+        const weightSpecs = [];
+        const buffers = [];
+        for (const group of weightsManifest) {
+          weightSpecs.push(...group.weights);
+          for (const shardPath of group.paths) {
+            const shard = await fs.promises.readFile(path.join(modelDir, shardPath));
+            buffers.push(shard.buffer.slice(shard.byteOffset, shard.byteOffset + shard.byteLength));
+          }
+        }
+        return [weightSpecs, tf.io.concatenateArrayBuffers(buffers)];
+      });
+    },
+  };
+};
+
+/**
+ * Load a tfjs layers model. Sequential models restored from disk only name
+ * their inputs and outputs once built, so they are built right away.
+ * Quantized weights (float16, uint8) are dequantized to float32 by tfjs.
+ * @param {string|Object} modelPath - Model location (file://, http:// or https://) or an IO handler
+ * @returns {Promise<tf.LayersModel>} Loaded model
+ */
+export const loadLayersModel = async (modelPath) => {
+  const model = await tf.loadLayersModel(modelPath);
+  if (model.outputNames.length === 0) {
+    model.build();
+  }
+  return model;
+};
+
+// Route file:// URLs through the disk handler so tf.loadLayersModel and
+// model.save work with the pure-JS tfjs package
+const fileSystemRouter = (url) => {
+  const target = Array.isArray(url) ? url[0] : url;
+  if (typeof target === "string" && target.startsWith(FILE_SCHEME)) {
+    return fileSystemHandler(target);
+  }
+  return null;
+};
+
+tf.io.registerSaveRouter(fileSystemRouter);
+tf.io.registerLoadRouter(fileSystemRouter);
@@ -0,0 +1,125 @@
+import * as tf from "@tensorflow/tfjs";
+
+export const QUANTIZATION_SCHEMES = ["float16", "uint8"];
+
+// Bytes per value of the dtypes tfjs writes for layers models
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1 };
+
+// Shared buffers for reading the bits of a float32
+const float32 = new Float32Array(1);
+const uint32 = new Uint32Array(float32.buffer);
+
+// IEEE 754 half-precision bits of a number, rounded to the nearest half
+const toFloat16Bits = (value) => {
+  float32[0] = value;
+  const bits = uint32[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  let mantissa = bits & 0x7fffff;
+
+  // NaN and infinity
+  if ((bits & 0x7fffffff) >= 0x7f800000) {
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  // Too large for half precision
+  if (exponent >= 31) {
+    return sign | 0x7c00;
+  }
+  // Subnormal halves, or zero when too small
+  if (exponent <= 0) {
+    if (exponent < -10) {
+      return sign;
+    }
+    mantissa = (mantissa | 0x800000) >> (1 - exponent);
+    return sign | ((mantissa + 0x1000) >> 13);
+  }
+  // A rounding carry moves into the exponent, which is the correct result
+  return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+};
+
+// Quantize float32 values with a scheme, returning the bytes and the spec entry
+const quantizeValues = (values, scheme) => {
+  if (scheme === "float16") {
+    const half = new Uint16Array(values.length);
+    values.forEach((value, index) => {
+      half[index] = toFloat16Bits(value);
+    });
+    return { bytes: new Uint8Array(half.buffer), quantization: { dtype: "float16" } };
+  }
+
+  // uint8 affine: value = q * scale + min
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  if (values.length === 0) {
+    min = 0;
+    max = 0;
+  }
+  const scale = max > min ? (max - min) / 255 : 1;
+  const bytes = new Uint8Array(values.length);
+  values.forEach((value, index) => {
+    bytes[index] = Math.min(255, Math.max(0, Math.round((value - min) / scale)));
+  });
+  return { bytes, quantization: { dtype: "uint8", min, scale } };
+};
+
+/**
+ * Quantize the float32 model weights of saved model artifacts. Weight specs
+ * get the tfjs quantization entry, so tf.loadLayersModel dequantizes them on
+ * load; optimizer weights and integer weights are kept as they are.
+ * @param {Object} artifacts - tfjs model artifacts
+ * @param {string} scheme - float16 or uint8
+ * @returns {Object} { artifacts, originalBytes, quantizedBytes, quantizedWeights }
+ */
+export const quantizeArtifacts = (artifacts, scheme) => {
+  if (!QUANTIZATION_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown quantization scheme: ${scheme}`);
+  }
+
+  const source = new Uint8Array(tf.io.CompositeArrayBuffer.join(artifacts.weightData));
+  const weightSpecs = [];
+  const parts = [];
+  let offset = 0;
+  let quantizedWeights = 0;
+
+  (artifacts.weightSpecs || []).forEach((spec) => {
+    if (spec.quantization) {
+      throw new Error(`Weight ${spec.name} is already quantized`);
+    }
+    const size = spec.shape.reduce((product, dim) => product * dim, 1);
+    const byteLength = size * DTYPE_BYTES[spec.dtype];
+    const bytes = source.subarray(offset, offset + byteLength);
+    offset += byteLength;
+
+    if (spec.dtype !== "float32" || spec.group === "optimizer") {
+      weightSpecs.push(spec);
+      parts.push(bytes);
+      return;
+    }
+
+    // Copy so the float view is aligned
+    const values = new Float32Array(bytes.slice().buffer);
+    const quantized = quantizeValues(values, scheme);
+    weightSpecs.push({ ...spec, quantization: quantized.quantization });
+    parts.push(quantized.bytes);
+    quantizedWeights++;
+  });
+
+  const quantizedBytes = parts.reduce((sum, part) => sum + part.length, 0);
+  const weightData = new Uint8Array(quantizedBytes);
+  let position = 0;
+  parts.forEach((part) => {
+    weightData.set(part, position);
+    position += part.length;
+  });
+
+  return {
+    artifacts: { ...artifacts, weightSpecs, weightData: weightData.buffer },
+    originalBytes: source.length,
+    quantizedBytes,
+    quantizedWeights,
+  };
+};
@@ -0,0 +1,47 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32), so searches and data
+ * splits can be reproduced. Without a seed it falls back to Math.random.
+ * @param {number} seed - Optional integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} values - Values to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} The same array, shuffled
+ */
+export const shuffle = (values, random = Math.random) => {
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [values[i], values[j]] = [values[j], values[i]];
+  }
+  return values;
+};
+
+/**
+ * Sample from a normal distribution (Box-Muller)
+ * @param {Function} random - Random number generator
+ * @param {number} mean - Mean
+ * @param {number} std - Standard deviation
+ * @returns {number} Sample
+ */
+export const randomNormal = (random, mean = 0, std = 1) => {
+  const u = 1 - random();
+  const v = random();
+  return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
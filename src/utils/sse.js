@@ -0,0 +1,60 @@
+// Interval between keep-alive comments so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Turn an Express response into a Server-Sent Events stream
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} onClose - Called once when the client disconnects
+ * @returns {Object} Stream with send(event, data) and close() functions
+ */
+export const openEventStream = (req, res, onClose = () => {}) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  // The compression middleware buffers output unless flushed explicitly
+  const flush = () => {
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    flush();
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const cleanup = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+  };
+
+  req.on('close', cleanup);
+
+  return {
+    send(event, data) {
+      if (closed) {
+        return;
+      }
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+      flush();
+    },
+    close() {
+      cleanup();
+      res.end();
+    }
+  };
+};
@@ -0,0 +1,50 @@
+import * as tf from "@tensorflow/tfjs";
+import { buildTrainingCallbacks } from "../../src/services/trainingCallbacks.js";
+
+// Small classifier with deterministic data the model can learn
+const buildModel = () => {
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ units: 2, activation: "softmax", inputShape: [2] }));
+  model.compile({ optimizer: tf.train.adam(0.05), loss: "categoricalCrossentropy", metrics: ["accuracy"] });
+  return model;
+};
+
+const fitWith = async (specs, { validationSplit = 0.25, epochs = 4 } = {}) => {
+  const data = Array.from({ length: 16 }, (_, i) => [i % 2, (i + 1) % 2]);
+  const labels = data.map(([a]) => (a ? [1, 0] : [0, 1]));
+  const xs = tf.tensor2d(data);
+  const ys = tf.tensor2d(labels);
+  const model = buildModel();
+  const callbacks = buildTrainingCallbacks(specs, { epochs });
+  try {
+    const { history } = await model.fit(xs, ys, { epochs, batchSize: 4, validationSplit, callbacks });
+    return { history, summaries: callbacks.map((callback) => callback.summary()) };
+  } finally {
+    tf.dispose([xs, ys]);
+    model.dispose();
+  }
+};
+
+describe("training callbacks", () => {
+  test("reads val_accuracy from the val_acc log", async () => {
+    const { history, summaries } = await fitWith([{ type: "earlyStopping", monitor: "val_accuracy", patience: 10 }]);
+    const [summary] = summaries;
+
+    expect(summary.monitor).toBe("val_accuracy");
+    expect(summary.bestEpoch).not.toBeNull();
+    expect(summary.bestValue).toBeCloseTo(history.val_acc[summary.bestEpoch - 1]);
+  });
+
+  test("treats accuracy metrics as higher is better", async () => {
+    const { history, summaries } = await fitWith([{ type: "earlyStopping", monitor: "accuracy", patience: 10 }]);
+    const [summary] = summaries;
+
+    expect(summary.bestValue).toBeCloseTo(Math.max(...history.acc));
+  });
+
+  test("fails when the monitored metric is not reported", async () => {
+    await expect(
+      fitWith([{ type: "earlyStopping", monitor: "val_loss" }], { validationSplit: 0 })
+    ).rejects.toThrow('Monitored metric "val_loss" was not reported');
+  });
+});
@@ -0,0 +1,80 @@
+import {
+  binProportions,
+  describeFeature,
+  kolmogorovSmirnov,
+  populationStabilityIndex,
+} from "../../src/utils/driftStats.js";
+
+describe("binProportions", () => {
+  test("puts values on a cut point in the lower bin", () => {
+    expect(binProportions([1, 2, 3, 4], [2])).toEqual([0.5, 0.5]);
+    expect(binProportions([], [2])).toEqual([0, 0]);
+  });
+});
+
+describe("describeFeature", () => {
+  test("computes moments and decile bins", () => {
+    const stats = describeFeature([10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+
+    expect(stats.count).toBe(10);
+    expect(stats.mean).toBeCloseTo(5.5);
+    // Population standard deviation of 1..10 is sqrt(8.25)
+    expect(stats.std).toBeCloseTo(Math.sqrt(8.25));
+    expect(stats.min).toBe(1);
+    expect(stats.max).toBe(10);
+    expect(stats.cuts).toHaveLength(9);
+    expect(stats.cuts[0]).toBeCloseTo(1.9);
+    expect(stats.cuts[8]).toBeCloseTo(9.1);
+    stats.proportions.forEach((share) => expect(share).toBeCloseTo(0.1));
+    expect(stats.sample).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+
+  test("merges repeated cut points of binary features", () => {
+    const stats = describeFeature([0, 0, 0, 0, 0, 1, 1, 1, 1, 1]);
+
+    expect(stats.cuts).toEqual([0, 0.5, 1]);
+    expect(stats.proportions).toEqual([0.5, 0, 0.5, 0]);
+  });
+
+  test("ignores values that are not finite numbers", () => {
+    expect(describeFeature([NaN, Infinity]).count).toBe(0);
+    expect(describeFeature([1, NaN, 3]).mean).toBeCloseTo(2);
+  });
+});
+
+describe("populationStabilityIndex", () => {
+  test("is zero for identical distributions", () => {
+    expect(populationStabilityIndex([0.2, 0.3, 0.5], [0.2, 0.3, 0.5])).toBeCloseTo(0);
+  });
+
+  test("matches the closed form sum of (a - e) * ln(a / e)", () => {
+    // (0.25 - 0.5) ln(0.5) + (0.75 - 0.5) ln(1.5)
+    expect(populationStabilityIndex([0.5, 0.5], [0.25, 0.75])).toBeCloseTo(0.274653, 6);
+  });
+
+  test("stays finite when a bin is empty", () => {
+    expect(Number.isFinite(populationStabilityIndex([0.5, 0.5], [1, 0]))).toBe(true);
+  });
+});
+
+describe("kolmogorovSmirnov", () => {
+  test("finds no difference between identical samples", () => {
+    expect(kolmogorovSmirnov([1, 2, 3, 4], [4, 3, 2, 1])).toEqual({ statistic: 0, pValue: 1 });
+  });
+
+  test("matches Kolmogorov tail probabilities", () => {
+    // D = 0.5 with n = m = 4 gives lambda = (sqrt(2) + 0.12 + 0.11 / sqrt(2)) * 0.5 = 0.806, Q = 0.534
+    const partial = kolmogorovSmirnov([1, 2, 3, 4], [3, 4, 5, 6]);
+    expect(partial.statistic).toBeCloseTo(0.5);
+    expect(partial.pValue).toBeCloseTo(0.5344, 4);
+
+    // Disjoint samples: D = 1, lambda = 1.771, Q = 2 exp(-2 lambda^2) = 0.00378
+    const disjoint = kolmogorovSmirnov([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]);
+    expect(disjoint.statistic).toBe(1);
+    expect(disjoint.pValue).toBeCloseTo(0.00378, 5);
+  });
+
+  test("has no result without values", () => {
+    expect(kolmogorovSmirnov([1, 2], [])).toEqual({ statistic: null, pValue: null });
+  });
+});
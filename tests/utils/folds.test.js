@@ -0,0 +1,46 @@
+import { kFoldIndices, selectRows, stratifiedKFoldIndices } from "../../src/utils/folds.js";
+import { createRandom } from "../../src/utils/random.js";
+
+describe("kFoldIndices", () => {
+  test("splits unshuffled data into contiguous blocks, larger folds first", () => {
+    expect(kFoldIndices(10, 3, { shuffle: false })).toEqual([[0, 1, 2, 3], [4, 5, 6], [7, 8, 9]]);
+  });
+
+  test("holds out every sample exactly once when shuffled", () => {
+    const folds = kFoldIndices(11, 4, { random: createRandom(7) });
+
+    expect(folds.map((fold) => fold.length)).toEqual([3, 3, 3, 2]);
+    expect(folds.flat().sort((a, b) => a - b)).toEqual(Array.from({ length: 11 }, (_, i) => i));
+  });
+
+  test("is reproducible with a seed", () => {
+    expect(kFoldIndices(20, 5, { random: createRandom(3) })).toEqual(kFoldIndices(20, 5, { random: createRandom(3) }));
+  });
+});
+
+describe("stratifiedKFoldIndices", () => {
+  test("keeps the class proportions in every fold", () => {
+    const classes = [0, 0, 0, 0, 0, 0, 1, 1, 1];
+    const folds = stratifiedKFoldIndices(classes, 3, { random: createRandom(1) });
+
+    folds.forEach((fold) => {
+      expect(fold.filter((index) => classes[index] === 0)).toHaveLength(2);
+      expect(fold.filter((index) => classes[index] === 1)).toHaveLength(1);
+    });
+    expect(folds.flat().sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test("keeps fold sizes balanced when classes do not divide evenly", () => {
+    const classes = ["a", "a", "b", "b", "c", "c", "c"];
+    const sizes = stratifiedKFoldIndices(classes, 3, { shuffle: false }).map((fold) => fold.length).sort();
+
+    expect(sizes).toEqual([2, 2, 3]);
+  });
+});
+
+describe("selectRows", () => {
+  test("picks rows from arrays and from arrays keyed by input name", () => {
+    expect(selectRows([10, 11, 12], [2, 0])).toEqual([12, 10]);
+    expect(selectRows({ a: [1, 2, 3], b: [4, 5, 6] }, [1])).toEqual({ a: [2], b: [5] });
+  });
+});
@@ -0,0 +1,94 @@
+import {
+  gridConfigurations,
+  gridSize,
+  parseSearchSpace,
+  sampleConfiguration,
+  suggestTpe,
+} from "../../src/utils/hyperparameterSearch.js";
+import { createRandom } from "../../src/utils/random.js";
+
+describe("parseSearchSpace", () => {
+  test("reads categorical lists and ranges", () => {
+    expect(parseSearchSpace({ optimizer: ["adam", "sgd"], units: { min: 8, max: 64, type: "int" } })).toEqual([
+      { name: "optimizer", kind: "categorical", values: ["adam", "sgd"] },
+      { name: "units", kind: "range", min: 8, max: 64, scale: "linear", integer: true, steps: undefined },
+    ]);
+  });
+
+  test("rejects invalid ranges", () => {
+    expect(() => parseSearchSpace({})).toThrow("searchSpace must be an object");
+    expect(() => parseSearchSpace({ lr: { min: 1, max: 0.1 } })).toThrow("min < max");
+    expect(() => parseSearchSpace({ lr: { min: 0, max: 1, scale: "log" } })).toThrow("log scale needs min > 0");
+  });
+});
+
+describe("grid search", () => {
+  test("spaces log ranges evenly in log space and crosses every dimension", () => {
+    const dimensions = parseSearchSpace({
+      learningRate: { min: 0.001, max: 0.1, scale: "log", steps: 3 },
+      optimizer: ["adam", "sgd"],
+    });
+
+    expect(gridSize(dimensions)).toBe(6);
+    expect(gridConfigurations(dimensions)).toEqual([
+      { learningRate: 0.001, optimizer: "adam" },
+      { learningRate: 0.001, optimizer: "sgd" },
+      { learningRate: 0.01, optimizer: "adam" },
+      { learningRate: 0.01, optimizer: "sgd" },
+      { learningRate: 0.1, optimizer: "adam" },
+      { learningRate: 0.1, optimizer: "sgd" },
+    ]);
+  });
+
+  test("drops integer grid points that round to the same value", () => {
+    const dimensions = parseSearchSpace({ units: { min: 1, max: 2, type: "int", steps: 5 } });
+
+    expect(gridConfigurations(dimensions)).toEqual([{ units: 1 }, { units: 2 }]);
+  });
+
+  test("needs steps for ranges", () => {
+    expect(() => gridSize(parseSearchSpace({ lr: { min: 0.1, max: 1 } }))).toThrow("needs values or steps");
+  });
+});
+
+describe("sampleConfiguration", () => {
+  test("stays inside the range and is reproducible with a seed", () => {
+    const dimensions = parseSearchSpace({ learningRate: { min: 0.0001, max: 0.1, scale: "log" }, units: { min: 4, max: 8, type: "int" } });
+
+    for (let seed = 0; seed < 20; seed++) {
+      const configuration = sampleConfiguration(dimensions, createRandom(seed));
+      expect(configuration.learningRate).toBeGreaterThanOrEqual(0.0001);
+      expect(configuration.learningRate).toBeLessThanOrEqual(0.1);
+      expect(Number.isInteger(configuration.units)).toBe(true);
+      expect(configuration).toEqual(sampleConfiguration(dimensions, createRandom(seed)));
+    }
+  });
+});
+
+describe("suggestTpe", () => {
+  const dimensions = parseSearchSpace({
+    learningRate: { min: 0.0001, max: 1, scale: "log" },
+    optimizer: ["adam", "sgd"],
+  });
+
+  // Good trials cluster around learningRate 0.01 with adam, bad ones sit at the ends with sgd
+  const history = [
+    ...Array.from({ length: 4 }, (_, i) => ({ params: { learningRate: 0.01 * (1 + i / 10), optimizer: "adam" }, loss: 0.1 + i / 100 })),
+    ...Array.from({ length: 12 }, (_, i) => ({ params: { learningRate: i % 2 ? 0.5 : 0.0002, optimizer: "sgd" }, loss: 1 + i })),
+  ];
+
+  test("suggests configurations near the best trials", () => {
+    for (let seed = 0; seed < 10; seed++) {
+      const suggestion = suggestTpe(dimensions, history, createRandom(seed));
+      expect(suggestion.optimizer).toBe("adam");
+      expect(suggestion.learningRate).toBeGreaterThan(0.003);
+      expect(suggestion.learningRate).toBeLessThan(0.03);
+    }
+  });
+
+  test("samples uniformly until there are trials to compare against", () => {
+    const suggestion = suggestTpe(dimensions, history.slice(0, 1), createRandom(5));
+
+    expect(suggestion).toEqual(sampleConfiguration(dimensions, createRandom(5)));
+  });
+});
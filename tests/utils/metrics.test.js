@@ -0,0 +1,52 @@
+import { binaryClass, mcNemarTest } from "../../src/utils/metrics.js";
+
+// Correctness vectors with a given number of samples only A, only B or both got right
+const outcomes = (onlyA, onlyB, both = 0) => [
+  [...Array(onlyA).fill(true), ...Array(onlyB).fill(false), ...Array(both).fill(true)],
+  [...Array(onlyA).fill(false), ...Array(onlyB).fill(true), ...Array(both).fill(true)],
+];
+
+describe("mcNemarTest", () => {
+  test("finds no difference when the models agree on every sample", () => {
+    expect(mcNemarTest(...outcomes(0, 0, 5))).toEqual({
+      onlyACorrect: 0,
+      onlyBCorrect: 0,
+      statistic: 0,
+      pValue: 1,
+      exact: true,
+    });
+  });
+
+  test("uses the exact binomial test for few discordant pairs", () => {
+    // Two-sided binomial test of 1 in 7 at p = 0.5: 2 * (1 + 7) / 2^7
+    const result = mcNemarTest(...outcomes(1, 6, 3));
+    expect(result.onlyACorrect).toBe(1);
+    expect(result.onlyBCorrect).toBe(6);
+    expect(result.exact).toBe(true);
+    expect(result.pValue).toBeCloseTo(0.125, 10);
+
+    // 0 in 5: 2 / 2^5
+    expect(mcNemarTest(...outcomes(0, 5)).pValue).toBeCloseTo(0.0625, 10);
+  });
+
+  test("caps the exact p-value at 1 for balanced pairs", () => {
+    expect(mcNemarTest(...outcomes(3, 3)).pValue).toBe(1);
+  });
+
+  test("uses the continuity-corrected chi-square for many discordant pairs", () => {
+    // (|10 - 30| - 1)^2 / 40 = 9.025; chi-square survival with one degree of freedom is 0.0026636
+    const result = mcNemarTest(...outcomes(10, 30));
+    expect(result.exact).toBe(false);
+    expect(result.statistic).toBeCloseTo(9.025, 10);
+    expect(result.pValue).toBeCloseTo(0.0026636, 6);
+  });
+});
+
+describe("binaryClass", () => {
+  test("is positive at or above the threshold", () => {
+    expect(binaryClass(0.5)).toBe(1);
+    expect(binaryClass(0.49)).toBe(0);
+    expect(binaryClass(0.3, 0.3)).toBe(1);
+    expect(binaryClass(0.29, 0.3)).toBe(0);
+  });
+});